@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Command-line batch runner: solves the scenarios and sweeps of a batch file
+ * (see src/services/BatchService.js) and writes the results as CSV or JSON.
+ *
+ *   midlife-wealth-tax batch.json --output results.csv
+ *
+ * Progress goes to stderr. The exit code tells how the run went; when jobs
+ * fail for different reasons the lowest failure code is used.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { batchService } from '../src/index.js';
+import { ImportError } from '../src/errors/ErrorTypes.js';
+import { toCsv } from '../src/utils/Spreadsheet.js';
+
+/**
+ * Exit codes, by the ErrorTypes.js class of the failure.
+ */
+const EXIT_CODES = {
+    SUCCESS: 0,
+    UNEXPECTED: 1, // A failure of any other kind
+    USAGE: 2, // Bad command-line arguments
+    IMPORT: 3, // ImportError: the batch file cannot be read or is not a batch
+    VALIDATION: 4, // ValidationError: a job has invalid parameters or sweep axes
+    OPTIMIZATION: 5, // OptimizationError: a scenario or sweep point could not be solved
+    MATHEMATICAL: 6 // MathematicalError
+};
+
+const FAILURE_CODES = {
+    ImportError: EXIT_CODES.IMPORT,
+    ValidationError: EXIT_CODES.VALIDATION,
+    OptimizationError: EXIT_CODES.OPTIMIZATION,
+    MathematicalError: EXIT_CODES.MATHEMATICAL
+};
+
+const USAGE = `Usage: midlife-wealth-tax <batch.json | -> [options]
+
+Solves every scenario and sweep in a batch file ('-' reads standard input).
+
+Options:
+  -o, --output <file>   Write results to a file instead of standard output
+  -f, --format <type>   csv or json (default: from the output file name, else csv)
+  -q, --quiet           Do not report progress
+  -h, --help            Show this help
+
+Exit codes:
+  0  all jobs solved            4  invalid parameters (ValidationError)
+  1  unexpected error           5  optimization failed (OptimizationError)
+  2  bad arguments              6  mathematical error (MathematicalError)
+  3  unreadable batch file (ImportError)
+`;
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                output: { type: 'string', short: 'o' },
+                format: { type: 'string', short: 'f' },
+                quiet: { type: 'boolean', short: 'q' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const { values: options, positionals } = args;
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return EXIT_CODES.SUCCESS;
+    }
+    const format = options.format || (options.output?.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+    if (positionals.length !== 1 || !['csv', 'json'].includes(format)) {
+        process.stderr.write(USAGE);
+        return EXIT_CODES.USAGE;
+    }
+
+    const log = (message) => {
+        if (!options.quiet) process.stderr.write(`${message}\n`);
+    };
+
+    let batch;
+    try {
+        batch = batchService.parseBatch(await readBatchFile(positionals[0]));
+    } catch (error) {
+        process.stderr.write(`${describeFailure(error)}\n`);
+        return FAILURE_CODES[error.name] || EXIT_CODES.UNEXPECTED;
+    }
+
+    const results = await batchService.runBatch(batch, {
+        onProgress: ({ done, total, kind, name, error, failedPoints }) => {
+            const outcome = error
+                ? `failed (${error.type}: ${error.message})`
+                : failedPoints > 0 ? `done, ${failedPoints} points failed` : 'ok';
+            log(`[${done}/${total}] ${kind} ${name}: ${outcome}`);
+        }
+    });
+
+    const output = format === 'json'
+        ? `${JSON.stringify(results, null, 2)}\n`
+        : toCsv(batchService.createTable(results));
+    if (options.output) {
+        await writeFile(options.output, output);
+        log(`Results written to ${options.output}`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    const failures = Object.entries(results.failures);
+    if (failures.length === 0) {
+        log('All jobs solved');
+        return EXIT_CODES.SUCCESS;
+    }
+    log(`Failures: ${failures.map(([type, count]) => `${count} ${type}`).join(', ')}`);
+    return Math.min(...failures.map(([type]) => FAILURE_CODES[type] || EXIT_CODES.UNEXPECTED));
+}
+
+/**
+ * Reads and parses a batch file, or standard input for '-'.
+ */
+async function readBatchFile(path) {
+    let text;
+    try {
+        text = path === '-' ? await readStream(process.stdin) : await readFile(path, 'utf8');
+    } catch (error) {
+        throw new ImportError(`Cannot read ${path}: ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ImportError(`${path} is not valid JSON`, 'INVALID_FILE_FORMAT', [error.message]);
+    }
+}
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+function describeFailure(error) {
+    const issues = error.issues?.length ? error.issues : [];
+    return [`${error.name}: ${error.message}`, ...issues.map(issue => `  ${issue}`)].join('\n');
+}
+
+main(process.argv.slice(2)).then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (error) => {
+        process.stderr.write(`Unexpected error: ${error.stack || error.message}\n`);
+        process.exitCode = EXIT_CODES.UNEXPECTED;
+    }
+);
@@ -4,10 +4,15 @@
  */
 
 import { initializeApplication, getApplication } from './src/app/Application.js';
-import { applicationState, subscribe } from './src/state/ApplicationState.js';
-import { generateTaxEffectTable } from './src/services/VisualizationService.js';
+import { applicationState, subscribe, MAX_COMPARISON_SCENARIOS } from './src/state/ApplicationState.js';
+import { generateTaxEffectTable, generateComparisonTable } from './src/services/VisualizationService.js';
 import { handleError } from './src/errors/ErrorHandler.js';
 import { PARAMETER_RANGES, DEFAULT_PARAMETERS } from './src/utils/ParameterValidator.js';
+import { encodePermalink, decodePermalink } from './src/utils/Permalink.js';
+import { scenarioLibrary } from './src/services/ScenarioLibrary.js';
+import { parseStateFile } from './src/state/StateFormat.js';
+import { dataExportService } from './src/services/DataExportService.js';
+import { chartExportService } from './src/services/ChartExportService.js';
 
 /**
  * Preset scenarios for college financial aid impact analysis.
@@ -31,17 +36,22 @@ const PRESET_SCENARIOS = {
     },
     multipleChildren: {
         name: "Multiple Children",
-        description: "Higher effective penalty - wealth affects multiple kids' aid",
+        description: "Three children three years apart - each college entry is a separate levy",
         parameters: {
             r: 0.06,      // Standard return
             rho: 0.04,    // Standard impatience
             gamma: 1.2,   // Slightly higher risk aversion (family stress)
             eta: 1.7,     // Higher bequest risk aversion (more kids to provide for)
             beta: 4,      // Higher bequest importance (multiple children)
-            tau: 0.40,    // Higher effective rate (wealth affects 2-3 kids' aid)
+            tau: 0.25,    // Typical aid penalty, applied once per child
             t1: 18,       // Same timeline to first child's college
             t2: 25,       // Slightly shorter post-college period
-            w0: 1
+            w0: 1,
+            taxEvents: [  // College entry of each child, in years after the first
+                { offset: 0 },
+                { offset: 3 },
+                { offset: 6 }
+            ]
         }
     },
     lateStart: {
@@ -99,6 +109,7 @@ class UIController {
         this.chart = null;
         this.ctx = null;
         this.isInitialized = false;
+        this.savedScenarios = []; // Scenario library contents, for the scenario dropdowns
         
         // Throttling for UI updates
         this.updateThrottle = null;
@@ -125,6 +136,9 @@ class UIController {
             // Initialize parameter values in UI
             this.updateParameterDisplays();
             
+            // Fill the scenario dropdowns with built-in and saved scenarios
+            await this.refreshScenarioLibrary();
+            
             // Show initial loading chart immediately
             this.showLoadingChart();
             
@@ -149,6 +163,44 @@ class UIController {
             input.addEventListener('change', (e) => this.handleParameterChangeComplete(e));
         });
 
+        // Non-numeric parameter selectors
+        document.querySelectorAll('select.parameter-select').forEach(select => {
+            select.addEventListener('change', (e) => this.handleParameterChange(e));
+        });
+
+        // Heatmap axis and output selectors
+        document.querySelectorAll('select.heatmap-select').forEach(select => {
+            select.addEventListener('change', (e) => {
+                applicationState.setHeatmapSettings({ [e.target.dataset.setting]: e.target.value }, 'ui_select');
+            });
+        });
+
+        // Comparison mode: pin the sliders, a preset or a saved file
+        document.getElementById('pinCurrent')?.addEventListener('click', () => {
+            const count = applicationState.getState().comparisonScenarios.length;
+            this.pinScenario({
+                name: `Settings ${count + 1}`,
+                parameters: applicationState.getState().parameters,
+                origin: 'sliders'
+            });
+        });
+        document.getElementById('pinPreset')?.addEventListener('change', (e) => {
+            const scenario = this.getScenarioChoice(e.target.value);
+            if (scenario) {
+                // Laid over defaults, as when a preset is applied to the sliders
+                this.pinScenario({
+                    name: scenario.name,
+                    parameters: { ...DEFAULT_PARAMETERS, ...scenario.parameters },
+                    origin: 'preset'
+                });
+            }
+            e.target.value = '';
+        });
+        document.getElementById('pinFile')?.addEventListener('change', (e) => this.handlePinFile(e));
+        document.getElementById('clearComparison')?.addEventListener('click', () => {
+            applicationState.clearComparison('ui_button');
+        });
+
         // Visualization type selector
         const visualizeSelect = document.getElementById('visualize');
         if (visualizeSelect) {
@@ -161,6 +213,40 @@ class UIController {
             resetButton.addEventListener('click', () => this.handleResetDefaults());
         }
 
+        // Data export
+        document.getElementById('exportData')?.addEventListener('click', () => this.handleExportData());
+
+        // Chart export; the resolution only applies to PNG
+        document.getElementById('chartFormat')?.addEventListener('change', (e) => {
+            const dpiSelect = document.getElementById('chartDpi');
+            if (dpiSelect) dpiSelect.disabled = e.target.value !== 'png';
+        });
+        document.getElementById('exportChart')?.addEventListener('click', () => this.handleExportChart());
+
+        // Undo/redo buttons and shortcuts
+        document.getElementById('undo')?.addEventListener('click', () => applicationState.undo());
+        document.getElementById('redo')?.addEventListener('click', () => applicationState.redo());
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z' || isTextEntry(event.target)) {
+                return;
+            }
+            event.preventDefault();
+            if (event.shiftKey) {
+                applicationState.redo();
+            } else {
+                applicationState.undo();
+            }
+        });
+
+        // Saved scenario library
+        document.getElementById('saveScenario')?.addEventListener('click', () => this.handleSaveScenario());
+        document.getElementById('exportLibrary')?.addEventListener('click', () => this.handleExportLibrary());
+        document.getElementById('importLibrary')?.addEventListener('change', (e) => this.handleImportLibrary(e));
+        document.getElementById('saveStateFile')?.addEventListener('click', () => {
+            this.downloadJson(getApplication().exportState(), 'midlife-wealth-tax-state.json');
+        });
+        document.getElementById('openStateFile')?.addEventListener('change', (e) => this.handleOpenStateFile(e));
+
         // Preset scenarios selector
         const presetSelect = document.getElementById('presetScenarios');
         if (presetSelect) {
@@ -195,13 +281,22 @@ class UIController {
      * Handles application state changes and updates UI accordingly.
      */
     handleStateChange(newState, oldState, changeSet) {
+        // Keep sliders in step with parameters set elsewhere (permalinks, imports, undo)
+        if (changeSet.parameters) {
+            this.updateParameterDisplays();
+        }
+
+        if (changeSet.parameters || changeSet.visualizationType) {
+            this.updateUndoControls();
+        }
+
         // Handle chart configuration updates
         if (changeSet.chartConfig && newState.chartConfig) {
             this.updateChart(newState.chartConfig);
         }
 
-        // Handle visualization type changes
-        if (changeSet.visualizationType) {
+        // Handle visualization type, heatmap axis and pinned scenario changes
+        if (changeSet.visualizationType || changeSet.heatmapSettings || changeSet.comparisonScenarios) {
             this.updateVisualizationControls(newState);
         }
 
@@ -209,6 +304,9 @@ class UIController {
         if (changeSet.isCalculating !== undefined) {
             this.updateLoadingState(newState.isCalculating);
         }
+        if (changeSet.sweepProgress) {
+            this.updateSweepProgress(newState.sweepProgress);
+        }
 
         // Handle errors
         if (changeSet.errors && newState.errors.length > 0) {
@@ -220,6 +318,53 @@ class UIController {
         if (newState.visualizationType === 'Tax Effect Curves' && changeSet.chartConfig) {
             this.updateTaxEffectTable(newState.parameters);
         }
+        
+        // Update summary table for scenario comparison
+        if (newState.visualizationType === 'Scenario Comparison' && changeSet.chartConfig) {
+            this.showTable(generateComparisonTable(newState.comparisonResults));
+        }
+        
+        // Other charts have no table
+        if (changeSet.visualizationType &&
+            !['Tax Effect Curves', 'Scenario Comparison'].includes(newState.visualizationType)) {
+            this.showTable('');
+        }
+    }
+
+    /**
+     * Pins a scenario for comparison, reporting a full list or invalid parameters.
+     */
+    pinScenario(scenario) {
+        try {
+            getApplication().pinScenario(scenario);
+        } catch (error) {
+            const errorInfo = handleError(error, { context: 'pin_scenario', scenario: scenario.name });
+            this.displayError(errorInfo);
+        }
+    }
+
+    /**
+     * Pins the parameters of a saved state file (any version; see StateFormat.js).
+     */
+    async handlePinFile(event) {
+        const file = event.target.files?.[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            const { parameters } = parseStateFile(await file.text());
+            this.pinScenario({
+                name: file.name.replace(/\.json$/i, ''),
+                parameters,
+                origin: 'file'
+            });
+        } catch (error) {
+            const errorInfo = handleError(error, { context: 'pin_file', file: file.name });
+            this.displayError(errorInfo);
+        } finally {
+            event.target.value = '';
+        }
     }
 
     /**
@@ -227,10 +372,10 @@ class UIController {
      */
     handleParameterChange(event) {
         const paramName = event.target.id;
-        let value = parseFloat(event.target.value);
+        let value = event.target.tagName === 'SELECT' ? event.target.value : parseFloat(event.target.value);
         
         // Convert integer parameters
-        if (paramName === 't1' || paramName === 't2') {
+        if (['t1', 't2', 'tR', 'shelterUnlock'].includes(paramName)) {
             value = parseInt(event.target.value, 10);
         }
         
@@ -317,13 +462,13 @@ class UIController {
      */
     handlePresetScenario(event) {
         const scenarioKey = event.target.value;
+        const scenario = this.getScenarioChoice(scenarioKey);
         
-        if (!scenarioKey || !PRESET_SCENARIOS[scenarioKey]) {
+        if (!scenario) {
             return; // No scenario selected or invalid scenario
         }
 
         try {
-            const scenario = PRESET_SCENARIOS[scenarioKey];
             
             // Add visual feedback
             const presetSelect = document.getElementById('presetScenarios');
@@ -331,8 +476,12 @@ class UIController {
                 presetSelect.disabled = true;
             }
 
-            // Apply scenario parameters
-            applicationState.setParameters(scenario.parameters, `preset_${scenarioKey}`);
+            // Apply scenario parameters on top of defaults so extensions from a
+            // previous scenario (e.g. extra tax events) do not carry over
+            applicationState.setParameters({
+                ...DEFAULT_PARAMETERS,
+                ...scenario.parameters
+            }, `preset_${scenarioKey}`);
             
             // Update UI displays
             this.updateParameterDisplays();
@@ -360,6 +509,245 @@ class UIController {
         }
     }
 
+    /**
+     * Looks up a scenario dropdown value: a built-in preset key or "saved:<id>".
+     */
+    getScenarioChoice(value) {
+        if (value.startsWith('saved:')) {
+            const id = Number(value.slice('saved:'.length));
+            return this.savedScenarios.find(scenario => scenario.id === id) || null;
+        }
+        return PRESET_SCENARIOS[value] || null;
+    }
+
+    /**
+     * Reloads the saved scenarios and redraws the dropdowns and library list.
+     */
+    async refreshScenarioLibrary() {
+        try {
+            this.savedScenarios = await scenarioLibrary.list();
+        } catch (error) {
+            console.warn('Failed to load saved scenarios:', error);
+            this.savedScenarios = [];
+        }
+
+        document.querySelectorAll('select.scenario-select').forEach(select => {
+            const createGroup = (label, entries) => {
+                const group = document.createElement('optgroup');
+                group.label = label;
+                entries.forEach(([value, scenario]) => {
+                    const option = new Option(scenario.name, value);
+                    option.title = scenario.description || '';
+                    group.appendChild(option);
+                });
+                return group;
+            };
+
+            // Keep the placeholder option
+            select.replaceChildren(select.options[0], createGroup('Built-in', Object.entries(PRESET_SCENARIOS)));
+            if (this.savedScenarios.length > 0) {
+                select.appendChild(createGroup('Saved', this.savedScenarios.map(scenario => [`saved:${scenario.id}`, scenario])));
+            }
+        });
+
+        this.renderSavedScenarios();
+    }
+
+    /**
+     * Lists saved scenarios with rename, duplicate and delete buttons.
+     */
+    renderSavedScenarios() {
+        const list = document.getElementById('savedScenarios');
+        if (!list) return;
+
+        const actions = {
+            Rename: async (scenario) => {
+                const name = prompt('Scenario name', scenario.name);
+                if (name === null) return;
+                const description = prompt('Description', scenario.description);
+                await scenarioLibrary.rename(scenario.id, name, description === null ? undefined : description);
+            },
+            Duplicate: (scenario) => scenarioLibrary.duplicate(scenario.id),
+            Delete: async (scenario) => {
+                if (confirm(`Delete the saved scenario "${scenario.name}"?`)) {
+                    await scenarioLibrary.remove(scenario.id);
+                }
+            }
+        };
+
+        list.replaceChildren(...this.savedScenarios.map(scenario => {
+            const item = document.createElement('li');
+            item.textContent = scenario.description ? `${scenario.name} - ${scenario.description} ` : `${scenario.name} `;
+
+            for (const [label, action] of Object.entries(actions)) {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.addEventListener('click', async () => {
+                    try {
+                        await action(scenario);
+                        await this.refreshScenarioLibrary();
+                    } catch (error) {
+                        this.displayError(handleError(error, { context: 'scenario_library', action: label }));
+                    }
+                });
+                item.appendChild(button);
+            }
+            return item;
+        }));
+    }
+
+    /**
+     * Saves the current parameters under the name and description typed in.
+     */
+    async handleSaveScenario() {
+        const nameInput = document.getElementById('scenarioName');
+        const descriptionInput = document.getElementById('scenarioDescription');
+
+        try {
+            await scenarioLibrary.save({
+                name: nameInput?.value,
+                description: descriptionInput?.value,
+                parameters: applicationState.getState().parameters
+            });
+            if (nameInput) nameInput.value = '';
+            if (descriptionInput) descriptionInput.value = '';
+            await this.refreshScenarioLibrary();
+        } catch (error) {
+            this.displayError(handleError(error, { context: 'save_scenario' }));
+        }
+    }
+
+    /**
+     * Downloads the scenario library as a JSON file.
+     */
+    async handleExportLibrary() {
+        try {
+            this.downloadJson(await scenarioLibrary.exportLibrary(), 'scenario-library.json');
+        } catch (error) {
+            this.displayError(handleError(error, { context: 'export_library' }));
+        }
+    }
+
+    /**
+     * Restores the settings in a state file. Application.importState reports
+     * files it cannot read through the error handler.
+     */
+    async handleOpenStateFile(event) {
+        const file = event.target.files?.[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            await getApplication().importState(await file.text());
+        } catch (error) {
+            console.warn('Failed to open state file:', error);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    /**
+     * Downloads the table chosen in the export dropdown for the current parameters.
+     */
+    async handleExportData() {
+        const table = document.getElementById('exportTable')?.value || 'xlsx';
+        const button = document.getElementById('exportData');
+        const { parameters } = applicationState.getState();
+
+        try {
+            if (button) button.disabled = true;
+            if (table === 'xlsx') {
+                const workbook = await dataExportService.exportXlsx(parameters);
+                this.downloadBlob(
+                    new Blob([workbook], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+                    'midlife-wealth-tax.xlsx'
+                );
+            } else {
+                // Byte order mark so spreadsheet programs read the file as UTF-8
+                const csv = await dataExportService.exportCsv(table, parameters);
+                this.downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv' }), `midlife-wealth-tax-${table}.csv`);
+            }
+        } catch (error) {
+            const errorInfo = handleError(error, { context: 'export_data', table });
+            this.displayError(errorInfo);
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    /**
+     * Downloads the current chart as PNG, SVG or a PDF report, at its on-screen size.
+     */
+    async handleExportChart() {
+        const format = document.getElementById('chartFormat')?.value || 'png';
+        const dpi = Number(document.getElementById('chartDpi')?.value) || 300;
+        const button = document.getElementById('exportChart');
+        const { chartConfig, parameters, visualizationType } = applicationState.getState();
+        const size = this.chart ? { width: this.chart.width, height: this.chart.height } : {};
+        const fileName = `midlife-wealth-tax-${visualizationType.toLowerCase().replace(/\W+/g, '-')}`;
+
+        try {
+            if (button) button.disabled = true;
+            if (format === 'svg') {
+                const svg = chartExportService.exportSvg(chartConfig, size);
+                this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${fileName}.svg`);
+            } else if (format === 'pdf') {
+                const pdf = await chartExportService.exportPdf(chartConfig, parameters, {
+                    ...size,
+                    title: `Midlife Wealth Tax: ${visualizationType}`
+                });
+                this.downloadBlob(new Blob([pdf], { type: 'application/pdf' }), `${fileName}.pdf`);
+            } else {
+                const png = await chartExportService.exportPng(chartConfig, { ...size, dpi });
+                this.downloadBlob(png, `${fileName}-${dpi}dpi.png`);
+            }
+        } catch (error) {
+            const errorInfo = handleError(error, { context: 'export_chart', format });
+            this.displayError(errorInfo);
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    /**
+     * Offers an object as a JSON file download.
+     */
+    downloadJson(data, fileName) {
+        this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), fileName);
+    }
+
+    /**
+     * Offers a blob as a file download.
+     */
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Adds the scenarios in a library file to the saved scenarios.
+     */
+    async handleImportLibrary(event) {
+        const file = event.target.files?.[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            await scenarioLibrary.importLibrary(await file.text());
+            await this.refreshScenarioLibrary();
+        } catch (error) {
+            this.displayError(handleError(error, { context: 'import_library', file: file.name }));
+        } finally {
+            event.target.value = '';
+        }
+    }
+
     /**
      * Updates parameter display values in the UI.
      */
@@ -380,14 +768,86 @@ class UIController {
         }
     }
 
+    /**
+     * Enables the undo/redo buttons and lists the recorded steps, newest first,
+     * by the source of each change.
+     */
+    updateUndoControls() {
+        const undoButton = document.getElementById('undo');
+        const redoButton = document.getElementById('redo');
+        if (undoButton) undoButton.disabled = !applicationState.canUndo();
+        if (redoButton) redoButton.disabled = !applicationState.canRedo();
+
+        const list = document.getElementById('undoHistory');
+        if (!list) return;
+
+        list.replaceChildren(...applicationState.getUndoHistory().reverse().map(step => {
+            const item = document.createElement('li');
+            const fields = step.changed.length > 3 ? `${step.changed.length} settings` : step.changed.join(', ');
+            item.textContent = `${new Date(step.timestamp).toLocaleTimeString()} ${step.source}${fields ? ` (${fields})` : ''}`;
+            if (step.current) {
+                item.style.fontWeight = 'bold';
+            }
+            return item;
+        }));
+    }
+
     /**
      * Updates visualization-specific controls.
      */
     updateVisualizationControls(state) {
-        const tauInput = document.getElementById('tau');
-        if (tauInput) {
-            // Disable tau input for Tax Effect Curves since it's varied automatically
-            tauInput.disabled = (state.visualizationType === 'Tax Effect Curves');
+        const visualizeSelect = document.getElementById('visualize');
+        if (visualizeSelect) {
+            visualizeSelect.value = state.visualizationType;
+        }
+        document.querySelectorAll('select.heatmap-select').forEach(select => {
+            select.value = state.heatmapSettings[select.dataset.setting];
+        });
+        
+        const isHeatmap = state.visualizationType === 'Heatmap';
+        const heatmapAxes = isHeatmap ? [state.heatmapSettings.x, state.heatmapSettings.y] : [];
+        
+        document.querySelectorAll('input[type="range"]').forEach(input => {
+            // Disable inputs for parameters the chart sweeps automatically
+            input.disabled = heatmapAxes.includes(input.id) || (input.id === 'tau' &&
+                ['Tax Effect Curves', 'Welfare Cost', 'Revenue & Excess Burden'].includes(state.visualizationType));
+        });
+        
+        const heatmapControls = document.getElementById('heatmapControls');
+        if (heatmapControls) {
+            heatmapControls.style.display = isHeatmap ? 'flex' : 'none';
+        }
+        
+        const comparisonControls = document.getElementById('comparisonControls');
+        if (comparisonControls) {
+            comparisonControls.style.display = state.visualizationType === 'Scenario Comparison' ? 'flex' : 'none';
+        }
+        this.updatePinnedScenarios(state.comparisonScenarios);
+    }
+
+    /**
+     * Lists the pinned scenarios, each with a button to unpin it.
+     */
+    updatePinnedScenarios(scenarios) {
+        const container = document.getElementById('pinnedScenarios');
+        if (!container) return;
+
+        container.replaceChildren(...scenarios.map(scenario => {
+            const chip = document.createElement('span');
+            chip.style.cssText = 'padding: 4px 8px; border: 1px solid #ccc; border-radius: 12px; background: #f0f0f0;';
+            chip.textContent = `${scenario.name} `;
+
+            const remove = document.createElement('button');
+            remove.textContent = '×';
+            remove.title = `Unpin ${scenario.name}`;
+            remove.addEventListener('click', () => applicationState.unpinScenario(scenario.id, 'ui_button'));
+            chip.appendChild(remove);
+            return chip;
+        }));
+
+        const pinCurrent = document.getElementById('pinCurrent');
+        if (pinCurrent) {
+            pinCurrent.disabled = scenarios.length >= MAX_COMPARISON_SCENARIOS;
         }
     }
 
@@ -460,6 +920,12 @@ class UIController {
      */
     updateChart(chartConfig) {
         try {
+            if (this.chart && this.chart.config.type !== chartConfig.type) {
+                // Chart.js cannot switch controllers in place (e.g. line to matrix)
+                this.chart.destroy();
+                this.chart = null;
+            }
+            
             if (this.chart) {
                 // Update existing chart for better performance
                 this.chart.data = chartConfig.data;
@@ -486,17 +952,23 @@ class UIController {
      */
     async updateTaxEffectTable(parameters) {
         try {
-            const tableContainer = document.getElementById('tableContainer');
-            if (tableContainer) {
-                const tableHTML = await generateTaxEffectTable(parameters);
-                tableContainer.innerHTML = tableHTML;
-                tableContainer.style.display = tableHTML.trim() ? 'block' : 'none';
-            }
+            this.showTable(await generateTaxEffectTable(parameters));
         } catch (error) {
             console.warn('Failed to update tax effect table:', error);
         }
     }
 
+    /**
+     * Shows a table below the chart, or hides the container when there is none.
+     */
+    showTable(tableHTML) {
+        const tableContainer = document.getElementById('tableContainer');
+        if (tableContainer) {
+            tableContainer.innerHTML = tableHTML;
+            tableContainer.style.display = tableHTML.trim() ? 'block' : 'none';
+        }
+    }
+
     /**
      * Updates loading state indicators.
      */
@@ -514,6 +986,21 @@ class UIController {
         }
     }
 
+    /**
+     * Shows how much of a running sweep (e.g. the heatmap grid) is solved.
+     */
+    updateSweepProgress(progress) {
+        const bar = document.getElementById('sweepProgress');
+        if (!bar) return;
+        
+        bar.hidden = !progress;
+        if (progress) {
+            bar.max = progress.total;
+            bar.value = progress.done;
+            bar.title = `Solved ${progress.done} of ${progress.total} points`;
+        }
+    }
+
     /**
      * Displays error messages to the user.
      */
@@ -570,6 +1057,12 @@ async function startApplication() {
         // Add performance monitoring
         setupPerformanceMonitoring();
         
+        // Restore a shared configuration and keep the URL in sync
+        await restorePermalink();
+        setupPermalinkSync();
+        
+        registerServiceWorker();
+        
         console.log('Application started successfully');
         
     } catch (error) {
@@ -590,6 +1083,72 @@ async function startApplication() {
     }
 }
 
+/**
+ * Registers the service worker that caches the app for offline use. Pages
+ * opened from the file system cannot have one.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext || location.protocol === 'file:') {
+        return;
+    }
+    navigator.serviceWorker.register('./sw.js').catch((error) => {
+        console.warn('Offline support unavailable:', error.message);
+    });
+}
+
+/**
+ * Restores the state encoded in the URL hash, if there is one.
+ */
+async function restorePermalink() {
+    let state;
+    try {
+        state = decodePermalink(window.location.hash);
+    } catch (error) {
+        applicationState.addError(handleError(error, { context: 'permalink' }), 'permalink');
+        return;
+    }
+
+    if (!state) {
+        // Give the starting entry a link too, so going back to it restores it
+        history.replaceState(null, '', encodePermalink(getApplication().exportState()));
+        return;
+    }
+
+    try {
+        await getApplication().importState(state);
+    } catch (error) {
+        // importState has already reported the invalid parameters
+        console.warn('Failed to restore permalink:', error);
+    }
+}
+
+/**
+ * Writes every settled change of parameters, view or pins into the URL as a new
+ * history entry, and restores the linked state on back/forward.
+ */
+function setupPermalinkSync() {
+    const settleDelay = 500; // ms, so a slider drag becomes one history entry
+    let pendingUpdate = null;
+
+    subscribe((newState, oldState, changeSet) => {
+        if (!(changeSet.parameters || changeSet.visualizationType ||
+              changeSet.heatmapSettings || changeSet.comparisonScenarios)) {
+            return;
+        }
+
+        clearTimeout(pendingUpdate);
+        pendingUpdate = setTimeout(() => {
+            // A restored state encodes to the link it came from, so back/forward adds no entries
+            const hash = encodePermalink(getApplication().exportState());
+            if (hash !== window.location.hash) {
+                history.pushState(null, '', hash);
+            }
+        }, settleDelay);
+    });
+
+    window.addEventListener('popstate', () => restorePermalink());
+}
+
 /**
  * Sets up performance monitoring and debugging tools.
  */
@@ -622,6 +1181,7 @@ function updatePerformanceDisplay() {
 
     try {
         const stats = app.getPerformanceStats();
+        const certificate = applicationState.getState().lastOptimizationResult?.certificate;
         
         const html = `
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
@@ -629,9 +1189,9 @@ function updatePerformanceDisplay() {
                     <h4>Optimization Performance</h4>
                     <div>Worker Jobs: ${stats.workerJobs}</div>
                     <div>Main Thread Jobs: ${stats.mainThreadJobs}</div>
-                    <div>Avg Worker Time: ${stats.avgWorkerTime.toFixed(2)}ms</div>
-                    <div>Avg Main Thread Time: ${stats.avgMainThreadTime.toFixed(2)}ms</div>
-                    <div>Worker Speedup: ${stats.workerSpeedup.toFixed(2)}x</div>
+                    <div>Avg Worker Time: ${(stats.avgWorkerTime || 0).toFixed(2)}ms</div>
+                    <div>Avg Main Thread Time: ${(stats.avgMainThreadTime || 0).toFixed(2)}ms</div>
+                    <div>Worker Speedup: ${(stats.workerSpeedup || 0).toFixed(2)}x</div>
                     <div>Recommend Workers: ${stats.recommendUseWorkers ? 'Yes' : 'No'}</div>
                 </div>
                 <div>
@@ -645,6 +1205,7 @@ function updatePerformanceDisplay() {
                     <div>Success Rate: ${((stats.workerStats?.successRate || 0) * 100).toFixed(1)}%</div>
                 </div>
             </div>
+            ${formatCertificate(certificate)}
             <div style="margin-top: 15px;">
                 <h4>Mathematical Cache Performance</h4>
                 <div>Last Updated: ${new Date().toLocaleTimeString()}</div>
@@ -658,6 +1219,43 @@ function updatePerformanceDisplay() {
     }
 }
 
+/**
+ * Whether an element keeps its own undo history: text fields, selects and
+ * editable content, but not sliders, whose changes are the model's to undo.
+ */
+function isTextEntry(element) {
+    if (!element) return false;
+    if (element.isContentEditable) return true;
+    const tag = element.tagName;
+    if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+    return tag === 'INPUT' && element.type !== 'range';
+}
+
+/**
+ * Formats the optimality certificate of the last optimization for the performance panel.
+ */
+function formatCertificate(certificate) {
+    if (!certificate) return '';
+
+    const colors = { interior: 'green', boundary: '#b8860b', failed: 'red' };
+    const slackRows = certificate.slacks
+        .map(({ constraint, slack, active }) =>
+            `<div>${constraint}: ${slack.toExponential(2)}${active ? ' (binding)' : ''}</div>`)
+        .join('');
+
+    return `
+            <div style="margin-top: 15px;">
+                <h4>Optimality Certificate</h4>
+                <div>Verdict: <span style="color: ${colors[certificate.verdict]};">${certificate.verdict}</span></div>
+                <div>Gradient Norm: ${certificate.gradientNorm.toExponential(2)}</div>
+                <div>KKT Residual: ${certificate.kktResidual.toExponential(2)}</div>
+                <div>Hessian: ${certificate.hessianNegativeDefinite ? 'negative definite' : 'not negative definite'}</div>
+                <div>Active Constraints: ${certificate.activeConstraints.join(', ') || 'none'}</div>
+                ${slackRows}
+            </div>
+        `;
+}
+
 // Start the application when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', startApplication);
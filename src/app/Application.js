@@ -3,11 +3,15 @@
  * Coordinates between state management, optimization, visualization, and UI components.
  */
 
-import { applicationState, subscribe } from '../state/ApplicationState.js';
+import { applicationState, subscribe, MAX_COMPARISON_SCENARIOS } from '../state/ApplicationState.js';
 import { optimizationService } from '../services/OptimizationService.js';
 import { visualizationService } from '../services/VisualizationService.js';
+import { welfareService } from '../services/WelfareService.js';
 import { handleError } from '../errors/ErrorHandler.js';
-import { validateParameters } from '../utils/ParameterValidator.js';
+import { ValidationError } from '../errors/ErrorTypes.js';
+import { validateParameters, validateParametersOrThrow } from '../utils/ParameterValidator.js';
+import { getTaxEvents, applyLevy } from '../math/TaxEvents.js';
+import { serializeState, parseStateFile } from '../state/StateFormat.js';
 
 /**
  * Main application class that coordinates all components.
@@ -27,6 +31,9 @@ export class Application {
         // Throttling for parameter changes
         this.calculationThrottle = null;
         this.throttleDelay = 100; // ms
+        
+        // Cancels the latest calculation and its chart once parameters change again
+        this.calculationController = null;
     }
 
     /**
@@ -76,7 +83,8 @@ export class Application {
      */
     async handleStateChange(newState, oldState, changeSet) {
         // Handle parameter changes
-        if (changeSet.parameters || changeSet.visualizationType) {
+        const comparisonChanged = changeSet.comparisonScenarios && newState.visualizationType === 'Scenario Comparison';
+        if (changeSet.parameters || changeSet.visualizationType || changeSet.heatmapSettings || comparisonChanged) {
             await this.handleParameterChange(newState);
         }
         
@@ -100,6 +108,9 @@ export class Application {
             clearTimeout(this.calculationThrottle);
         }
         
+        // Results for the old parameters are no longer wanted
+        this.calculationController?.abort();
+        
         // Throttle calculations to avoid excessive computation during rapid parameter changes
         this.calculationThrottle = setTimeout(async () => {
             try {
@@ -115,17 +126,46 @@ export class Application {
      * Handles completion of optimization and triggers visualization update.
      */
     async handleOptimizationComplete(newState) {
+        // The chart belongs to the calculation that produced the result
+        const controller = this.calculationController || new AbortController();
+        const { signal } = controller;
+        
         try {
+            const options = {
+                heatmap: newState.heatmapSettings,
+                signal,
+                onProgress: (done, total) => {
+                    if (!signal.aborted) {
+                        this.state.setSweepProgress({ done, total }, 'sweep_progress');
+                    }
+                }
+            };
+            if (newState.visualizationType === 'Scenario Comparison') {
+                options.comparison = await this.solveComparison(newState.comparisonScenarios, newState.parameters, { signal });
+                signal.throwIfAborted();
+                this.state.setComparisonResults(options.comparison, 'comparison_complete');
+            }
+            
             const chartConfig = await visualizationService.generateVisualizationConfig(
                 newState.visualizationType,
-                newState.parameters
+                newState.parameters,
+                options
             );
             
+            signal.throwIfAborted();
             this.state.setChartConfig(chartConfig, 'optimization_complete');
             
         } catch (error) {
+            // Abandoned for newer parameters, whose chart is on its way
+            if (error.name === 'AbortError') {
+                return;
+            }
             const errorInfo = handleError(error, { context: 'visualization_generation' });
             this.state.addError(errorInfo, 'visualization');
+        } finally {
+            if (!signal.aborted && this.state.getState().sweepProgress) {
+                this.state.setSweepProgress(null, 'sweep_complete');
+            }
         }
     }
 
@@ -143,6 +183,12 @@ export class Application {
     async performCalculation(parameters, visualizationType) {
         const startTime = performance.now();
         
+        // Only the latest calculation may write its results
+        this.calculationController?.abort();
+        const controller = new AbortController();
+        this.calculationController = controller;
+        const { signal } = controller;
+        
         try {
             // Validate parameters first
             const validation = validateParameters(parameters);
@@ -154,7 +200,8 @@ export class Application {
             this.state.setCalculating(true, 'calculation_start');
             
             // Perform optimization
-            const optimizationResult = await optimizationService.findOptimalWealth(parameters);
+            const optimizationResult = await optimizationService.findOptimalWealth(parameters, { signal });
+            signal.throwIfAborted();
             
             // Update state with results
             this.state.setCalculationResults({
@@ -167,6 +214,10 @@ export class Application {
             console.log(`Calculation completed in ${(performance.now() - startTime).toFixed(2)}ms`, optimizationResult);
             
         } catch (error) {
+            // A newer calculation has taken over, calculating state included
+            if (error.name === 'AbortError') {
+                return;
+            }
             this.state.setCalculating(false, 'calculation_error');
             
             const errorInfo = handleError(error, { 
@@ -181,6 +232,67 @@ export class Application {
         }
     }
 
+    /**
+     * Pins a parameter set ({name, parameters, origin}) for comparison mode.
+     * Parameters are laid over the current ones, so a partial set (e.g. a preset)
+     * is still complete; invalid sets and pins beyond the limit are rejected.
+     */
+    pinScenario(scenario) {
+        const { comparisonScenarios, parameters } = this.state.getState();
+        const pinned = { ...scenario, parameters: { ...parameters, ...scenario.parameters } };
+        
+        if (comparisonScenarios.length >= MAX_COMPARISON_SCENARIOS) {
+            throw new ValidationError(
+                `At most ${MAX_COMPARISON_SCENARIOS} scenarios can be compared`, pinned.parameters
+            );
+        }
+        validateParametersOrThrow(pinned.parameters);
+        
+        return this.state.pinScenario(pinned, `pin_${scenario.origin || 'ui'}`);
+    }
+
+    /**
+     * Solves every pinned scenario (or the current parameters when none are
+     * pinned): the optimal plan and the welfare cost of its tax. A scenario that
+     * cannot be solved keeps its error instead of failing the whole comparison.
+     *
+     * @param {Array<Object>} scenarios - Pinned scenarios [{id, name, parameters}]
+     * @param {Object} currentParameters - Parameters on the sliders
+     * @param {Object} [options] - {signal}, an AbortSignal that abandons the comparison
+     * @returns {Array<Object>} [{id, name, parameters, optimization, w1, afterTax, w2, welfareChange, error}]
+     */
+    async solveComparison(scenarios, currentParameters, options = {}) {
+        const compared = scenarios.length > 0
+            ? scenarios
+            : [{ id: 0, name: 'Current settings', parameters: currentParameters }];
+        const results = [];
+        
+        for (const { id, name, parameters } of compared) {
+            try {
+                const optimization = await optimizationService.findOptimalWealth(parameters, options);
+                const { change } = await welfareService.equivalentVariation(parameters, options);
+                results.push({
+                    id,
+                    name,
+                    parameters,
+                    optimization,
+                    w1: optimization.w1,
+                    afterTax: applyLevy(getTaxEvents(parameters)[0], optimization.w1),
+                    w2: optimization.w2,
+                    welfareChange: change,
+                    error: null
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                results.push({ id, name, parameters, optimization: null, error: error.message });
+            }
+        }
+        
+        return results;
+    }
+
     /**
      * Updates performance statistics.
      */
@@ -223,6 +335,7 @@ export class Application {
             clearTimeout(this.calculationThrottle);
             this.calculationThrottle = null;
         }
+        this.calculationController?.abort();
         
         // Clear service caches
         optimizationService.clearCache();
@@ -246,6 +359,7 @@ export class Application {
      */
     getPerformanceStats() {
         return {
+            ...optimizationService.getPerformanceStats(),
             ...this.performanceStats,
             cacheHitRate: this.performanceStats.cacheHits / Math.max(this.performanceStats.calculationCount, 1),
             optimizationCacheStats: optimizationService.getCacheStats()
@@ -253,28 +367,31 @@ export class Application {
     }
 
     /**
-     * Exports current state and results for debugging or sharing.
+     * Exports current state and results as a state file (see StateFormat.js).
+     * Performance statistics are not part of it; see getPerformanceStats.
      */
     exportState() {
-        const state = this.state.getState();
-        return {
-            parameters: state.parameters,
-            visualizationType: state.visualizationType,
-            lastOptimizationResult: state.lastOptimizationResult,
-            performanceStats: this.getPerformanceStats(),
-            timestamp: new Date().toISOString()
-        };
+        return serializeState(this.state.getState());
     }
 
     /**
-     * Imports state from exported data.
+     * Imports state from a state file of any version, as text or parsed JSON
+     * (or a decoded permalink). The file is migrated and checked against the
+     * schema, and every parameter set, pinned ones included, is validated
+     * before anything changes.
      */
-    async importState(exportedState) {
+    async importState(stateFile) {
         try {
-            // Validate imported parameters
-            const validation = validateParameters(exportedState.parameters);
-            if (!validation.isValid) {
-                throw new Error(`Invalid imported parameters: ${validation.errors.join(', ')}`);
+            const exportedState = parseStateFile(stateFile);
+            
+            validateParametersOrThrow(exportedState.parameters);
+            
+            const pins = exportedState.comparisonScenarios;
+            if (pins) {
+                if (pins.length > MAX_COMPARISON_SCENARIOS) {
+                    throw new ValidationError(`At most ${MAX_COMPARISON_SCENARIOS} scenarios can be compared`);
+                }
+                pins.forEach(pin => validateParametersOrThrow(pin.parameters));
             }
             
             // Update state
@@ -282,6 +399,13 @@ export class Application {
             if (exportedState.visualizationType) {
                 this.state.setVisualizationType(exportedState.visualizationType, 'import');
             }
+            if (exportedState.heatmapSettings) {
+                this.state.setHeatmapSettings(exportedState.heatmapSettings, 'import');
+            }
+            if (pins) {
+                this.state.clearComparison('import');
+                pins.forEach(pin => this.state.pinScenario({ origin: 'import', ...pin }, 'import'));
+            }
             
             console.log('State imported successfully');
             
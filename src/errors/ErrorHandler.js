@@ -8,6 +8,7 @@ import {
     OptimizationError, 
     ValidationError, 
     VisualizationError,
+    ImportError,
     ErrorCodes,
     UserFriendlyMessages 
 } from './ErrorTypes.js';
@@ -106,6 +107,19 @@ export class ErrorHandler {
             };
         }
 
+        if (error instanceof ImportError) {
+            return {
+                ...baseInfo,
+                code: ErrorCodes[error.code] || ErrorCodes.INVALID_FILE_FORMAT,
+                userMessage: this.formatImportMessage(error),
+                technicalMessage: error.issues.length > 0 ? `${error.message}: ${error.issues.join('; ')}` : error.message,
+                canRetry: false,
+                suggestedAction: error.code === ErrorCodes.UNSUPPORTED_FILE_VERSION
+                    ? 'Update the application and import the file again'
+                    : 'Choose a file exported by this application'
+            };
+        }
+
         // Handle unknown errors
         return {
             ...baseInfo,
@@ -154,6 +168,15 @@ export class ErrorHandler {
         return UserFriendlyMessages[ErrorCodes.PARAMETER_OUT_OF_RANGE];
     }
 
+    /**
+     * Formats import error messages for user display, naming the first few problems
+     */
+    formatImportMessage(error) {
+        const shown = error.issues.slice(0, 3);
+        const more = error.issues.length > shown.length ? ` (and ${error.issues.length - shown.length} more)` : '';
+        return shown.length > 0 ? `${error.message}: ${shown.join('; ')}${more}` : error.message;
+    }
+
     /**
      * Logs error information to console with appropriate level
      */
@@ -209,7 +232,7 @@ export class ErrorHandler {
      * Determines if an error is recoverable and worth retrying
      */
     isRecoverable(error) {
-        if (error instanceof ValidationError) {
+        if (error instanceof ValidationError || error instanceof ImportError) {
             return false; // Need user input to fix
         }
         
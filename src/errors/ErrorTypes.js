@@ -78,6 +78,25 @@ export class VisualizationError extends Error {
     }
 }
 
+/**
+ * Error class for files and links that cannot be imported: not a saved
+ * state, damaged, or written by a newer version of the application.
+ * `issues` lists the specific problems found (e.g. schema mismatches).
+ */
+export class ImportError extends Error {
+    constructor(message, code = 'INVALID_FILE_FORMAT', issues = []) {
+        super(message);
+        this.name = 'ImportError';
+        this.code = code;
+        this.issues = issues;
+        this.timestamp = new Date().toISOString();
+        
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, this.constructor);
+        }
+    }
+}
+
 /**
  * Error codes for categorizing different types of failures
  */
@@ -105,6 +124,10 @@ export const ErrorCodes = {
     INVALID_CHART_TYPE: 'INVALID_CHART_TYPE',
     DATA_PREPARATION_FAILED: 'DATA_PREPARATION_FAILED',
     
+    // Import Errors
+    INVALID_FILE_FORMAT: 'INVALID_FILE_FORMAT',
+    UNSUPPORTED_FILE_VERSION: 'UNSUPPORTED_FILE_VERSION',
+    
     // General Errors
     UNKNOWN_ERROR: 'UNKNOWN_ERROR'
 };
@@ -133,5 +156,8 @@ export const UserFriendlyMessages = {
     [ErrorCodes.INVALID_CHART_TYPE]: 'Unknown visualization type selected.',
     [ErrorCodes.DATA_PREPARATION_FAILED]: 'Failed to prepare data for visualization.',
     
+    [ErrorCodes.INVALID_FILE_FORMAT]: 'The file is not a saved scenario from this application.',
+    [ErrorCodes.UNSUPPORTED_FILE_VERSION]: 'The file was saved by a newer version of this application.',
+    
     [ErrorCodes.UNKNOWN_ERROR]: 'An unexpected error occurred. Please try again or adjust your parameters.'
 };
\ No newline at end of file
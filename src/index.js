@@ -0,0 +1,103 @@
+/**
+ * Node.js entry point: the model, optimizer, sweeps and validators without the
+ * browser. These are the same modules and singletons the web app uses, so the
+ * numbers match what the charts and tables show.
+ *
+ *   import { DEFAULT_PARAMETERS, findOptimalWealth } from 'midlife-wealth-tax';
+ *   const { w1, w2 } = await findOptimalWealth({ ...DEFAULT_PARAMETERS, tau: 0.2 });
+ *
+ * Rendering, workers and browser storage (charts, chart export, the scenario
+ * library) are left out.
+ */
+
+// Model
+export {
+    kappa,
+    getModelExtensions,
+    bequestUtility,
+    afterTaxWealth,
+    lifetimeUtility,
+    maxWealthAtTax,
+    checkConstraints,
+    multiEventLifetimeUtility,
+    checkMultiEventConstraints,
+    planConstraintSlacks,
+    multiEventDerivatives,
+    createMultiEventPaths
+} from './math/UtilityFunctions.js';
+export {
+    getTaxEvents,
+    levyAmount,
+    levyCollected,
+    applyLevy,
+    withTaxRate,
+    withoutTaxes,
+    isMultiEvent,
+    getSegmentBoundaries
+} from './math/TaxEvents.js';
+export { createIncomeProfile, incomeAt, presentValueOfIncome } from './math/IncomeProfile.js';
+export { createAssessmentSchedule, assessLevy, marginalAssessmentRate } from './math/AssessmentSchedule.js';
+export { createShelteredAccount, shelteredBalanceAt } from './math/ShelteredAccount.js';
+export { createOptimalityCertificate } from './math/OptimalityCertificate.js';
+
+// Optimizer and sweeps
+export {
+    OptimizationService,
+    optimizationService,
+    findOptimalWealth,
+    sweepParameters
+} from './services/OptimizationService.js';
+export {
+    WelfareService,
+    welfareService,
+    equivalentVariation,
+    revenueAnalysis
+} from './services/WelfareService.js';
+export {
+    visualizationService,
+    HEATMAP_PARAMETERS,
+    HEATMAP_OUTPUTS
+} from './services/VisualizationService.js';
+export {
+    DataExportService,
+    dataExportService,
+    exportCsv,
+    exportXlsx,
+    EXPORT_TABLES
+} from './services/DataExportService.js';
+export {
+    BatchService,
+    batchService,
+    runBatch,
+    BATCH_FORMAT,
+    BATCH_RESULTS_FORMAT
+} from './services/BatchService.js';
+
+// Validation and saved state
+export {
+    ParameterValidator,
+    validateParameters,
+    validateParametersOrThrow,
+    DEFAULT_PARAMETERS,
+    PARAMETER_RANGES
+} from './utils/ParameterValidator.js';
+export {
+    STATE_FORMAT,
+    STATE_VERSION,
+    STATE_SCHEMA,
+    serializeState,
+    parseStateFile,
+    migrateState,
+    migrateParameters
+} from './state/StateFormat.js';
+export { decodePermalink, encodePermalink } from './utils/Permalink.js';
+
+// Errors
+export {
+    MathematicalError,
+    OptimizationError,
+    ValidationError,
+    VisualizationError,
+    ImportError,
+    ErrorCodes
+} from './errors/ErrorTypes.js';
@@ -0,0 +1,98 @@
+/**
+ * Piecewise-linear financial-aid assessment schedules.
+ * Real aid formulas shelter wealth below an asset protection allowance and
+ * assess the remainder at tiered marginal rates; this module turns those rules
+ * into a continuous levy function with explicit kinks.
+ */
+
+/**
+ * Builds a normalized assessment schedule.
+ *
+ * Wealth up to `allowance` is not assessed. Assessable wealth (above the
+ * allowance) is taxed by brackets [{from, rate}], where `from` is measured in
+ * assessable wealth. Without brackets the whole excess is assessed at `rate`.
+ *
+ * @param {number} allowance - Asset protection allowance
+ * @param {Array<Object>|null} brackets - Tiers [{from, rate}] above the allowance
+ * @param {number} rate - Flat rate used when no brackets are given
+ * @returns {Object|null} Schedule {allowance, brackets, thresholds} or null for a flat levy on all wealth
+ */
+export function createAssessmentSchedule(allowance = 0, brackets = null, rate = 0) {
+    const hasBrackets = Array.isArray(brackets) && brackets.length > 0;
+
+    if (!(allowance > 0) && !hasBrackets) {
+        return null;
+    }
+
+    const tiers = (hasBrackets ? brackets : [{ from: 0, rate }])
+        .map(bracket => ({ from: bracket.from, rate: bracket.rate }))
+        .sort((a, b) => a.from - b.from)
+        .map((bracket, index, sorted) => ({
+            ...bracket,
+            to: index + 1 < sorted.length ? sorted[index + 1].from : Infinity
+        }));
+
+    // Absolute wealth levels where the marginal rate changes (wealth below the
+    // allowance is assessed at zero, so the allowance itself is usually a kink)
+    const thresholds = [];
+    let previousRate = 0;
+    for (const tier of tiers) {
+        const threshold = (allowance || 0) + tier.from;
+        if (tier.rate !== previousRate && threshold > 0) {
+            thresholds.push(threshold);
+        }
+        previousRate = tier.rate;
+    }
+
+    return {
+        allowance: allowance || 0,
+        brackets: tiers,
+        thresholds
+    };
+}
+
+/**
+ * Levy assessed on a given wealth level.
+ *
+ * @param {Object} schedule - Schedule from createAssessmentSchedule
+ * @param {number} wealth - Wealth at the assessment date
+ * @returns {number} Amount assessed
+ */
+export function assessLevy(schedule, wealth) {
+    const assessable = wealth - schedule.allowance;
+    if (assessable <= 0) {
+        return 0;
+    }
+
+    let levy = 0;
+    for (const bracket of schedule.brackets) {
+        if (assessable <= bracket.from) {
+            break;
+        }
+        levy += bracket.rate * (Math.min(assessable, bracket.to) - bracket.from);
+    }
+
+    return levy;
+}
+
+/**
+ * Marginal assessment rate at a given wealth level (right derivative at kinks).
+ *
+ * @param {Object} schedule - Schedule from createAssessmentSchedule
+ * @param {number} wealth - Wealth at the assessment date
+ * @returns {number} Marginal rate
+ */
+export function marginalAssessmentRate(schedule, wealth) {
+    const assessable = wealth - schedule.allowance;
+    if (assessable < 0) {
+        return 0;
+    }
+
+    for (const bracket of schedule.brackets) {
+        if (assessable >= bracket.from && assessable < bracket.to) {
+            return bracket.rate;
+        }
+    }
+
+    return 0;
+}
@@ -0,0 +1,60 @@
+/**
+ * Contour lines of a function sampled on a rectangular grid (marching squares).
+ * Used to draw the lifetime utility surface the optimizer climbs.
+ */
+
+/**
+ * Line segments where a gridded function crosses a level.
+ *
+ * Cells with a non-finite corner (e.g. infeasible plans) are skipped, so
+ * contours stop at the edge of the feasible region. Crossings are placed by
+ * linear interpolation along cell edges; saddle cells are resolved with the
+ * cell's mean value.
+ *
+ * @param {Array<Array<number>>} values - values[i][j] at (xs[i], ys[j])
+ * @param {Array<number>} xs - Grid x coordinates, increasing
+ * @param {Array<number>} ys - Grid y coordinates, increasing
+ * @param {number} level - Contour level
+ * @returns {Array<Array<Object>>} Segments [[{x, y}, {x, y}], ...]
+ */
+export function contourSegments(values, xs, ys, level) {
+    const segments = [];
+
+    for (let i = 0; i < xs.length - 1; i++) {
+        for (let j = 0; j < ys.length - 1; j++) {
+            // Corners counter-clockwise from bottom-left
+            const corners = [
+                { x: xs[i], y: ys[j], value: values[i][j] },
+                { x: xs[i + 1], y: ys[j], value: values[i + 1][j] },
+                { x: xs[i + 1], y: ys[j + 1], value: values[i + 1][j + 1] },
+                { x: xs[i], y: ys[j + 1], value: values[i][j + 1] }
+            ];
+            if (!corners.every(corner => isFinite(corner.value))) {
+                continue;
+            }
+
+            // Crossing on edge k (corner k to corner k + 1), or null
+            const crossings = corners.map((from, k) => {
+                const to = corners[(k + 1) % 4];
+                if ((from.value >= level) === (to.value >= level)) {
+                    return null;
+                }
+                const share = (level - from.value) / (to.value - from.value);
+                return { x: from.x + (to.x - from.x) * share, y: from.y + (to.y - from.y) * share };
+            });
+            const edges = crossings.map((point, k) => (point ? k : -1)).filter(k => k >= 0);
+
+            if (edges.length === 2) {
+                segments.push([crossings[edges[0]], crossings[edges[1]]]);
+            } else if (edges.length === 4) {
+                const mean = corners.reduce((sum, corner) => sum + corner.value, 0) / 4;
+                const pairs = (mean >= level) === (corners[0].value >= level)
+                    ? [[0, 1], [2, 3]] // Cut off the two corners unlike the centre
+                    : [[3, 0], [1, 2]];
+                pairs.forEach(([a, b]) => segments.push([crossings[a], crossings[b]]));
+            }
+        }
+    }
+
+    return segments;
+}
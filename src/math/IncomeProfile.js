@@ -0,0 +1,159 @@
+/**
+ * Deterministic labor income profiles for the lifetime budget constraint.
+ * Converts the earnings parameters into piecewise-exponential segments and
+ * values them in closed form so the period utility stays analytic.
+ */
+
+import { MathematicalError } from '../errors/ErrorTypes.js';
+
+/**
+ * Builds a normalized income profile from economic parameters.
+ *
+ * Supported shapes:
+ * - constant:  y0 per year until retirement (g = 0)
+ * - growing:   y0 growing at rate g until retirement
+ * - piecewise: incomePhases [{start, end, level, growth}] in years from the start
+ *
+ * Retirement (tR) is measured in years after the tax date and is clamped to
+ * the post-tax period, so earnings always stop inside t2.
+ *
+ * @param {Object} parameters - Economic parameters {t1, t2, y0, g, tR, incomePhases}
+ * @returns {Object|null} Profile {type, retirement, segments} or null when there is no income
+ */
+export function createIncomeProfile(parameters) {
+    const { t1, t2, y0 = 0, g = 0, tR = t2, incomePhases } = parameters;
+    const retirement = t1 + Math.min(Math.max(tR, 0), t2);
+
+    let type;
+    let rawSegments;
+
+    if (Array.isArray(incomePhases) && incomePhases.length > 0) {
+        type = 'piecewise';
+        rawSegments = incomePhases.map(phase => ({
+            start: phase.start,
+            end: phase.end,
+            level: phase.level,
+            growth: phase.growth || 0
+        }));
+    } else if (y0 > 0) {
+        type = g === 0 ? 'constant' : 'growing';
+        rawSegments = [{ start: 0, end: retirement, level: y0, growth: g }];
+    } else {
+        return null;
+    }
+
+    // Clip every segment to the working life [0, retirement]
+    const segments = rawSegments
+        .map(segment => ({
+            ...segment,
+            start: Math.max(segment.start, 0),
+            end: Math.min(segment.end, retirement),
+            // Level is quoted at the phase start; re-base it if the phase was clipped
+            level: segment.level * Math.exp(segment.growth * (Math.max(segment.start, 0) - segment.start))
+        }))
+        .filter(segment => segment.end > segment.start && segment.level > 0)
+        .sort((a, b) => a.start - b.start);
+
+    if (segments.length === 0) {
+        return null;
+    }
+
+    return { type, retirement, segments };
+}
+
+/**
+ * Annual earnings at absolute time t.
+ *
+ * @param {Object|null} profile - Income profile from createIncomeProfile
+ * @param {number} t - Time in years from the start of the model
+ * @returns {number} Earnings rate at time t
+ */
+export function incomeAt(profile, t) {
+    if (!profile) {
+        return 0;
+    }
+
+    for (const segment of profile.segments) {
+        if (t >= segment.start && t < segment.end) {
+            return segment.level * Math.exp(segment.growth * (t - segment.start));
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Present value at time `from` of all earnings received during [from, to].
+ * Each segment integrates level * e^{g(s - start)} * e^{-r(s - from)} in closed form.
+ *
+ * @param {Object|null} profile - Income profile from createIncomeProfile
+ * @param {number} r - Interest rate
+ * @param {number} from - Valuation date and start of the window
+ * @param {number} to - End of the window
+ * @returns {number} Present value of earnings in the window
+ */
+export function presentValueOfIncome(profile, r, from, to) {
+    if (!profile || to <= from) {
+        return 0;
+    }
+
+    let total = 0;
+
+    for (const segment of profile.segments) {
+        const a = Math.max(from, segment.start);
+        const b = Math.min(to, segment.end);
+        if (b <= a) {
+            continue;
+        }
+
+        const levelAtA = segment.level * Math.exp(segment.growth * (a - segment.start));
+        const discountToFrom = Math.exp(-r * (a - from));
+        const netRate = segment.growth - r;
+        const span = b - a;
+
+        // Integral of e^{(g - r) s} over the overlap, with the g = r limit handled explicitly
+        const integral = Math.abs(netRate) < 1e-12
+            ? span
+            : (Math.exp(netRate * span) - 1) / netRate;
+
+        total += levelAtA * discountToFrom * integral;
+    }
+
+    if (!isFinite(total)) {
+        throw new MathematicalError('Income present value produced non-finite result', { r, from, to, total });
+    }
+
+    return total;
+}
+
+/**
+ * Restricts a profile to one period of the model.
+ * Path functions take the window and measure time relative to its start.
+ *
+ * @param {Object|null} profile - Income profile from createIncomeProfile
+ * @param {number} start - Period start in years from the start of the model
+ * @param {number} end - Period end in years from the start of the model
+ * @returns {Object|null} Income window {profile, start, end} or null when there is no income
+ */
+export function incomeWindow(profile, start, end) {
+    if (!profile) {
+        return null;
+    }
+    return { profile, start, end };
+}
+
+/**
+ * Present value at the window start of earnings received in its first `elapsed` years.
+ *
+ * @param {Object|null} window - Income window from incomeWindow
+ * @param {number} r - Interest rate
+ * @param {number} [elapsed] - Years since the window start (defaults to the whole window)
+ * @returns {number} Human wealth accrued so far, valued at the window start
+ */
+export function windowHumanWealth(window, r, elapsed = Infinity) {
+    if (!window) {
+        return 0;
+    }
+    const to = Math.min(window.start + elapsed, window.end);
+    return presentValueOfIncome(window.profile, r, window.start, to);
+}
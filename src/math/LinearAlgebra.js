@@ -0,0 +1,87 @@
+/**
+ * Small dense linear algebra helpers for the Newton solver.
+ * Plans have at most a handful of coordinates, so plain arrays and a
+ * Cholesky factorization are all that is needed.
+ */
+
+/**
+ * Cholesky factorization of a symmetric positive definite matrix.
+ *
+ * @param {Array<Array<number>>} matrix - Symmetric matrix
+ * @returns {Array<Array<number>>|null} Lower-triangular L with L L^T = matrix, or null if not positive definite
+ */
+export function cholesky(matrix) {
+    const n = matrix.length;
+    const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= lower[i][k] * lower[j][k];
+            }
+
+            if (i === j) {
+                if (!(sum > 0) || !isFinite(sum)) {
+                    return null;
+                }
+                lower[i][i] = Math.sqrt(sum);
+            } else {
+                lower[i][j] = sum / lower[j][j];
+            }
+        }
+    }
+
+    return lower;
+}
+
+/**
+ * Solves (L L^T) x = b given a Cholesky factor L.
+ *
+ * @param {Array<Array<number>>} lower - Factor from cholesky
+ * @param {Array<number>} b - Right-hand side
+ * @returns {Array<number>} Solution x
+ */
+export function solveCholesky(lower, b) {
+    const n = b.length;
+    const y = new Array(n).fill(0);
+    const x = new Array(n).fill(0);
+
+    for (let i = 0; i < n; i++) {
+        let sum = b[i];
+        for (let k = 0; k < i; k++) {
+            sum -= lower[i][k] * y[k];
+        }
+        y[i] = sum / lower[i][i];
+    }
+
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = y[i];
+        for (let k = i + 1; k < n; k++) {
+            sum -= lower[k][i] * x[k];
+        }
+        x[i] = sum / lower[i][i];
+    }
+
+    return x;
+}
+
+/**
+ * Checks whether a symmetric matrix is negative definite.
+ *
+ * @param {Array<Array<number>>} matrix - Symmetric matrix
+ * @returns {boolean} True if -matrix has a Cholesky factorization
+ */
+export function isNegativeDefinite(matrix) {
+    return cholesky(matrix.map(row => row.map(value => -value))) !== null;
+}
+
+/**
+ * Largest absolute entry of a vector (infinity norm).
+ *
+ * @param {Array<number>} vector - Vector
+ * @returns {number} Infinity norm
+ */
+export function maxNorm(vector) {
+    return vector.reduce((largest, value) => Math.max(largest, Math.abs(value)), 0);
+}
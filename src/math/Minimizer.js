@@ -0,0 +1,165 @@
+/**
+ * Unconstrained minimization for the optimizer's fallback search.
+ * A BFGS quasi-Newton method with a backtracking line search and a
+ * finite-difference gradient: the algorithm of numeric.js's uncmin, whose
+ * arithmetic it follows step for step so fallback results are unchanged.
+ */
+
+const EPSILON = 2.220446049250313e-16;
+
+/**
+ * Minimizes a function of a few variables.
+ *
+ * @param {Function} f - Objective, taking an array of numbers
+ * @param {Array<number>} start - Starting point
+ * @param {Object} [options] - {tolerance, maxIterations}
+ * @returns {Object} {solution, f, gradient, invHessian, iterations, message}
+ * @throws {Error} If the objective is NaN at the start
+ */
+export function minimize(f, start, { tolerance = 1e-8, maxIterations = 1000 } = {}) {
+    const n = start.length;
+    let x0 = [...start];
+    let f0 = f(x0);
+    if (isNaN(f0)) {
+        throw new Error('minimize: f(start) is NaN');
+    }
+    const tol = Math.max(tolerance, EPSILON);
+
+    let H = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+    let g0 = numericalGradient(f, x0);
+    let iterations = 0;
+    let message = '';
+
+    while (iterations < maxIterations) {
+        if (!g0.every(isFinite)) {
+            message = 'Gradient has Infinity or NaN';
+            break;
+        }
+        const step = H.map(row => -dot(row, g0));
+        if (!step.every(isFinite)) {
+            message = 'Search direction has Infinity or NaN';
+            break;
+        }
+        const stepNorm = norm(step);
+        if (stepNorm < tol) {
+            message = 'Newton step smaller than tol';
+            break;
+        }
+
+        // Backtrack until the decrease is a tenth of the linear prediction
+        const slope = dot(g0, step);
+        let t = 1;
+        let s;
+        let x1 = x0;
+        let f1;
+        while (iterations < maxIterations) {
+            if (t * stepNorm < tol) {
+                break;
+            }
+            s = step.map(value => value * t);
+            x1 = x0.map((value, i) => value + s[i]);
+            f1 = f(x1);
+            if (f1 - f0 >= 0.1 * t * slope || isNaN(f1)) {
+                t *= 0.5;
+                ++iterations;
+                continue;
+            }
+            break;
+        }
+        if (t * stepNorm < tol) {
+            message = 'Line search step size smaller than tol';
+            break;
+        }
+        if (iterations === maxIterations) {
+            message = 'maxit reached during line search';
+            break;
+        }
+
+        // BFGS update of the inverse Hessian
+        const g1 = numericalGradient(f, x1);
+        const y = g1.map((value, i) => value - g0[i]);
+        const ys = dot(y, s);
+        const Hy = H.map(row => dot(row, y));
+        const scale = (ys + dot(y, Hy)) / (ys * ys);
+        H = H.map((row, i) => row.map((value, j) =>
+            (value + scale * (s[i] * s[j])) - (Hy[i] * s[j] + s[i] * Hy[j]) / ys));
+
+        x0 = x1;
+        f0 = f1;
+        g0 = g1;
+        ++iterations;
+    }
+
+    return { solution: x0, f: f0, gradient: g0, invHessian: H, iterations, message };
+}
+
+/**
+ * Central-difference gradient. Each step starts at max(1e-6 f, 1e-8) and is
+ * cut sixteenfold until the one-sided and central differences agree.
+ *
+ * @throws {Error} After 20 cuts in all
+ */
+function numericalGradient(f, x) {
+    const f0 = f(x);
+    if (isNaN(f0)) {
+        throw new Error('gradient: f(x) is NaN');
+    }
+    const point = [...x];
+    const gradient = new Array(x.length);
+    let cuts = 0;
+
+    for (let i = 0; i < x.length; i++) {
+        let h = Math.max(1e-6 * f0, 1e-8);
+        while (true) {
+            if (++cuts > 20) {
+                throw new Error('Numerical gradient fails');
+            }
+            point[i] = x[i] + h;
+            const f1 = f(point);
+            point[i] = x[i] - h;
+            const f2 = f(point);
+            point[i] = x[i];
+            if (isNaN(f1) || isNaN(f2)) {
+                h /= 16;
+                continue;
+            }
+            gradient[i] = (f1 - f2) / (2 * h);
+            const forward = (f1 - f0) / h;
+            const backward = (f0 - f2) / h;
+            const scale = Math.max(Math.abs(gradient[i]), Math.abs(f0), Math.abs(f1), Math.abs(f2),
+                Math.abs(x[i] - h), Math.abs(x[i]), Math.abs(x[i] + h), 1e-8);
+            const error = Math.min(Math.max(Math.abs(forward - gradient[i]), Math.abs(backward - gradient[i]),
+                Math.abs(forward - backward)) / scale, h / scale);
+            if (error > 1e-3) {
+                h /= 16;
+            } else {
+                break;
+            }
+        }
+    }
+    return gradient;
+}
+
+/**
+ * Dot product, summed from the last element in pairs as numeric.js does.
+ */
+function dot(x, y) {
+    const n = x.length;
+    let sum = x[n - 1] * y[n - 1];
+    let i;
+    for (i = n - 2; i >= 1; i -= 2) {
+        sum += x[i] * y[i] + x[i - 1] * y[i - 1];
+    }
+    if (i === 0) {
+        sum += x[0] * y[0];
+    }
+    return sum;
+}
+
+function norm(x) {
+    let sum = 0;
+    for (let i = x.length - 1; i >= 0; i--) {
+        sum += x[i] * x[i];
+    }
+    return Math.sqrt(sum);
+}
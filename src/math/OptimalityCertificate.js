@@ -0,0 +1,129 @@
+/**
+ * Optimality certificates for optimized plans.
+ * A reported optimum is checked against the Karush-Kuhn-Tucker conditions at
+ * the plan itself, so a real optimum can be told apart from a grid point or an
+ * artifact of the optimizer's penalty wall.
+ */
+
+import { getModelExtensions, multiEventDerivatives, planConstraintSlacks } from './UtilityFunctions.js';
+import { getChainNodes } from './ShelteredAccount.js';
+import { isNegativeDefinite, maxNorm } from './LinearAlgebra.js';
+
+const DEFAULT_TOLERANCES = {
+    stationarity: 1e-6, // Utility gain from a 100% move in a coordinate, relative to |U|
+    activeSlack: 1e-6 // Slack (as a share of w0) below which a constraint binds
+};
+
+/**
+ * Certifies an optimization result.
+ *
+ * Every plan coordinate is classed as free, held at a binding bound, or held at
+ * an assessment threshold (bunching). Free coordinates need a zero gradient;
+ * a coordinate at a lower (upper) bound needs a non-positive (non-negative) one,
+ * i.e. a non-negative multiplier; at a threshold the right derivative must be
+ * non-positive and the left one non-negative. The KKT residual is the largest
+ * violation, scaled to a proportional move in the coordinate and relative to
+ * |U|. The Hessian over the free coordinates must be negative definite.
+ *
+ * @param {Object} parameters - Economic parameters
+ * @param {Object} result - Optimization result {eventWealth, w2, shelter, bunching, utility}
+ * @param {Object} [extensions] - Optional model extensions from getModelExtensions
+ * @param {Object} [tolerances] - Overrides for {stationarity, activeSlack}
+ * @returns {Object} {verdict: 'interior'|'boundary'|'failed', gradientNorm, kktResidual,
+ *                    hessianNegativeDefinite, slacks: [{constraint, slack, active}], activeConstraints}
+ */
+export function createOptimalityCertificate(parameters, result, extensions = getModelExtensions(parameters), tolerances = {}) {
+    const { stationarity, activeSlack } = { ...DEFAULT_TOLERANCES, ...tolerances };
+    const { w0 = 1 } = parameters;
+    const { eventWealth, w2, shelter = null, bunching = [], utility } = result;
+    const vector = [...(shelter ? [shelter.amount] : []), ...eventWealth, w2];
+
+    const slacks = planConstraintSlacks(eventWealth, w2, parameters, extensions, shelter)
+        .map(entry => ({ ...entry, active: entry.slack <= activeSlack * w0 }));
+    const kinks = getKinkPositions(bunching, extensions, shelter);
+    const report = {
+        slacks: slacks.map(({ constraint, slack, active }) => ({ constraint, slack, active })),
+        activeConstraints: [
+            ...slacks.filter(entry => entry.active).map(entry => entry.constraint),
+            ...[...kinks].map(([position, threshold]) => `W${position - (shelter ? 1 : 0) + 1} = ${threshold}`)
+        ]
+    };
+
+    const derivatives = isFinite(utility) ? multiEventDerivatives(parameters, eventWealth, w2, extensions, shelter) : null;
+    if (!derivatives) {
+        return { verdict: 'failed', gradientNorm: NaN, kktResidual: Infinity, hessianNegativeDefinite: false, ...report };
+    }
+
+    const utilityScale = Math.max(1, Math.abs(utility));
+    const freePositions = [];
+    let residual = 0;
+
+    vector.forEach((value, position) => {
+        const gradient = derivatives.gradient[position];
+        const scale = Math.max(Math.abs(value), 1e-3 * w0);
+        const binding = slacks.filter(entry => entry.active && entry.position === position);
+        let violation;
+
+        if (kinks.has(position)) {
+            const below = [...vector];
+            below[position] -= 1e-9 * scale;
+            const left = leftGradient(parameters, below, position, extensions, shelter);
+            violation = Math.max(gradient, 0) + Math.max(-left, 0);
+        } else if (binding.some(entry => entry.bound === 'lower')) {
+            violation = Math.max(gradient, 0);
+        } else if (binding.some(entry => entry.bound === 'upper')) {
+            violation = Math.max(-gradient, 0);
+        } else {
+            violation = Math.abs(gradient);
+            freePositions.push(position);
+        }
+
+        residual = Math.max(residual, violation * scale / utilityScale);
+    });
+
+    const reducedHessian = freePositions.map(i => freePositions.map(k => derivatives.hessian[i][k]));
+    const hessianNegativeDefinite = reducedHessian.length === 0 || isNegativeDefinite(reducedHessian);
+    const atBoundary = report.activeConstraints.length > 0;
+
+    let verdict = 'failed';
+    if (residual <= stationarity && hessianNegativeDefinite) {
+        verdict = atBoundary ? 'boundary' : 'interior';
+    }
+
+    return {
+        verdict,
+        gradientNorm: maxNorm(freePositions.map(position => derivatives.gradient[position])),
+        kktResidual: residual,
+        hessianNegativeDefinite,
+        ...report
+    };
+}
+
+/**
+ * Plan positions held at an assessment threshold (position -> threshold),
+ * from a result's bunching list.
+ */
+function getKinkPositions(bunching, extensions, shelter) {
+    const nodes = getChainNodes(extensions.taxEvents, shelter?.release);
+    const offset = shelter ? 1 : 0;
+    return new Map(bunching.map(({ event, threshold }) => [
+        nodes.findIndex(node => node.event === extensions.taxEvents[event]) + offset,
+        threshold
+    ]));
+}
+
+/**
+ * Derivative in one coordinate just below a kink (the analytic gradient is the
+ * right derivative), or 0 when that point is infeasible.
+ */
+function leftGradient(parameters, vector, position, extensions, shelter) {
+    const offset = shelter ? 1 : 0;
+    const derivatives = multiEventDerivatives(
+        parameters,
+        vector.slice(offset, -1),
+        vector[vector.length - 1],
+        extensions,
+        shelter ? { ...shelter, amount: vector[0] } : null
+    );
+    return derivatives ? derivatives.gradient[position] : 0;
+}
@@ -0,0 +1,101 @@
+/**
+ * Sheltered savings for the lifetime wealth model.
+ * Retirement accounts and home equity are ignored by aid formulas, so money
+ * placed there at the start escapes every levy; the price is that it stays
+ * illiquid until an unlock date or is released early at a penalty.
+ */
+
+/**
+ * Builds the sheltered account available to a household.
+ *
+ * The household may place up to `shelterLimit` (a share of w0) in the account
+ * at time 0, where it earns the market rate r. The balance unlocks
+ * `shelterUnlock` years after the tax date. A `shelterPenalty` below 1 also
+ * allows an early release right after the first levy, losing that share of
+ * the balance; a penalty of 1 makes the account strictly illiquid.
+ *
+ * @param {Object} parameters - Economic parameters {t1, t2, w0, shelterLimit, shelterUnlock, shelterPenalty}
+ * @returns {Object|null} Account {limit, unlock, penalty} or null when there is no sheltered account
+ */
+export function createShelteredAccount(parameters) {
+    const { t1, t2, w0 = 1, shelterLimit = 0, shelterUnlock = t2, shelterPenalty = 1 } = parameters;
+
+    if (!(shelterLimit > 0)) {
+        return null;
+    }
+
+    return {
+        limit: shelterLimit * w0,
+        // Unlocking at or after death would turn the account into a bequest; keep it inside life
+        unlock: t1 + Math.min(Math.max(shelterUnlock, 0), t2 * 0.999),
+        penalty: Math.min(Math.max(shelterPenalty, 0), 1)
+    };
+}
+
+/**
+ * Dates at which the household can release the account, each with its haircut.
+ *
+ * @param {Object} account - Account from createShelteredAccount
+ * @param {Array<Object>} taxEvents - Normalized events from getTaxEvents
+ * @returns {Array<Object>} Release options [{time, haircut}]
+ */
+export function getReleaseOptions(account, taxEvents) {
+    const options = [{ time: account.unlock, haircut: 0 }];
+    const firstLevy = taxEvents[0].time;
+
+    if (account.penalty < 1 && account.unlock > firstLevy) {
+        options.push({ time: firstLevy, haircut: account.penalty });
+    }
+
+    return options;
+}
+
+/**
+ * Value of the account paid into liquid wealth at release.
+ *
+ * @param {number} r - Interest rate
+ * @param {Object} shelter - Sheltered holding {amount, release: {time, haircut}}
+ * @returns {number} Released amount
+ */
+export function releasedValue(r, shelter) {
+    const { amount, release } = shelter;
+    return amount * Math.exp(r * release.time) * (1 - release.haircut);
+}
+
+/**
+ * Sheltered balance held at absolute time t (zero once released).
+ *
+ * @param {number} r - Interest rate
+ * @param {Object|null} shelter - Sheltered holding {amount, release}
+ * @param {number} t - Time in years from the start of the model
+ * @returns {number} Balance in the account
+ */
+export function shelteredBalanceAt(r, shelter, t) {
+    if (!shelter || t >= shelter.release.time) {
+        return 0;
+    }
+    return shelter.amount * Math.exp(r * t);
+}
+
+/**
+ * Dates where liquid wealth jumps: every tax event plus the release, in time order.
+ * A release on a levy date is merged into that node and paid out after the levy.
+ *
+ * @param {Array<Object>} taxEvents - Normalized events from getTaxEvents
+ * @param {Object|null} [release] - Release option {time, haircut}
+ * @returns {Array<Object>} Nodes [{time, event, release}]
+ */
+export function getChainNodes(taxEvents, release = null) {
+    const nodes = taxEvents.map(event => ({ time: event.time, event, release: null }));
+
+    if (release) {
+        const sameDate = nodes.find(node => Math.abs(node.time - release.time) < 1e-9);
+        if (sameDate) {
+            sameDate.release = release;
+        } else {
+            nodes.push({ time: release.time, event: null, release });
+        }
+    }
+
+    return nodes.sort((a, b) => a.time - b.time);
+}
@@ -0,0 +1,197 @@
+/**
+ * Tax event schedule for the lifetime wealth model.
+ * A household can face several midlife levies (e.g. one per child entering college);
+ * each event is a (time, rate) pair applied to wealth held at that date, optionally
+ * through an allowance-and-brackets assessment schedule instead of a flat rate,
+ * and optionally alongside the college bill paid on the same date.
+ */
+
+import { createAssessmentSchedule, assessLevy, marginalAssessmentRate } from './AssessmentSchedule.js';
+
+/**
+ * Normalizes the tax events implied by a parameter set.
+ *
+ * Without `taxEvents` the model has the classic single levy of rate tau at t1.
+ * Otherwise each entry {offset, rate} is placed `offset` years after t1, and a
+ * missing (or null) rate falls back to tau so the tax-rate slider still moves
+ * every levy.
+ *
+ * When an allowance or assessment brackets are set, every event assesses wealth
+ * through that schedule (its rate applies above the allowance unless brackets
+ * give their own rates); otherwise `schedule` is null and the levy is rate * wealth.
+ *
+ * A positive `tuition` adds a college bill to every event. In 'fixed' mode it is
+ * paid on top of the levy (the levy being aid lost to wealth); in 'netOfAid' mode
+ * it is the sticker price and the levy only reduces aid, so the family pays
+ * min(tuition, levy).
+ *
+ * @param {Object} parameters - Economic parameters {t1, tau, taxEvents, allowance, assessmentBrackets, tuition, tuitionMode}
+ * @returns {Array<Object>} Events [{time, rate, schedule, outlay}] sorted by time
+ */
+export function getTaxEvents(parameters) {
+    const {
+        t1,
+        tau,
+        taxEvents,
+        allowance = 0,
+        assessmentBrackets = null,
+        tuition = 0,
+        tuitionMode = 'fixed'
+    } = parameters;
+    const outlay = tuition > 0 ? { price: tuition, netOfAid: tuitionMode === 'netOfAid' } : null;
+
+    const events = (!Array.isArray(taxEvents) || taxEvents.length === 0)
+        ? [{ time: t1, rate: tau }]
+        : taxEvents.map(event => ({
+            time: t1 + (event.offset || 0),
+            rate: typeof event.rate === 'number' ? event.rate : tau
+        }));
+
+    return events
+        .map(event => ({
+            ...event,
+            schedule: createAssessmentSchedule(allowance, assessmentBrackets, event.rate),
+            outlay
+        }))
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Amount levied by an event on pre-levy wealth.
+ *
+ * @param {Object} event - Normalized event from getTaxEvents
+ * @param {number} wealth - Pre-levy wealth
+ * @returns {number} Levy amount
+ */
+export function levyAmount(event, wealth) {
+    return event.schedule ? assessLevy(event.schedule, wealth) : event.rate * wealth;
+}
+
+/**
+ * Amount the levy actually collects. When the college bill is quoted net of aid,
+ * aid cannot fall below zero, so the levy collects at most the sticker price.
+ *
+ * @param {Object} event - Normalized event from getTaxEvents
+ * @param {number} wealth - Pre-levy wealth
+ * @returns {number} Levy collected
+ */
+export function levyCollected(event, wealth) {
+    const levy = levyAmount(event, wealth);
+    return event.outlay?.netOfAid ? Math.min(event.outlay.price, levy) : levy;
+}
+
+/**
+ * Total cash leaving the household at an event: the levy plus any college bill.
+ *
+ * @param {Object} event - Normalized event from getTaxEvents
+ * @param {number} wealth - Pre-levy wealth
+ * @returns {number} Cash drop at the event
+ */
+export function cashOutflow(event, wealth) {
+    const levy = levyAmount(event, wealth);
+    if (!event.outlay) {
+        return levy;
+    }
+
+    const { price, netOfAid } = event.outlay;
+    return netOfAid ? Math.min(price, levy) : levy + price;
+}
+
+/**
+ * Marginal cash outflow at an event: how much more leaves the household per
+ * extra unit of pre-levy wealth (right derivative at kinks). Once a bill quoted
+ * net of aid is fully paid, extra wealth costs nothing more.
+ *
+ * @param {Object} event - Normalized event from getTaxEvents
+ * @param {number} wealth - Pre-levy wealth
+ * @returns {number} Marginal outflow rate
+ */
+export function marginalCashOutflow(event, wealth) {
+    if (event.outlay?.netOfAid && levyAmount(event, wealth) >= event.outlay.price) {
+        return 0;
+    }
+    return marginalLevyRate(event, wealth);
+}
+
+/**
+ * Wealth left after an event's levy and college bill.
+ *
+ * @param {Object} event - Normalized event from getTaxEvents
+ * @param {number} wealth - Pre-levy wealth
+ * @returns {number} Post-levy wealth
+ */
+export function applyLevy(event, wealth) {
+    return wealth - cashOutflow(event, wealth);
+}
+
+/**
+ * Marginal levy rate an event imposes at a wealth level.
+ *
+ * @param {Object} event - Normalized event from getTaxEvents
+ * @param {number} wealth - Pre-levy wealth
+ * @returns {number} Marginal rate
+ */
+export function marginalLevyRate(event, wealth) {
+    return event.schedule ? marginalAssessmentRate(event.schedule, wealth) : event.rate;
+}
+
+/**
+ * Parameters with the headline tax rate set to tau.
+ * A flat schedule (with or without an allowance) simply takes tau as its rate.
+ * Explicit brackets keep their shape and are scaled so the top marginal rate equals tau.
+ *
+ * @param {Object} parameters - Economic parameters
+ * @param {number} tau - Headline tax rate
+ * @returns {Object} Parameters for that tax rate
+ */
+export function withTaxRate(parameters, tau) {
+    const { assessmentBrackets } = parameters;
+    if (!Array.isArray(assessmentBrackets) || assessmentBrackets.length === 0) {
+        return { ...parameters, tau };
+    }
+
+    const topRate = Math.max(...assessmentBrackets.map(bracket => bracket.rate));
+    const scale = topRate > 0 ? tau / topRate : 0;
+    return {
+        ...parameters,
+        tau,
+        assessmentBrackets: assessmentBrackets.map(bracket => ({ ...bracket, rate: bracket.rate * scale }))
+    };
+}
+
+/**
+ * Parameters for the same household with every levy removed, including
+ * explicit per-event rates. Other features (earnings, sheltered account,
+ * college bill) are kept, so the only difference is the tax itself.
+ *
+ * @param {Object} parameters - Economic parameters
+ * @returns {Object} Untaxed parameters
+ */
+export function withoutTaxes(parameters) {
+    const untaxed = withTaxRate(parameters, 0);
+    if (Array.isArray(parameters.taxEvents)) {
+        untaxed.taxEvents = parameters.taxEvents.map(event => ({ ...event, rate: 0 }));
+    }
+    return untaxed;
+}
+
+/**
+ * Checks whether a parameter set has more than one tax event.
+ *
+ * @param {Object} parameters - Economic parameters
+ * @returns {boolean} True if the model needs the multi-event solver
+ */
+export function isMultiEvent(parameters) {
+    return Array.isArray(parameters.taxEvents) && parameters.taxEvents.length > 1;
+}
+
+/**
+ * Segment boundaries between consecutive events: [0, e1, ..., eK, t1 + t2].
+ *
+ * @param {Array<Object>} events - Normalized events from getTaxEvents (or chain nodes with a time)
+ * @param {number} horizon - End of life (t1 + t2)
+ * @returns {Array<number>} Boundary times, one more than the number of segments
+ */
+export function getSegmentBoundaries(events, horizon) {
+    return [0, ...events.map(event => event.time), horizon];
+}
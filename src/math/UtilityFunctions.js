@@ -5,6 +5,9 @@
 
 import { MathematicalError } from '../errors/ErrorTypes.js';
 import { validateParametersOrThrow } from '../utils/ParameterValidator.js';
+import { createIncomeProfile, presentValueOfIncome, windowHumanWealth, incomeWindow } from './IncomeProfile.js';
+import { getTaxEvents, getSegmentBoundaries, applyLevy, marginalCashOutflow } from './TaxEvents.js';
+import { createShelteredAccount, getChainNodes, releasedValue } from './ShelteredAccount.js';
 // import { MemoizedMath, paramCache, expCache } from './MathCache.js'; // Temporarily disabled
 
 // Fallback to regular Math functions
@@ -122,8 +125,120 @@ export function U2(r, rho, gamma, T, A, B) {
     }
 }
 
+/**
+ * Calculates U2 together with its first and second derivatives with respect to
+ * term1 = e^{rT} A - B. U2 is M * term1^(1-γ) / (1-γ) plus a constant (log form
+ * for γ = 1), so U2' = M * term1^(-γ) and U2'' = -γ * U2' / term1, with
+ * M = (1 - e^{-κT}) κ^(-γ) / term2^(1-γ).
+ * 
+ * @param {number} r - Interest rate
+ * @param {number} rho - Impatience rate
+ * @param {number} gamma - Risk aversion parameter
+ * @param {number} T - Time period length
+ * @param {number} A - Initial wealth for period
+ * @param {number} B - Terminal wealth for period
+ * @returns {Object} {value, first, second} derivatives with respect to term1
+ */
+export function U2Derivatives(r, rho, gamma, T, A, B) {
+    const value = U2(r, rho, gamma, T, A, B);
+    
+    const expRT = MemoizedMath.exp(r * T);
+    const term1 = expRT * A - B;
+    const kappaVal = kappa(r, rho, gamma);
+    const term2 = expRT - MemoizedMath.exp((r - rho) * T / gamma);
+    const scale = (1 - MemoizedMath.exp(-kappaVal * T)) * MemoizedMath.pow(kappaVal, -gamma) /
+        MemoizedMath.pow(term2, 1 - gamma);
+    
+    const first = scale * MemoizedMath.pow(term1, -gamma);
+    const second = -gamma * first / term1;
+    
+    if (!isFinite(first) || !isFinite(second)) {
+        throw new MathematicalError('U2 derivatives produced non-finite result', { r, rho, gamma, T, A, B });
+    }
+    
+    return { value, first, second };
+}
+
+/**
+ * Collects the optional model extensions implied by a parameter set.
+ * Computed once per optimization and passed to lifetimeUtility to keep the
+ * inner loop free of parameter parsing.
+ * 
+ * @param {Object} parameters - Economic parameters
+ * @returns {Object} Extensions {income, taxEvents, shelteredAccount}
+ */
+export function getModelExtensions(parameters) {
+    return {
+        income: createIncomeProfile(parameters),
+        taxEvents: getTaxEvents(parameters),
+        shelteredAccount: createShelteredAccount(parameters)
+    };
+}
+
+/**
+ * Calculates bequest utility for terminal wealth.
+ * Returns -Infinity for non-positive bequests so callers can apply their penalty.
+ * 
+ * @param {number} beta - Bequest importance parameter
+ * @param {number} eta - Bequest risk aversion
+ * @param {number} w2 - Terminal wealth (bequest)
+ * @returns {number} Bequest utility value
+ */
+export function bequestUtility(beta, eta, w2) {
+    if (w2 <= 0) {
+        return -Infinity;
+    }
+    
+    if (eta === 1) {
+        // Log utility for bequest with memoization
+        return beta * MemoizedMath.log(Math.max(w2, 1e-10));
+    }
+    
+    // Power utility for bequest with memoization
+    const etaTerm = 1 - eta;
+    return beta * MemoizedMath.pow(Math.max(w2, 1e-10), etaTerm) / etaTerm;
+}
+
+/**
+ * Calculates bequest utility with its first and second derivatives.
+ * 
+ * @param {number} beta - Bequest importance parameter
+ * @param {number} eta - Bequest risk aversion
+ * @param {number} w2 - Terminal wealth (bequest), must be positive
+ * @returns {Object} {value, first, second}
+ */
+export function bequestDerivatives(beta, eta, w2) {
+    const first = beta * MemoizedMath.pow(w2, -eta);
+    return {
+        value: bequestUtility(beta, eta, w2),
+        first,
+        second: -eta * first / w2
+    };
+}
+
+/**
+ * Wealth left at the tax date after the levy and any college bill.
+ * Uses the first event's assessment schedule and outlay when configured and
+ * the flat rate tau otherwise.
+ * 
+ * @param {number} w1 - Wealth at tax time
+ * @param {number} tau - Flat tax rate
+ * @param {Object} [extensions] - Optional model extensions from getModelExtensions
+ * @returns {number} Post-tax wealth
+ */
+export function afterTaxWealth(w1, tau, extensions = {}) {
+    const firstEvent = extensions.taxEvents?.[0];
+    if (firstEvent?.schedule || firstEvent?.outlay) {
+        return applyLevy(firstEvent, w1);
+    }
+    return w1 * (1 - tau);
+}
+
 /**
  * Calculates lifetime utility combining consumption utilities and bequest utility.
+ * Labor income enters each period as human wealth (present value of earnings
+ * at the period start) added to the initial wealth of that period. A college
+ * bill configured in the extensions is paid out of wealth at the tax date.
  * 
  * @param {number} r - Interest rate
  * @param {number} rho - Impatience rate
@@ -136,46 +251,35 @@ export function U2(r, rho, gamma, T, A, B) {
  * @param {number} w0 - Initial wealth
  * @param {number} w1 - Wealth at tax time
  * @param {number} w2 - Terminal wealth (bequest)
+ * @param {Object} [extensions] - Optional model extensions from getModelExtensions
  * @returns {number} Lifetime utility value
  */
-export function lifetimeUtility(r, rho, gamma, t1, t2, beta, eta, tau, w0, w1, w2) {
+export function lifetimeUtility(r, rho, gamma, t1, t2, beta, eta, tau, w0, w1, w2, extensions = {}) {
     try {
+        const { income = null } = extensions;
+        const humanWealth1 = presentValueOfIncome(income, r, 0, t1);
+        const humanWealth2 = presentValueOfIncome(income, r, t1, t1 + t2);
+        
         // Calculate period 1 utility (pre-tax)
-        const u1 = U2(r, rho, gamma, t1, w0, w1);
+        const u1 = U2(r, rho, gamma, t1, w0 + humanWealth1, w1);
         if (!isFinite(u1) || u1 === -Infinity) {
             return -5000; // Large penalty for infeasible solutions
         }
         
-        // Calculate period 2 utility (post-tax)
-        const u2 = U2(r, rho, gamma, t2, w1 * (1 - tau), w2);
+        // Calculate period 2 utility (post-tax); a bracketed schedule or college bill replaces the flat rate
+        const u2 = U2(r, rho, gamma, t2, afterTaxWealth(w1, tau, extensions) + humanWealth2, w2);
         if (!isFinite(u2) || u2 === -Infinity) {
             return -5000;
         }
         
-        // Calculate bequest utility
-        let bequestUtility;
-        if (w2 <= 0) {
-            return -5000; // Negative bequest not allowed
-        }
-        
-        if (eta === 1) {
-            // Log utility for bequest with memoization
-            bequestUtility = beta * MemoizedMath.log(Math.max(w2, 1e-10));
-        } else {
-            // Power utility for bequest with memoization
-            if (w2 <= 0 && (1 - eta) % 1 !== 0) {
-                return -5000;
-            }
-            const etaTerm = 1 - eta;
-            bequestUtility = beta * MemoizedMath.pow(Math.max(w2, 1e-10), etaTerm) / etaTerm;
-        }
-        
-        if (!isFinite(bequestUtility) || isNaN(bequestUtility)) {
+        // Calculate bequest utility (negative bequest not allowed)
+        const bequest = bequestUtility(beta, eta, w2);
+        if (!isFinite(bequest) || isNaN(bequest)) {
             return -5000;
         }
         
         // Combine utilities with memoized exponential
-        const totalUtility = u1 + MemoizedMath.exp(-rho * t1) * u2 + bequestUtility;
+        const totalUtility = u1 + MemoizedMath.exp(-rho * t1) * u2 + bequest;
         
         // Final check for mathematical validity
         if (!isFinite(totalUtility) || isNaN(totalUtility)) {
@@ -199,16 +303,17 @@ export function lifetimeUtility(r, rho, gamma, t1, t2, beta, eta, tau, w0, w1, w
  * @param {number} t1 - Period 1 length
  * @param {number} w0 - Initial wealth
  * @param {number} w1 - Terminal wealth for period 1
+ * @param {Object|null} [income] - Income window for period 1 from incomeWindow
  * @returns {number} Initial consumption level
  */
-export function initialConsumption1(r, rho, gamma, t1, w0, w1) {
+export function initialConsumption1(r, rho, gamma, t1, w0, w1, income = null) {
     try {
         const k = kappa(r, rho, gamma);
         // Pre-compute common exponentials
         const expRt1 = MemoizedMath.exp(r * t1);
         const expRminusRhoT1 = MemoizedMath.exp((r - rho) * t1 / gamma);
         
-        const num = k * (expRt1 * w0 - w1);
+        const num = k * (expRt1 * (w0 + windowHumanWealth(income, r)) - w1);
         const den = expRt1 - expRminusRhoT1;
         
         if (Math.abs(den) < 1e-10) {
@@ -241,16 +346,18 @@ export function initialConsumption1(r, rho, gamma, t1, w0, w1) {
  * @param {number} w1 - Initial wealth for period 2 (pre-tax)
  * @param {number} tau - Tax rate
  * @param {number} w2 - Terminal wealth for period 2
+ * @param {Object|null} [income] - Income window for period 2 from incomeWindow
+ * @param {Object} [extensions] - Optional model extensions (assessment schedule, college bill)
  * @returns {number} Initial consumption level for period 2
  */
-export function initialConsumption2(r, rho, gamma, t2, w1, tau, w2) {
+export function initialConsumption2(r, rho, gamma, t2, w1, tau, w2, income = null, extensions = {}) {
     try {
         const k = kappa(r, rho, gamma);
         // Pre-compute common exponentials
         const expRt2 = MemoizedMath.exp(r * t2);
         const expRminusRhoT2 = MemoizedMath.exp((r - rho) * t2 / gamma);
         
-        const num = k * (expRt2 * w1 * (1 - tau) - w2);
+        const num = k * (expRt2 * (afterTaxWealth(w1, tau, extensions) + windowHumanWealth(income, r)) - w2);
         const den = expRt2 - expRminusRhoT2;
         
         if (Math.abs(den) < 1e-10) {
@@ -283,11 +390,12 @@ export function initialConsumption2(r, rho, gamma, t2, w1, tau, w2) {
  * @param {number} t1 - Period length
  * @param {number} w0 - Initial wealth
  * @param {number} w1 - Terminal wealth
+ * @param {Object|null} [income] - Income window for period 1 from incomeWindow
  * @returns {Function} Wealth path function w(t)
  */
-export function createWealthPath1(r, rho, gamma, t1, w0, w1) {
+export function createWealthPath1(r, rho, gamma, t1, w0, w1, income = null) {
     const k = kappa(r, rho, gamma);
-    const c = initialConsumption1(r, rho, gamma, t1, w0, w1);
+    const c = initialConsumption1(r, rho, gamma, t1, w0, w1, income);
     
     return function(t) {
         if (t < 0 || t > t1) {
@@ -296,7 +404,7 @@ export function createWealthPath1(r, rho, gamma, t1, w0, w1) {
         
         const expRt = MemoizedMath.exp(r * t);
         const expNegKt = MemoizedMath.exp(-k * t);
-        const result = expRt * w0 - c * expRt * (1 - expNegKt) / k;
+        const result = expRt * (w0 + windowHumanWealth(income, r, t)) - c * expRt * (1 - expNegKt) / k;
         
         if (!isFinite(result)) {
             throw new MathematicalError('Wealth path calculation produced non-finite result', { t, result });
@@ -317,11 +425,14 @@ export function createWealthPath1(r, rho, gamma, t1, w0, w1) {
  * @param {number} w1 - Initial wealth (pre-tax)
  * @param {number} tau - Tax rate
  * @param {number} w2 - Terminal wealth
+ * @param {Object|null} [income] - Income window for period 2 from incomeWindow
+ * @param {Object} [extensions] - Optional model extensions (assessment schedule, college bill)
  * @returns {Function} Wealth path function w(s)
  */
-export function createWealthPath2(r, rho, gamma, t2, w1, tau, w2) {
+export function createWealthPath2(r, rho, gamma, t2, w1, tau, w2, income = null, extensions = {}) {
     const k = kappa(r, rho, gamma);
-    const c = initialConsumption2(r, rho, gamma, t2, w1, tau, w2);
+    const c = initialConsumption2(r, rho, gamma, t2, w1, tau, w2, income, extensions);
+    const postTaxWealth = afterTaxWealth(w1, tau, extensions);
     
     return function(s) {
         if (s < 0 || s > t2) {
@@ -330,7 +441,7 @@ export function createWealthPath2(r, rho, gamma, t2, w1, tau, w2) {
         
         const expRs = MemoizedMath.exp(r * s);
         const expNegKs = MemoizedMath.exp(-k * s);
-        const result = expRs * w1 * (1 - tau) - c * expRs * (1 - expNegKs) / k;
+        const result = expRs * (postTaxWealth + windowHumanWealth(income, r, s)) - c * expRs * (1 - expNegKs) / k;
         
         if (!isFinite(result)) {
             throw new MathematicalError('Wealth path calculation produced non-finite result', { s, result });
@@ -390,16 +501,31 @@ export function createConsumptionPath2(r, rho, gamma, c02) {
     };
 }
 
+/**
+ * Maximum wealth reachable at the tax date (no consumption, all earnings saved).
+ * 
+ * @param {Object} parameters - Economic parameters {r, t1, w0, ...income}
+ * @param {Object} [extensions] - Optional model extensions from getModelExtensions
+ * @returns {number} Upper bound on w1
+ */
+export function maxWealthAtTax(parameters, extensions = getModelExtensions(parameters)) {
+    const { r, t1, w0 = 1 } = parameters;
+    const humanWealth1 = presentValueOfIncome(extensions.income, r, 0, t1);
+    return MemoizedMath.exp(r * t1) * (w0 + humanWealth1);
+}
+
 /**
  * Checks if a wealth pair (w1, w2) satisfies all economic constraints.
+ * With labor income the upper bounds include the future value of earnings.
  * 
  * @param {number} w1 - Wealth at tax time
  * @param {number} w2 - Terminal wealth
- * @param {Object} parameters - Economic parameters {r, t1, t2, tau, w0}
+ * @param {Object} parameters - Economic parameters {r, t1, t2, tau, w0, ...income}
+ * @param {Object} [extensions] - Optional model extensions from getModelExtensions
  * @returns {boolean} True if constraints are satisfied
  */
-export function checkConstraints(w1, w2, parameters) {
-    const { r, t1, t2, tau, w0 = 1 } = parameters;
+export function checkConstraints(w1, w2, parameters, extensions = getModelExtensions(parameters)) {
+    const { r, t1, t2, tau } = parameters;
     
     // Basic positivity constraints
     if (w1 <= 0 || w2 <= 0) {
@@ -407,16 +533,338 @@ export function checkConstraints(w1, w2, parameters) {
     }
     
     // Wealth cannot exceed maximum possible (all income, no consumption)
-    const maxW1 = MemoizedMath.exp(r * t1) * w0;
+    const maxW1 = maxWealthAtTax(parameters, extensions);
     if (w1 >= maxW1) {
         return false;
     }
     
     // Post-tax wealth cannot exceed maximum possible in period 2
-    const maxW2 = w1 * (1 - tau) * MemoizedMath.exp(r * t2);
+    const humanWealth2 = presentValueOfIncome(extensions.income, r, t1, t1 + t2);
+    const maxW2 = (afterTaxWealth(w1, tau, extensions) + humanWealth2) * MemoizedMath.exp(r * t2);
     if (w2 >= maxW2) {
         return false;
     }
     
     return true;
-}
\ No newline at end of file
+}
+
+/**
+ * Wealth entering the segment after a chain node: the node's levy is taken
+ * first, then any sheltered balance released on that date is paid in.
+ */
+function wealthAfterNode(node, wealth, r, shelter) {
+    const levied = node.event ? applyLevy(node.event, wealth) : wealth;
+    return node.release ? levied + releasedValue(r, shelter) : levied;
+}
+
+/**
+ * Calculates lifetime utility when wealth is levied at several dates.
+ * The lifetime is split into segments between consecutive tax events; each
+ * segment contributes its closed-form U2 discounted to time 0, and wealth
+ * entering the next segment is the pre-levy wealth net of that event's levy.
+ * With a single event this reduces exactly to lifetimeUtility.
+ * 
+ * A sheltered holding moves `amount` out of liquid wealth at time 0 and adds
+ * its release date as an extra node, so `eventWealth` then carries liquid
+ * wealth just before the release as well (see getChainNodes).
+ * 
+ * @param {Object} parameters - Economic parameters
+ * @param {Array<number>} eventWealth - Pre-levy wealth at each chain node, in time order
+ * @param {number} w2 - Terminal wealth (bequest)
+ * @param {Object} [extensions] - Optional model extensions from getModelExtensions
+ * @param {Object|null} [shelter] - Sheltered holding {amount, release}
+ * @returns {number} Lifetime utility value
+ */
+export function multiEventLifetimeUtility(parameters, eventWealth, w2, extensions = getModelExtensions(parameters), shelter = null) {
+    const { r, rho, gamma, t1, t2, beta, eta, w0 = 1 } = parameters;
+    const { income = null, taxEvents } = extensions;
+    
+    try {
+        const nodes = getChainNodes(taxEvents, shelter?.release);
+        const boundaries = getSegmentBoundaries(nodes, t1 + t2);
+        let startWealth = w0 - (shelter?.amount || 0);
+        let totalUtility = 0;
+        
+        for (let j = 0; j < boundaries.length - 1; j++) {
+            const start = boundaries[j];
+            const end = boundaries[j + 1];
+            const endWealth = j < nodes.length ? eventWealth[j] : w2;
+            const humanWealth = presentValueOfIncome(income, r, start, end);
+            
+            const u = U2(r, rho, gamma, end - start, startWealth + humanWealth, endWealth);
+            if (!isFinite(u)) {
+                return -5000;
+            }
+            totalUtility += MemoizedMath.exp(-rho * start) * u;
+            
+            if (j < nodes.length) {
+                startWealth = wealthAfterNode(nodes[j], endWealth, r, shelter);
+            }
+        }
+        
+        const bequest = bequestUtility(beta, eta, w2);
+        if (!isFinite(bequest) || isNaN(bequest)) {
+            return -5000;
+        }
+        
+        totalUtility += bequest;
+        
+        if (!isFinite(totalUtility) || isNaN(totalUtility)) {
+            return -5000;
+        }
+        
+        return totalUtility;
+        
+    } catch (error) {
+        // Return large penalty rather than throw for optimization robustness
+        return -5000;
+    }
+}
+
+/**
+ * Checks that wealth at every tax event and the bequest are feasible.
+ * Each segment's terminal wealth must be positive and below what the segment
+ * could reach with no consumption. A sheltered amount must lie within the
+ * account limit, and liquid wealth must stay positive until it is released.
+ * 
+ * @param {Array<number>} eventWealth - Pre-levy wealth at each chain node
+ * @param {number} w2 - Terminal wealth
+ * @param {Object} parameters - Economic parameters
+ * @param {Object} [extensions] - Optional model extensions from getModelExtensions
+ * @param {Object|null} [shelter] - Sheltered holding {amount, release}
+ * @returns {boolean} True if constraints are satisfied
+ */
+export function checkMultiEventConstraints(eventWealth, w2, parameters, extensions = getModelExtensions(parameters), shelter = null) {
+    const { r, t1, t2, w0 = 1 } = parameters;
+    const { income = null, taxEvents, shelteredAccount = null } = extensions;
+    
+    if (shelter && !(shelter.amount >= 0 && shelter.amount <= (shelteredAccount?.limit || 0))) {
+        return false;
+    }
+    
+    const nodes = getChainNodes(taxEvents, shelter?.release);
+    if (eventWealth.length !== nodes.length) {
+        return false;
+    }
+    
+    const boundaries = getSegmentBoundaries(nodes, t1 + t2);
+    let startWealth = w0 - (shelter?.amount || 0);
+    
+    for (let j = 0; j < boundaries.length - 1; j++) {
+        const start = boundaries[j];
+        const end = boundaries[j + 1];
+        const endWealth = j < nodes.length ? eventWealth[j] : w2;
+        
+        if (!(endWealth > 0)) {
+            return false;
+        }
+        
+        const humanWealth = presentValueOfIncome(income, r, start, end);
+        const maxWealth = (startWealth + humanWealth) * MemoizedMath.exp(r * (end - start));
+        if (endWealth >= maxWealth) {
+            return false;
+        }
+        
+        if (j < nodes.length) {
+            startWealth = wealthAfterNode(nodes[j], endWealth, r, shelter);
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Slack in every inequality checkMultiEventConstraints enforces, for reporting
+ * how close a plan sits to the edge of the feasible set. Each entry names the
+ * plan coordinate it bounds (its position in the plan vector); zero or negative
+ * slack means the constraint binds or is violated.
+ * 
+ * @param {Array<number>} eventWealth - Pre-levy wealth at each chain node
+ * @param {number} w2 - Terminal wealth
+ * @param {Object} parameters - Economic parameters
+ * @param {Object} [extensions] - Optional model extensions from getModelExtensions
+ * @param {Object|null} [shelter] - Sheltered holding {amount, release}
+ * @returns {Array<Object>} Slacks [{constraint, position, bound: 'lower'|'upper', slack}]
+ */
+export function planConstraintSlacks(eventWealth, w2, parameters, extensions = getModelExtensions(parameters), shelter = null) {
+    const { r, t1, t2, w0 = 1 } = parameters;
+    const { income = null, taxEvents, shelteredAccount = null } = extensions;
+    const offset = shelter ? 1 : 0;
+    const slacks = [];
+    
+    if (shelter) {
+        slacks.push({ constraint: 'S >= 0', position: 0, bound: 'lower', slack: shelter.amount });
+        slacks.push({
+            constraint: 'S <= limit',
+            position: 0,
+            bound: 'upper',
+            slack: (shelteredAccount?.limit || 0) - shelter.amount
+        });
+    }
+    
+    const nodes = getChainNodes(taxEvents, shelter?.release);
+    const boundaries = getSegmentBoundaries(nodes, t1 + t2);
+    let startWealth = w0 - (shelter?.amount || 0);
+    
+    for (let j = 0; j < boundaries.length - 1; j++) {
+        const start = boundaries[j];
+        const end = boundaries[j + 1];
+        const endWealth = j < nodes.length ? eventWealth[j] : w2;
+        const name = j < nodes.length ? `W${j + 1}` : 'w2';
+        
+        const humanWealth = presentValueOfIncome(income, r, start, end);
+        const maxWealth = (startWealth + humanWealth) * MemoizedMath.exp(r * (end - start));
+        slacks.push({ constraint: `${name} > 0`, position: j + offset, bound: 'lower', slack: endWealth });
+        slacks.push({ constraint: `${name} < max`, position: j + offset, bound: 'upper', slack: maxWealth - endWealth });
+        
+        if (j < nodes.length) {
+            startWealth = wealthAfterNode(nodes[j], endWealth, r, shelter);
+        }
+    }
+    
+    return slacks;
+}
+
+/**
+ * Lifetime utility of a chain plan with its analytic gradient and Hessian.
+ * 
+ * Each segment's U2 depends on the plan only through term1 = e^{rT} A - B, and
+ * both A (previous node's wealth after levy and release) and B (this node's
+ * wealth) are piecewise linear in the plan. So every segment adds
+ * D U2' d and D U2'' d d^T, where D is its discount factor and d the gradient
+ * of its term1; the bequest adds to the last diagonal entry. Levy kinks make
+ * the derivatives one-sided there (right derivatives are used).
+ * 
+ * Variables are ordered as the plan vector: [S, W_1, ..., W_n, w2] with a
+ * sheltered holding and [W_1, ..., W_K, w2] without.
+ * 
+ * @param {Object} parameters - Economic parameters
+ * @param {Array<number>} eventWealth - Pre-levy wealth at each chain node
+ * @param {number} w2 - Terminal wealth
+ * @param {Object} [extensions] - Optional model extensions from getModelExtensions
+ * @param {Object|null} [shelter] - Sheltered holding {amount, release}
+ * @returns {Object|null} {utility, gradient, hessian} or null when the plan is infeasible
+ */
+export function multiEventDerivatives(parameters, eventWealth, w2, extensions = getModelExtensions(parameters), shelter = null) {
+    const { r, rho, gamma, t1, t2, beta, eta, w0 = 1 } = parameters;
+    const { income = null, taxEvents } = extensions;
+    
+    if (!checkMultiEventConstraints(eventWealth, w2, parameters, extensions, shelter)) {
+        return null;
+    }
+    
+    try {
+        const nodes = getChainNodes(taxEvents, shelter?.release);
+        const boundaries = getSegmentBoundaries(nodes, t1 + t2);
+        const offset = shelter ? 1 : 0;
+        const size = offset + nodes.length + 1;
+        const gradient = new Array(size).fill(0);
+        const hessian = Array.from({ length: size }, () => new Array(size).fill(0));
+        
+        let startWealth = w0 - (shelter?.amount || 0);
+        // Sensitivity of the segment's starting wealth to each plan variable
+        let startSensitivity = new Array(size).fill(0);
+        if (shelter) {
+            startSensitivity[0] = -1;
+        }
+        let utility = 0;
+        
+        for (let j = 0; j < boundaries.length - 1; j++) {
+            const start = boundaries[j];
+            const end = boundaries[j + 1];
+            const endIndex = j < nodes.length ? offset + j : size - 1;
+            const endWealth = j < nodes.length ? eventWealth[j] : w2;
+            const humanWealth = presentValueOfIncome(income, r, start, end);
+            
+            const period = U2Derivatives(r, rho, gamma, end - start, startWealth + humanWealth, endWealth);
+            const discount = MemoizedMath.exp(-rho * start);
+            const growth = MemoizedMath.exp(r * (end - start));
+            const d = startSensitivity.map(value => value * growth);
+            d[endIndex] -= 1;
+            
+            utility += discount * period.value;
+            for (let i = 0; i < size; i++) {
+                if (d[i] === 0) continue;
+                gradient[i] += discount * period.first * d[i];
+                for (let k = 0; k < size; k++) {
+                    hessian[i][k] += discount * period.second * d[i] * d[k];
+                }
+            }
+            
+            if (j < nodes.length) {
+                const node = nodes[j];
+                startWealth = wealthAfterNode(node, endWealth, r, shelter);
+                startSensitivity = new Array(size).fill(0);
+                startSensitivity[endIndex] = node.event ? 1 - marginalCashOutflow(node.event, endWealth) : 1;
+                if (node.release) {
+                    startSensitivity[0] += MemoizedMath.exp(r * node.release.time) * (1 - node.release.haircut);
+                }
+            }
+        }
+        
+        const bequest = bequestDerivatives(beta, eta, w2);
+        utility += bequest.value;
+        gradient[size - 1] += bequest.first;
+        hessian[size - 1][size - 1] += bequest.second;
+        
+        if (!isFinite(utility)) {
+            return null;
+        }
+        
+        return { utility, gradient, hessian };
+        
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Creates wealth and consumption paths for every segment of a multi-event plan.
+ * Path functions take absolute time (years from the start of the model);
+ * wealth paths are liquid wealth only, excluding any sheltered balance.
+ * 
+ * @param {Object} parameters - Economic parameters
+ * @param {Array<number>} eventWealth - Pre-levy wealth at each chain node
+ * @param {number} w2 - Terminal wealth
+ * @param {Object} [extensions] - Optional model extensions from getModelExtensions
+ * @param {Object|null} [shelter] - Sheltered holding {amount, release}
+ * @returns {Array<Object>} Segments [{start, end, startWealth, endWealth, event, release, wealthPath, consumptionPath}]
+ */
+export function createMultiEventPaths(parameters, eventWealth, w2, extensions = getModelExtensions(parameters), shelter = null) {
+    const { r, rho, gamma, t1, t2, w0 = 1 } = parameters;
+    const { income = null, taxEvents } = extensions;
+    
+    const nodes = getChainNodes(taxEvents, shelter?.release);
+    const boundaries = getSegmentBoundaries(nodes, t1 + t2);
+    const segments = [];
+    let startWealth = w0 - (shelter?.amount || 0);
+    
+    for (let j = 0; j < boundaries.length - 1; j++) {
+        const start = boundaries[j];
+        const end = boundaries[j + 1];
+        const endWealth = j < nodes.length ? eventWealth[j] : w2;
+        const window = incomeWindow(income, start, end);
+        
+        // Every segment has the same closed form as period 1, shifted to its start
+        const wealthPath = createWealthPath1(r, rho, gamma, end - start, startWealth, endWealth, window);
+        const c0 = initialConsumption1(r, rho, gamma, end - start, startWealth, endWealth, window);
+        const consumptionPath = createConsumptionPath1(r, rho, gamma, c0);
+        
+        segments.push({
+            start,
+            end,
+            startWealth,
+            endWealth,
+            event: j < nodes.length ? nodes[j].event : null,
+            release: j < nodes.length ? nodes[j].release : null,
+            wealthPath: (t) => wealthPath(Math.min(Math.max(t - start, 0), end - start)),
+            consumptionPath: (t) => consumptionPath(Math.max(t - start, 0))
+        });
+        
+        if (j < nodes.length) {
+            startWealth = wealthAfterNode(nodes[j], endWealth, r, shelter);
+        }
+    }
+    
+    return segments;
+}
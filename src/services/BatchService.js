@@ -0,0 +1,240 @@
+/**
+ * Batch service for running many scenarios and sweeps without the browser.
+ * Reads a batch description, solves every scenario with the optimizer and
+ * every sweep with its continuation sweep, and collects the results with
+ * failures recorded per job (and per sweep point) by error type, so one bad
+ * configuration does not stop an overnight run.
+ *
+ * A batch file is JSON:
+ *
+ *   {
+ *     "format": "midlife-wealth-tax-batch",
+ *     "parameters": { "t1": 18 },
+ *     "scenarios": [ { "name": "High tax", "parameters": { "tau": 0.4 } } ],
+ *     "sweeps": [ { "name": "Tax rate", "axes": { "parameter": "tau", "from": 0, "to": 0.5, "steps": 50 } } ]
+ *   }
+ *
+ * Top-level parameters apply to every job, and each job's parameters override
+ * them; anything left unset takes the app's defaults. Sweep axes are as for
+ * OptimizationService.sweep. Saved state files and scenario libraries from the
+ * web app are accepted too, and run as scenarios.
+ */
+
+import { optimizationService } from './OptimizationService.js';
+import { LIBRARY_FORMAT, parseLibraryFile } from './ScenarioLibrary.js';
+import { STATE_FORMAT, parseStateFile } from '../state/StateFormat.js';
+import { ImportError } from '../errors/ErrorTypes.js';
+import { validateParametersOrThrow, DEFAULT_PARAMETERS } from '../utils/ParameterValidator.js';
+
+export const BATCH_FORMAT = 'midlife-wealth-tax-batch';
+export const BATCH_RESULTS_FORMAT = 'midlife-wealth-tax-batch-results';
+
+/**
+ * Service for batch runs of scenarios and sweeps.
+ */
+export class BatchService {
+    /**
+     * Reads a batch description into jobs with full parameter sets.
+     *
+     * @param {Object|Array} data - Parsed batch file, state file or scenario library,
+     *                              or an array of scenarios
+     * @returns {Object} {scenarios: [{name, parameters}], sweeps: [{name, parameters, axes}]}
+     * @throws {ImportError} If the description is not one of these
+     */
+    parseBatch(data) {
+        if (Array.isArray(data)) {
+            return this.parseBatch({ scenarios: data });
+        }
+        if (!data || typeof data !== 'object') {
+            throw new ImportError('The batch file must hold a JSON object or an array of scenarios');
+        }
+
+        if (data.format === LIBRARY_FORMAT) {
+            return this.parseBatch({ scenarios: parseLibraryFile(data).scenarios });
+        }
+        // The unversioned state export has no format tag but always has a view
+        if (data.format === STATE_FORMAT || (data.format === undefined && 'visualizationType' in data)) {
+            const state = parseStateFile(data);
+            return this.parseBatch({
+                scenarios: [
+                    { name: 'Current settings', parameters: state.parameters },
+                    ...(state.comparisonScenarios || [])
+                ]
+            });
+        }
+        if (data.format !== undefined && data.format !== BATCH_FORMAT) {
+            throw new ImportError(`Unknown batch file format: ${data.format}`);
+        }
+
+        const issues = [];
+        const base = data.parameters ?? {};
+        if (!isObject(base)) {
+            issues.push('parameters must be an object');
+        }
+        const scenarios = data.scenarios ?? [];
+        const sweeps = data.sweeps ?? [];
+        if (!Array.isArray(scenarios)) {
+            issues.push('scenarios must be an array');
+        }
+        if (!Array.isArray(sweeps)) {
+            issues.push('sweeps must be an array');
+        }
+        if (issues.length === 0 && scenarios.length + sweeps.length === 0) {
+            issues.push('there are no scenarios or sweeps to run');
+        }
+
+        const jobs = (list, kind) => (Array.isArray(list) ? list : []).map((job, index) => {
+            const label = `${kind}[${index}]`;
+            if (!isObject(job)) {
+                issues.push(`${label} must be an object`);
+                return null;
+            }
+            if (job.parameters !== undefined && !isObject(job.parameters)) {
+                issues.push(`${label}.parameters must be an object`);
+            }
+            if (kind === 'sweeps' && !isObject(job.axes) && !Array.isArray(job.axes)) {
+                issues.push(`${label}.axes must be an axis or an array of axes`);
+            }
+            return {
+                name: job.name === undefined ? `${kind === 'sweeps' ? 'Sweep' : 'Scenario'} ${index + 1}` : String(job.name),
+                parameters: { ...DEFAULT_PARAMETERS, ...base, ...job.parameters },
+                ...(kind === 'sweeps' ? { axes: job.axes } : {})
+            };
+        });
+
+        const batch = { scenarios: jobs(scenarios, 'scenarios'), sweeps: jobs(sweeps, 'sweeps') };
+        if (issues.length > 0) {
+            throw new ImportError('The file is not a valid batch', 'INVALID_FILE_FORMAT', issues);
+        }
+        return batch;
+    }
+
+    /**
+     * Runs every job of a batch in turn. Failures are recorded, not thrown.
+     *
+     * @param {Object} batch - Jobs from parseBatch
+     * @param {Object} [options] - {onProgress({done, total, kind, name, error, failedPoints})},
+     *                             called after each job
+     * @returns {Object} {format, createdAt, scenarios, sweeps, failures}; failures counts
+     *                   failed scenarios, sweeps and sweep points by error type
+     */
+    async runBatch(batch, options = {}) {
+        const total = batch.scenarios.length + batch.sweeps.length;
+        const failures = {};
+        const fail = (type) => {
+            failures[type] = (failures[type] || 0) + 1;
+        };
+        let done = 0;
+        const report = (kind, name, error, failedPoints = 0) => {
+            done++;
+            if (options.onProgress) {
+                options.onProgress({ done, total, kind, name, error, failedPoints });
+            }
+        };
+
+        const scenarios = [];
+        for (const { name, parameters } of batch.scenarios) {
+            try {
+                const result = await optimizationService.findOptimalWealth(parameters);
+                scenarios.push({ name, parameters, result: optimizationService.createSweepRow([], [], result), error: null });
+                report('scenario', name, null);
+            } catch (error) {
+                const failure = describeError(error);
+                fail(failure.type);
+                scenarios.push({ name, parameters, result: null, error: failure });
+                report('scenario', name, failure);
+            }
+        }
+
+        const sweeps = [];
+        for (const { name, parameters, axes } of batch.sweeps) {
+            try {
+                // A bad base fails once here rather than at every point
+                validateParametersOrThrow(parameters);
+                const { columns, rows, discontinuities } = await optimizationService.sweep(parameters, axes);
+                const failedRows = rows.filter(row => row.error);
+                failedRows.forEach(row => fail(row.errorType));
+                sweeps.push({ name, parameters, axes, columns, rows, discontinuities, error: null });
+                report('sweep', name, null, failedRows.length);
+            } catch (error) {
+                const failure = describeError(error);
+                fail(failure.type);
+                sweeps.push({ name, parameters, axes, columns: [], rows: [], discontinuities: [], error: failure });
+                report('sweep', name, failure);
+            }
+        }
+
+        return {
+            format: BATCH_RESULTS_FORMAT,
+            createdAt: new Date().toISOString(),
+            scenarios,
+            sweeps,
+            failures
+        };
+    }
+
+    /**
+     * Flattens batch results into one table: a row per scenario and per sweep
+     * point, each with its full parameter set (lists as JSON) and the solution
+     * columns of OptimizationService.sweep.
+     *
+     * @param {Object} results - Results from runBatch
+     * @returns {Array<Array<*>>} Rows, the first being the column headings
+     */
+    createTable(results) {
+        const records = [
+            ...results.scenarios.map(({ name, parameters, result, error }) => ({
+                kind: 'scenario',
+                name,
+                ...parameters,
+                ...result,
+                error: error ? error.message : null,
+                errorType: error ? error.type : null
+            })),
+            ...results.sweeps.flatMap(({ name, parameters, rows, error }) => (error
+                ? [{ kind: 'sweep', name, ...parameters, error: error.message, errorType: error.type }]
+                : rows.map(row => ({ kind: 'sweep', name, ...parameters, ...row, errorType: row.errorType ?? null }))))
+        ];
+
+        // Identifying columns, then parameters, then solutions, with the error columns last
+        const columns = [...new Set(['kind', 'name', ...Object.keys(DEFAULT_PARAMETERS), ...records.flatMap(Object.keys)])]
+            .filter(column => column !== 'error' && column !== 'errorType')
+            .concat(['error', 'errorType']);
+
+        return [
+            columns,
+            ...records.map(record => columns.map(column => {
+                const value = record[column];
+                return value !== null && typeof value === 'object' ? JSON.stringify(value) : value ?? null;
+            }))
+        ];
+    }
+}
+
+/**
+ * Error type (the ErrorTypes.js class name) and message of a failed job.
+ */
+function describeError(error) {
+    return {
+        type: error.name || 'Error',
+        message: error.message,
+        ...(error.validationErrors ? { issues: error.validationErrors } : {}),
+        ...(error.issues?.length ? { issues: error.issues } : {})
+    };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const batchService = new BatchService();
+
+/**
+ * Convenience function for reading and running a batch description
+ */
+export async function runBatch(data, options = {}) {
+    return await batchService.runBatch(batchService.parseBatch(data), options);
+}
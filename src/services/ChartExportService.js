@@ -0,0 +1,291 @@
+/**
+ * Chart export service for putting charts into documents.
+ * Re-renders the current chart off screen with Chart.js: to PNG at a chosen
+ * resolution, to SVG through a recording context, and to a one-page PDF
+ * report with the parameters and the tax effect table. Everything is drawn
+ * in the browser.
+ */
+
+import { visualizationService, HEATMAP_PARAMETERS } from './VisualizationService.js';
+import { VisualizationError } from '../errors/ErrorTypes.js';
+import { validateParametersOrThrow } from '../utils/ParameterValidator.js';
+import { SvgContext, SvgPath } from '../utils/SvgContext.js';
+import { PdfPage } from '../utils/Pdf.js';
+import { crc32 } from '../utils/Crc32.js';
+
+/**
+ * Parameter names for the PDF report.
+ */
+const PARAMETER_LABELS = {
+    ...HEATMAP_PARAMETERS,
+    w0: 'Initial Wealth',
+    tR: 'Retire After Tax',
+    shelterUnlock: 'Sheltered Unlock After Tax',
+    shelterPenalty: 'Early Withdrawal Penalty',
+    tuitionMode: 'College Bill Mode',
+    taxEvents: 'Tax Events',
+    assessmentBrackets: 'Assessment Brackets'
+};
+
+// CSS pixels are 1/96 inch
+const CSS_DPI = 96;
+
+// Paints the chart background white; on screen it is transparent
+const WHITE_BACKGROUND = {
+    id: 'exportBackground',
+    beforeDraw(chart) {
+        const { ctx, width, height } = chart;
+        ctx.save();
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.restore();
+    }
+};
+
+/**
+ * Service for exporting charts as images and reports.
+ */
+export class ChartExportService {
+    constructor() {
+        this.pngDpi = 300; // Default PNG resolution
+        this.pdfChartDpi = 200; // Resolution of the chart image in the PDF report
+    }
+
+    /**
+     * Renders a chart as a PNG image.
+     *
+     * @param {Object} chartConfig - Chart.js configuration, as shown on screen
+     * @param {Object} [options] - {width, height} in CSS pixels, as on screen, and dpi
+     * @returns {Promise<Blob>} PNG image, tagged with its resolution
+     */
+    async exportPng(chartConfig, { width = 800, height = 500, dpi = this.pngDpi } = {}) {
+        if (!(dpi > 0)) {
+            throw new VisualizationError(`Invalid resolution: ${dpi} dpi`, chartConfig?.type);
+        }
+
+        const canvas = this.renderCanvas(chartConfig, width, height, dpi / CSS_DPI);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) {
+            throw new VisualizationError('The chart is too large to export at this resolution', chartConfig.type);
+        }
+
+        const png = setPngResolution(new Uint8Array(await blob.arrayBuffer()), dpi);
+        return new Blob([png], { type: 'image/png' });
+    }
+
+    /**
+     * Renders a chart as an SVG image.
+     *
+     * @param {Object} chartConfig - Chart.js configuration, as shown on screen
+     * @param {Object} [options] - {width, height} in CSS pixels
+     * @returns {string} SVG markup
+     */
+    exportSvg(chartConfig, { width = 800, height = 500 } = {}) {
+        const context = new SvgContext(width, height);
+
+        // Chart.js draws lines through Path2D where it exists; record those paths too
+        const nativePath2D = globalThis.Path2D;
+        globalThis.Path2D = SvgPath;
+        try {
+            const chart = this.createChart(context, chartConfig, 1);
+            const svg = context.toSvg();
+            chart.destroy();
+            return svg;
+        } finally {
+            globalThis.Path2D = nativePath2D;
+        }
+    }
+
+    /**
+     * Writes a one-page PDF report: the chart, a table of the parameters and the
+     * tax effect table.
+     *
+     * @param {Object} chartConfig - Chart.js configuration, as shown on screen
+     * @param {Object} parameters - Economic parameters of the chart
+     * @param {Object} [options] - {width, height} of the chart in CSS pixels, and title
+     * @returns {Promise<Uint8Array>} PDF file contents
+     */
+    async exportPdf(chartConfig, parameters, { width = 800, height = 500, title = 'Midlife Wealth Tax' } = {}) {
+        validateParametersOrThrow(parameters);
+        const effects = await visualizationService.getTaxEffectSummary(parameters);
+
+        const page = new PdfPage();
+        const margin = 48;
+        const contentWidth = page.width - 2 * margin;
+        let y = margin + 16;
+
+        page.text(margin, y, title, { size: 16, bold: true });
+        y += 16;
+        page.text(margin, y, `Created ${new Date().toLocaleString()}`, { size: 9 });
+        y += 12;
+
+        // Chart, scaled to the page width and no taller than 40% of the page
+        const scale = Math.min(contentWidth / width, (page.height * 0.4) / height);
+        const pixelRatio = (scale * this.pdfChartDpi) / 72;
+        const canvas = this.renderCanvas(chartConfig, width, height, pixelRatio);
+        const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        page.image(margin + (contentWidth - width * scale) / 2, y, width * scale, height * scale,
+            { width: canvas.width, height: canvas.height, pixels: data });
+        y += height * scale + 28;
+
+        // Parameters: single values in two columns, lists (tax events, brackets) full width below
+        page.text(margin, y, 'Parameters', { size: 12, bold: true });
+        y += 6;
+        page.line(margin, y, margin + contentWidth, y);
+        y += 13;
+
+        const entries = Object.entries(parameters);
+        const single = entries.filter(([, value]) => !Array.isArray(value));
+        const lists = entries.filter(([, value]) => Array.isArray(value));
+        const columnWidth = contentWidth / 2;
+        const rows = Math.ceil(single.length / 2);
+        single.forEach(([name, value], i) => {
+            const x = margin + Math.floor(i / rows) * columnWidth;
+            const rowY = y + (i % rows) * 13;
+            page.text(x, rowY, PARAMETER_LABELS[name] || name, { size: 9 });
+            page.text(x + columnWidth * 0.6, rowY, value === null ? 'none' : String(value), { size: 9 });
+        });
+        y += rows * 13;
+        for (const [name, value] of lists) {
+            page.text(margin, y, PARAMETER_LABELS[name] || name, { size: 9 });
+            page.text(margin + columnWidth * 0.6, y, formatList(value), { size: 9 });
+            y += 13;
+        }
+        y += 15;
+
+        page.text(margin, y, 'Tax effects', { size: 12, bold: true });
+        y += 6;
+        page.line(margin, y, margin + contentWidth, y);
+        y += 13;
+        for (const { label, text } of effects) {
+            page.text(margin, y, label, { size: 9 });
+            page.text(margin + contentWidth * 0.8, y, text, { size: 9 });
+            y += 13;
+        }
+
+        return await page.toBytes({ Title: title, Creator: 'Midlife Wealth Tax' });
+    }
+
+    /**
+     * Renders a chart onto a new canvas at a multiple of its CSS pixel size.
+     *
+     * @returns {HTMLCanvasElement} Canvas holding the finished drawing
+     */
+    renderCanvas(chartConfig, width, height, pixelRatio) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const chart = this.createChart(canvas, chartConfig, pixelRatio);
+        // Copy the drawing, as destroying the chart clears its canvas
+        const copy = document.createElement('canvas');
+        copy.width = canvas.width;
+        copy.height = canvas.height;
+        copy.getContext('2d').drawImage(canvas, 0, 0);
+        chart.destroy();
+        return copy;
+    }
+
+    /**
+     * Draws a chart once, at a fixed size and without animation, on a canvas or
+     * canvas-like context.
+     *
+     * @returns {Object} Chart.js chart; the caller destroys it
+     */
+    createChart(target, chartConfig, pixelRatio) {
+        if (typeof Chart === 'undefined') {
+            throw new VisualizationError('Chart.js is not loaded', chartConfig?.type);
+        }
+        if (!chartConfig) {
+            throw new VisualizationError('There is no chart to export');
+        }
+
+        // The basic platform sizes the chart from its canvas and draws synchronously
+        return new Chart(target, {
+            ...chartConfig,
+            platform: Chart.BasicPlatform,
+            options: {
+                ...chartConfig.options,
+                responsive: false,
+                animation: false,
+                devicePixelRatio: pixelRatio
+            },
+            plugins: [...(chartConfig.plugins || []), WHITE_BACKGROUND]
+        });
+    }
+}
+
+/**
+ * Tax events or assessment brackets as text, e.g. "0 years after at 20%, 4 years after at the tax rate".
+ */
+function formatList(list) {
+    const percent = (rate) => typeof rate === 'number' ? `${Number((rate * 100).toFixed(2))}%` : 'the tax rate';
+    return list.map(item => 'from' in item
+        ? `${percent(item.rate)} from ${item.from}`
+        : `${item.offset || 0} years after at ${percent(item.rate)}`).join(', ');
+}
+
+/**
+ * Adds (or replaces) the pHYs chunk of a PNG so programs place the image at
+ * the given resolution.
+ */
+function setPngResolution(png, dpi) {
+    const pixelsPerMetre = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+    view.setUint32(8, pixelsPerMetre);
+    view.setUint32(12, pixelsPerMetre);
+    chunk[16] = 1; // Unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    // Signature, then chunks of length, type, data and CRC; IHDR always comes first
+    const parts = [png.subarray(0, 8)];
+    const input = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    for (let offset = 8; offset < png.length;) {
+        const end = offset + 12 + input.getUint32(offset);
+        const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+        if (type !== 'pHYs') {
+            parts.push(png.subarray(offset, end));
+        }
+        if (type === 'IHDR') {
+            parts.push(chunk);
+        }
+        offset = end;
+    }
+
+    const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        output.set(part, position);
+        position += part.length;
+    }
+    return output;
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const chartExportService = new ChartExportService();
+
+/**
+ * Convenience function for exporting a chart as PNG
+ */
+export async function exportChartPng(chartConfig, options) {
+    return await chartExportService.exportPng(chartConfig, options);
+}
+
+/**
+ * Convenience function for exporting a chart as SVG
+ */
+export function exportChartSvg(chartConfig, options) {
+    return chartExportService.exportSvg(chartConfig, options);
+}
+
+/**
+ * Convenience function for exporting a chart report as PDF
+ */
+export async function exportChartPdf(chartConfig, parameters, options) {
+    return await chartExportService.exportPdf(chartConfig, parameters, options);
+}
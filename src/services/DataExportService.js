@@ -0,0 +1,153 @@
+/**
+ * Data export service for the numbers behind the charts.
+ * Collects the optimal wealth and consumption paths, the tax-rate sweep and the
+ * tax effect table as tables, and writes them as CSV or as one XLSX workbook
+ * with a sheet of the parameters used.
+ */
+
+import { getModelExtensions, createMultiEventPaths } from '../math/UtilityFunctions.js';
+import { optimizationService } from './OptimizationService.js';
+import { visualizationService } from './VisualizationService.js';
+import { toCsv, createXlsx } from '../utils/Spreadsheet.js';
+import { ValidationError } from '../errors/ErrorTypes.js';
+import { validateParametersOrThrow } from '../utils/ParameterValidator.js';
+
+/**
+ * Tables that can be exported, with their sheet names.
+ */
+export const EXPORT_TABLES = {
+    trajectory: 'Trajectory',
+    taxEffects: 'Tax Effect Sweep',
+    effects: 'Effect Table',
+    parameters: 'Parameters'
+};
+
+/**
+ * Service for exporting calculation data.
+ */
+export class DataExportService {
+    constructor() {
+        this.taxRates = [0, 0.1, 0.2, 0.3, 0.4, 0.5]; // As on the tax effect curves
+    }
+
+    /**
+     * Builds one exportable table.
+     *
+     * @param {string} table - Key of EXPORT_TABLES
+     * @param {Object} parameters - Economic parameters
+     * @returns {Array<Array<*>>} Rows, the first being the column headings
+     */
+    async createTable(table, parameters) {
+        validateParametersOrThrow(parameters);
+
+        switch (table) {
+            case 'trajectory':
+                return await this.createTrajectoryTable(parameters);
+            case 'taxEffects':
+                return await this.createTaxEffectTable(parameters);
+            case 'effects':
+                return await this.createEffectTable(parameters);
+            case 'parameters':
+                return this.createParameterTable(parameters);
+            default:
+                throw new ValidationError(`Unknown export table: ${table}`, parameters);
+        }
+    }
+
+    /**
+     * Optimal wealth and consumption over time, sampled like the trajectory
+     * charts. Each levy date appears twice: at the end of one period (before the
+     * levy) and the start of the next.
+     */
+    async createTrajectoryTable(parameters) {
+        const { w2, eventWealth, shelter } = await optimizationService.findOptimalWealth(parameters);
+        const segments = createMultiEventPaths(parameters, eventWealth, w2, getModelExtensions(parameters), shelter);
+        const levyOrdinals = visualizationService.getLevyOrdinals(segments);
+        const levyCount = segments.filter(segment => segment.event).length;
+
+        const rows = [['Year', 'Period', 'Wealth', 'Consumption']];
+        segments.forEach((segment, index) => {
+            const label = visualizationService.getSegmentLabel(levyOrdinals[index], levyCount, 'Period');
+            const wealth = visualizationService.sampleSegment(segment, segment.wealthPath);
+            const consumption = visualizationService.sampleSegment(segment, segment.consumptionPath);
+            wealth.forEach((point, i) => rows.push([point.x, label, point.y, consumption[i].y]));
+        });
+        return rows;
+    }
+
+    /**
+     * Optimal wealth before and after the first levy, and the bequest, across tax rates.
+     */
+    async createTaxEffectTable(parameters) {
+        const { beforeTaxData, afterTaxData, bequestData } =
+            await visualizationService.sweepTaxRates(parameters, this.taxRates);
+
+        return [
+            ['Tax rate', 'Before Tax Wealth', 'After Tax Wealth', 'Bequest'],
+            ...beforeTaxData.map((point, i) => [point.x, point.y, afterTaxData[i].y, bequestData[i].y])
+        ];
+    }
+
+    /**
+     * The tax effect table shown under the tax effect curves, with unrounded values.
+     */
+    async createEffectTable(parameters) {
+        const summary = await visualizationService.getTaxEffectSummary(parameters);
+        return [['Measure', 'Value'], ...summary.map(({ label, value }) => [label, value])];
+    }
+
+    /**
+     * Parameter names and values; lists such as tax events are written as JSON.
+     */
+    createParameterTable(parameters) {
+        return [
+            ['Parameter', 'Value'],
+            ...Object.entries(parameters).map(([name, value]) =>
+                [name, value !== null && typeof value === 'object' ? JSON.stringify(value) : value])
+        ];
+    }
+
+    /**
+     * Exports one table as CSV text.
+     *
+     * @param {string} table - Key of EXPORT_TABLES
+     * @param {Object} parameters - Economic parameters
+     * @returns {string} CSV text
+     */
+    async exportCsv(table, parameters) {
+        return toCsv(await this.createTable(table, parameters));
+    }
+
+    /**
+     * Exports every table as one XLSX workbook, one sheet each.
+     *
+     * @param {Object} parameters - Economic parameters
+     * @returns {Uint8Array} XLSX file contents
+     */
+    async exportXlsx(parameters) {
+        const sheets = [];
+        for (const [table, name] of Object.entries(EXPORT_TABLES)) {
+            sheets.push({ name, rows: await this.createTable(table, parameters) });
+        }
+        return createXlsx(sheets);
+    }
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const dataExportService = new DataExportService();
+
+/**
+ * Convenience function for exporting a table as CSV
+ */
+export async function exportCsv(table, parameters) {
+    return await dataExportService.exportCsv(table, parameters);
+}
+
+/**
+ * Convenience function for exporting all tables as XLSX
+ */
+export async function exportXlsx(parameters) {
+    return await dataExportService.exportXlsx(parameters);
+}
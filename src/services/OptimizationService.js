@@ -3,16 +3,26 @@
  * Implements sophisticated caching, warm starting, and error recovery strategies.
  */
 
-import { lifetimeUtility, checkConstraints } from '../math/UtilityFunctions.js';
-import { OptimizationError, MathematicalError } from '../errors/ErrorTypes.js';
-import { validateParametersOrThrow } from '../utils/ParameterValidator.js';
-// import { workerManager } from '../workers/WorkerManager.js'; // Temporarily disabled
-
-// Mock worker manager
-const workerManager = {
-    getStats: () => ({ workers: { total: 0, busy: 0 }, queue: { length: 0 }, successRate: 0 }),
-    clearCaches: async () => {}
-};
+import {
+    lifetimeUtility,
+    checkConstraints,
+    getModelExtensions,
+    maxWealthAtTax,
+    multiEventLifetimeUtility,
+    checkMultiEventConstraints,
+    multiEventDerivatives,
+    planConstraintSlacks,
+    createMultiEventPaths
+} from '../math/UtilityFunctions.js';
+import { presentValueOfIncome } from '../math/IncomeProfile.js';
+import { getSegmentBoundaries, applyLevy, withTaxRate } from '../math/TaxEvents.js';
+import { getReleaseOptions, getChainNodes, releasedValue } from '../math/ShelteredAccount.js';
+import { cholesky, solveCholesky, maxNorm } from '../math/LinearAlgebra.js';
+import { minimize } from '../math/Minimizer.js';
+import { createOptimalityCertificate } from '../math/OptimalityCertificate.js';
+import { OptimizationError, MathematicalError, ValidationError } from '../errors/ErrorTypes.js';
+import { validateParametersOrThrow, PARAMETER_RANGES } from '../utils/ParameterValidator.js';
+import { workerManager } from '../workers/WorkerManager.js';
 
 /**
  * Advanced optimization service with intelligent caching and warm starting.
@@ -22,12 +32,15 @@ export class OptimizationService {
         this.options = {
             maxIterations: 1000,
             tolerance: 1e-12,
+            newtonIterations: 50,
+            newtonTolerance: 1e-14, // Predicted utility gain at which Newton stops
             gridSteps: 100,
             warmStartEnabled: true,
             cacheSize: 100,
             cacheTTL: 60000, // 1 minute
-            useWebWorkers: false, // Disable Web Workers temporarily
+            useWebWorkers: typeof Worker !== 'undefined', // Off in Node.js and inside the worker itself
             fallbackToMainThread: true, // Fallback if workers fail
+            minSweepChunk: 8, // Fewest sweep points per worker job
             ...options
         };
         
@@ -52,11 +65,19 @@ export class OptimizationService {
      * Finds optimal wealth pair (w1, w2) for given parameters.
      * 
      * @param {Object} parameters - Economic parameters
-     * @param {Object} options - Additional options like onProgress callback
-     * @returns {Object} - {w1, w2, utility, iterations, cacheHit, convergence}
+     * @param {Object} options - Additional options like onProgress callback,
+     *                           warmStart (a previous result to start from, or false for a cold start),
+     *                           or signal (an AbortSignal); an abandoned result is neither cached nor
+     *                           used as a warm start
+     * @returns {Object} - {w1, w2, utility, iterations, cacheHit, convergence, certificate,
+     *                     start, grid}; for a single levy without sheltered savings, start is
+     *                     the solver's starting point {w1, w2, warm} and grid, when the grid
+     *                     fallback ran, its best point and search space {w1, w2, searchSpace}
+     * @throws {DOMException} AbortError (the signal's reason) when the signal aborts
      */
     async findOptimalWealth(parameters, options = {}) {
         validateParametersOrThrow(parameters);
+        options.signal?.throwIfAborted();
         
         const cacheKey = this.generateCacheKey(parameters);
         
@@ -68,6 +89,7 @@ export class OptimizationService {
         
         try {
             const result = await this.performOptimization(parameters, options);
+            options.signal?.throwIfAborted();
             
             // Cache the result
             this.addToCache(cacheKey, result);
@@ -78,6 +100,9 @@ export class OptimizationService {
             return { ...result, cacheHit: false };
             
         } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
             throw new OptimizationError(
                 `Optimization failed for parameters: ${error.message}`,
                 parameters,
@@ -87,7 +112,7 @@ export class OptimizationService {
     }
 
     /**
-     * Performs the actual optimization using hybrid grid search + refinement.
+     * Performs the actual optimization (Newton, with grid search + refinement as fallback).
      * Decides whether to use Web Workers or main thread based on configuration.
      */
     async performOptimization(parameters, options = {}) {
@@ -95,23 +120,31 @@ export class OptimizationService {
         
         try {
             let result;
+            let usedWorker = false;
+            // Chosen here so both threads start from the same plan
+            const seed = this.getWarmStart(parameters, options.warmStart);
             
             if (this.options.useWebWorkers) {
                 try {
                     // Attempt optimization in Web Worker
                     result = await workerManager.optimizeWealth(parameters, {
-                        gridSteps: this.options.gridSteps,
-                        onProgress: options.onProgress
+                        warmStart: seed ? this.getSeedPlan(seed) : false,
+                        onProgress: options.onProgress,
+                        signal: options.signal
                     });
+                    usedWorker = true;
                     
                     this.performanceStats.workerJobs++;
                     this.performanceStats.workerTime += performance.now() - startTime;
                     
                 } catch (workerError) {
+                    if (options.signal?.aborted) {
+                        throw workerError;
+                    }
                     console.warn('Worker optimization failed, falling back to main thread:', workerError.message);
                     
                     if (this.options.fallbackToMainThread) {
-                        result = await this.performMainThreadOptimization(parameters);
+                        result = await this.performMainThreadOptimization(parameters, seed || false, { signal: options.signal });
                         this.performanceStats.mainThreadJobs++;
                         this.performanceStats.mainThreadTime += performance.now() - startTime;
                     } else {
@@ -120,38 +153,125 @@ export class OptimizationService {
                 }
             } else {
                 // Use main thread optimization
-                result = await this.performMainThreadOptimization(parameters);
+                result = await this.performMainThreadOptimization(parameters, seed || false, { signal: options.signal });
                 this.performanceStats.mainThreadJobs++;
                 this.performanceStats.mainThreadTime += performance.now() - startTime;
             }
             
-            return {
+            const optimum = {
                 w1: result.w1,
                 w2: result.w2,
+                eventWealth: result.eventWealth || [result.w1],
                 utility: result.utility,
                 iterations: result.iterations || 0,
                 convergence: result.convergence || 'grid_only',
                 method: result.method || 'hybrid',
+                bunching: result.bunching || [],
+                shelter: result.shelter || null,
+                start: result.start || null,
+                grid: result.grid || null
+            };
+            
+            return {
+                ...optimum,
+                // KKT check at the reported plan, independent of how it was found
+                certificate: createOptimalityCertificate(parameters, optimum),
                 calculationTime: performance.now() - startTime,
-                usedWorker: this.options.useWebWorkers && !result.fallbackUsed
+                usedWorker
             };
             
         } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
             throw new OptimizationError(`Optimization failed: ${error.message}`, parameters, error);
         }
     }
 
+    /**
+     * The part of a warm start the solvers read, small enough to post to a worker.
+     */
+    getSeedPlan(seed) {
+        return {
+            w1: seed.w1,
+            w2: seed.w2,
+            eventWealth: seed.eventWealth,
+            shelter: seed.shelter || null
+        };
+    }
+
     /**
      * Performs optimization on main thread (original implementation).
+     * `seed` is an explicit warm start (e.g. the neighbouring point of a sweep).
+     * `options` may hold a signal (an AbortSignal) and a checkpoint (an async
+     * function that lets cancellations in); both are consulted between the
+     * solver's phases, so a cancelled solve stops before its next phase.
+     * 
+     * @throws {DOMException} AbortError (the signal's reason) when the signal aborts
      */
-    async performMainThreadOptimization(parameters) {
-        const { r, rho, gamma, t1, t2, beta, eta, tau, w0 = 1 } = parameters;
+    async performMainThreadOptimization(parameters, seed = null, options = {}) {
+        const extensions = getModelExtensions(parameters);
+        const warmStart = this.getWarmStart(parameters, seed);
+        await this.reachCheckpoint(options);
+        
+        // A sheltered account adds the contribution and its release date to the chain
+        if (extensions.shelteredAccount) {
+            return await this.performShelteredOptimization(parameters, extensions, warmStart, options);
+        }
+        
+        // Several levies need wealth at every event date, not just (w1, w2)
+        if (extensions.taxEvents.length > 1) {
+            const multiEventResult = await this.performMultiEventOptimization(parameters, extensions, warmStart);
+            return this.refineAtKinks(multiEventResult, parameters, extensions);
+        }
+        
+        // Newton on the analytic first-order conditions; the grid is only a fallback
+        const start = this.determineSingleEventStart(parameters, extensions, warmStart);
+        const startPoint = start && {
+            w1: start[0],
+            w2: start[1],
+            warm: Boolean(warmStart) && start[0] === warmStart.w1 && start[1] === warmStart.w2
+        };
+        const newtonResult = start && this.newtonRefine(start, parameters, extensions);
+        if (newtonResult?.converged) {
+            const [w1, w2] = newtonResult.vector;
+            return this.refineAtKinks({
+                w1,
+                w2,
+                eventWealth: [w1],
+                utility: newtonResult.utility,
+                iterations: newtonResult.iterations,
+                convergence: 'converged',
+                method: 'newton',
+                fallbackUsed: false,
+                start: startPoint
+            }, parameters, extensions);
+        }
+        
+        // Corners (e.g. no bequest motive) defeat Newton; the bounded plan search reaches them
+        await this.reachCheckpoint(options);
+        const planResult = start && this.maximizePlan(newtonResult?.vector || start, parameters, extensions);
+        if (planResult?.converged) {
+            const [w1, w2] = planResult.vector;
+            return this.refineAtKinks({
+                w1,
+                w2,
+                eventWealth: [w1],
+                utility: planResult.utility,
+                iterations: planResult.iterations,
+                convergence: 'converged',
+                method: 'plan_search',
+                fallbackUsed: true,
+                start: startPoint
+            }, parameters, extensions);
+        }
         
         // Determine search space
-        const searchSpace = this.determineSearchSpace(parameters);
+        await this.reachCheckpoint(options);
+        const searchSpace = this.determineSearchSpace(parameters, extensions, warmStart);
         
         // Phase 1: Grid search for global exploration
-        const gridResult = await this.gridSearch(parameters, searchSpace);
+        const gridResult = await this.gridSearch(parameters, searchSpace, extensions);
         
         if (!gridResult.success) {
             throw new OptimizationError('Grid search failed to find feasible solution');
@@ -160,52 +280,621 @@ export class OptimizationService {
         // Phase 2: Numerical refinement for local optimization
         let finalResult;
         try {
-            finalResult = await this.numericalRefinement(parameters, gridResult);
+            finalResult = await this.numericalRefinement(parameters, gridResult, extensions);
         } catch (error) {
             console.warn('Numerical refinement failed, using grid result:', error.message);
             finalResult = gridResult;
         }
         
-        return {
+        return this.refineAtKinks({
             w1: finalResult.w1,
             w2: finalResult.w2,
+            eventWealth: [finalResult.w1],
             utility: finalResult.utility,
             iterations: finalResult.iterations || 0,
             convergence: finalResult.convergence || 'grid_only',
             method: finalResult.method || 'hybrid',
+            fallbackUsed: true,
+            start: startPoint,
+            grid: { w1: gridResult.w1, w2: gridResult.w2, searchSpace }
+        }, parameters, extensions);
+    }
+
+    /**
+     * Lets a running solve be cancelled: awaits the checkpoint, if any, then
+     * throws if the signal has aborted.
+     */
+    async reachCheckpoint({ signal, checkpoint } = {}) {
+        if (checkpoint) {
+            await checkpoint();
+        }
+        signal?.throwIfAborted();
+    }
+
+    /**
+     * Optimizes pre-levy wealth at every tax event jointly with the bequest.
+     * The 2D grid does not scale to K + 1 dimensions, so the search starts from
+     * the tax-free lifetime path (or the last multi-event optimum) and refines
+     * all coordinates at once.
+     */
+    async performMultiEventOptimization(parameters, extensions, warmStart = null) {
+        const start = await this.determineMultiEventStart(parameters, extensions, warmStart);
+        const refined = this.maximizePlan(start, parameters, extensions);
+        if (!refined) {
+            throw new OptimizationError('Multi-event optimization failed to find feasible solution', parameters);
+        }
+        
+        const { eventWealth, w2 } = this.splitPlan(refined.vector);
+        
+        return {
+            w1: eventWealth[0],
+            w2,
+            eventWealth,
+            utility: refined.utility,
+            iterations: refined.iterations,
+            convergence: refined.converged ? 'converged' : 'start_only',
+            method: 'multi_event',
             fallbackUsed: true
         };
     }
 
+    /**
+     * Chooses how much to shelter alongside liquid wealth at every node.
+     * Each release option (at unlock, or early at a penalty) is solved as its own
+     * chain over [S, W_1, ..., W_n, w2] and the better plan is kept.
+     */
+    async performShelteredOptimization(parameters, extensions, warmStart = null, options = {}) {
+        const { shelteredAccount, taxEvents } = extensions;
+        let best = null;
+        
+        for (const release of getReleaseOptions(shelteredAccount, taxEvents)) {
+            await this.reachCheckpoint(options);
+            const start = await this.determineShelteredStart(parameters, extensions, release, warmStart);
+            const refined = this.maximizePlan(start, parameters, extensions, release);
+            if (!refined) {
+                continue;
+            }
+            
+            const { eventWealth, w2, shelter } = this.splitPlan(refined.vector, release);
+            const candidate = this.refineAtKinks({
+                w1: eventWealth[0],
+                w2,
+                eventWealth,
+                shelter,
+                utility: refined.utility,
+                iterations: refined.iterations,
+                convergence: refined.converged ? 'converged' : 'start_only',
+                method: 'sheltered',
+                fallbackUsed: true
+            }, parameters, extensions, release);
+            
+            if (!best || candidate.utility > best.utility) {
+                best = candidate;
+            }
+        }
+        
+        if (!best) {
+            throw new OptimizationError('Sheltered optimization failed to find feasible solution', parameters);
+        }
+        
+        return best;
+    }
+
+    /**
+     * Splits a plan vector into its parts. With a release option the vector is
+     * [S, W_1, ..., W_n, w2]; otherwise it is [W_1, ..., W_K, w2].
+     */
+    splitPlan(vars, release = null) {
+        const offset = release ? 1 : 0;
+        return {
+            eventWealth: vars.slice(offset, -1),
+            w2: vars[vars.length - 1],
+            shelter: release ? { amount: vars[0], release } : null
+        };
+    }
+
+    /**
+     * Lifetime utility of a plan vector, or -Infinity if infeasible.
+     */
+    evaluatePlan(vars, parameters, extensions, release = null) {
+        const { eventWealth, w2, shelter } = this.splitPlan(vars, release);
+        
+        if (!checkMultiEventConstraints(eventWealth, w2, parameters, extensions, shelter)) {
+            return -Infinity;
+        }
+        
+        const utility = multiEventLifetimeUtility(parameters, eventWealth, w2, extensions, shelter);
+        if (!isFinite(utility) || utility === -5000) {
+            return -Infinity;
+        }
+        
+        return utility;
+    }
+
+    /**
+     * Walks a plan's chain, asking `choose(position, upperBound)` for each coordinate.
+     * The upper bound is the most that coordinate could be given the choices so far
+     * (the contribution limit, or the wealth a segment reaches with no consumption).
+     * Returns the plan vector, or null when a chosen value falls outside (0, upperBound).
+     */
+    walkPlan(parameters, extensions, release, choose) {
+        const { r, t1, t2, w0 = 1 } = parameters;
+        const { taxEvents, income, shelteredAccount } = extensions;
+        const nodes = getChainNodes(taxEvents, release);
+        const boundaries = getSegmentBoundaries(nodes, t1 + t2);
+        const offset = release ? 1 : 0;
+        const vector = [];
+        let shelter = null;
+        let startWealth = w0;
+        
+        if (release) {
+            const amount = choose(0, Math.min(shelteredAccount.limit, w0));
+            if (!(amount >= 0 && amount <= shelteredAccount.limit)) {
+                return null;
+            }
+            shelter = { amount, release };
+            vector.push(amount);
+            startWealth -= amount;
+        }
+        
+        for (let j = 0; j < boundaries.length - 1; j++) {
+            const from = boundaries[j];
+            const to = boundaries[j + 1];
+            const humanWealth = presentValueOfIncome(income, r, from, to);
+            const maxWealth = (startWealth + humanWealth) * Math.exp(r * (to - from));
+            const endWealth = choose(j + offset, maxWealth);
+            
+            if (!(endWealth > 0 && endWealth < maxWealth)) {
+                return null;
+            }
+            
+            vector.push(endWealth);
+            
+            if (j < nodes.length) {
+                const node = nodes[j];
+                startWealth = (node.event ? applyLevy(node.event, endWealth) : endWealth) +
+                    (node.release ? releasedValue(r, shelter) : 0);
+            }
+        }
+        
+        return vector;
+    }
+
+    /**
+     * Maps unconstrained coordinates to a feasible plan: each free coordinate is a
+     * logistic share of its upper bound, and pinned coordinates keep their value.
+     */
+    decodePlan(z, parameters, extensions, release = null, pins = new Map()) {
+        return this.walkPlan(parameters, extensions, release, (position, upperBound) =>
+            pins.has(position) ? pins.get(position) : upperBound / (1 + Math.exp(-z[position]))
+        );
+    }
+
+    /**
+     * Inverse of decodePlan for a plan vector, nudging values off their bounds.
+     * Returns null when the vector cannot be made feasible.
+     */
+    encodePlan(vector, parameters, extensions, release = null) {
+        const z = [];
+        const feasible = this.walkPlan(parameters, extensions, release, (position, upperBound) => {
+            const share = Math.min(Math.max(vector[position] / upperBound, 1e-6), 1 - 1e-6);
+            z[position] = Math.log(share / (1 - share));
+            return share * upperBound;
+        });
+        return feasible ? z : null;
+    }
+
+    /**
+     * Maximizes lifetime utility over a plan from a starting vector.
+     * Newton on the analytic derivatives is tried first. When it does not converge
+     * (typically a corner solution: nothing sheltered, liquid wealth run down
+     * before a release), the search runs in decodePlan's unconstrained coordinates,
+     * so every trial point is feasible and corners are approached smoothly instead
+     * of hitting a penalty. Pinned coordinates (position -> value) are held fixed.
+     * 
+     * @returns {Object|null} {vector, utility, iterations, converged} or null if infeasible
+     */
+    maximizePlan(start, parameters, extensions, release = null, pins = new Map()) {
+        const newtonResult = this.newtonRefine(start, parameters, extensions, release, pins);
+        if (newtonResult?.converged) {
+            return newtonResult;
+        }
+        
+        const pinnedStart = (newtonResult?.vector || start)
+            .map((value, position) => (pins.has(position) ? pins.get(position) : value));
+        const z0 = this.encodePlan(pinnedStart, parameters, extensions, release);
+        if (!z0) {
+            return null;
+        }
+        
+        const decode = (z) => this.decodePlan(z, parameters, extensions, release, pins);
+        const objective = (z) => {
+            const vector = decode(z);
+            return vector ? this.evaluatePlan(vector, parameters, extensions, release) : -Infinity;
+        };
+        
+        // Pinned coordinates stay at their encoded value and do not move
+        const freePositions = z0.map((_, position) => position).filter(position => !pins.has(position));
+        const expand = (free) => {
+            const z = [...z0];
+            freePositions.forEach((position, k) => { z[position] = free[k]; });
+            return z;
+        };
+        
+        const startUtility = objective(z0);
+        let best = startUtility > -Infinity
+            ? { vector: decode(z0), utility: startUtility, iterations: 0, converged: false }
+            : null;
+        
+        try {
+            // The minimizer takes finite-difference gradients
+            const result = minimize(
+                (free) => {
+                    const utility = objective(expand(free));
+                    return utility > -Infinity ? -utility : 1e10; // Large penalty for constraint violations
+                },
+                freePositions.map(position => z0[position]),
+                { tolerance: this.options.tolerance, maxIterations: this.options.maxIterations }
+            );
+            
+            if (result && isFinite(result.f) && result.f < 1e9 && (!best || -result.f >= best.utility)) {
+                best = {
+                    vector: decode(expand(result.solution)),
+                    utility: -result.f,
+                    iterations: result.iterations || 0,
+                    converged: true
+                };
+            }
+        } catch (error) {
+            console.warn('Plan refinement failed, using starting point:', error.message);
+        }
+        
+        return best && this.polishAtBounds(best, parameters, extensions, release, pins);
+    }
+
+    /**
+     * The logistic search only approaches a corner, leaving coordinates just off
+     * their bounds. Coordinates within a small distance of a bound are pinned onto
+     * it (a sheltered amount at 0 or the limit, liquid wealth run down to almost
+     * nothing, as wealth must stay positive) and the rest re-solved by Newton;
+     * the polished plan is kept only if it converges and does better.
+     */
+    polishAtBounds(result, parameters, extensions, release, pins) {
+        const { w0 = 1 } = parameters;
+        const { eventWealth, w2, shelter } = this.splitPlan(result.vector, release);
+        const boundPins = new Map(pins);
+        
+        planConstraintSlacks(eventWealth, w2, parameters, extensions, shelter).forEach(({ position, bound, slack }) => {
+            if (pins.has(position) || slack > 1e-3 * w0) {
+                return;
+            }
+            const value = result.vector[position];
+            if (release && position === 0) {
+                boundPins.set(position, bound === 'lower' ? 0 : value + slack);
+            } else if (bound === 'lower') {
+                boundPins.set(position, 1e-9 * w0);
+            }
+        });
+        
+        if (boundPins.size === pins.size) {
+            return result;
+        }
+        
+        const polished = this.newtonRefine(result.vector, parameters, extensions, release, boundPins);
+        return polished?.converged && polished.utility > result.utility
+            ? { ...polished, iterations: result.iterations + polished.iterations }
+            : result;
+    }
+
+    /**
+     * Damped Newton ascent on the analytic gradient and Hessian of a plan.
+     * Works directly in plan coordinates over the unpinned positions: the step
+     * solves (-H) step = g by Cholesky, shifting -H towards the identity when it
+     * is not positive definite, and is halved until it stays feasible and
+     * raises utility (Armijo). Stops once the Newton decrement g^T (-H)^{-1} g / 2,
+     * the predicted remaining gain, falls to machine precision.
+     * 
+     * @returns {Object|null} {vector, utility, iterations, converged, gradientNorm} or null if the start is infeasible
+     */
+    newtonRefine(start, parameters, extensions, release = null, pins = new Map()) {
+        const { newtonIterations, newtonTolerance } = this.options;
+        let vector = start.map((value, position) => (pins.has(position) ? pins.get(position) : value));
+        let utility = this.evaluatePlan(vector, parameters, extensions, release);
+        if (utility === -Infinity) {
+            return null;
+        }
+        
+        const freePositions = vector.map((_, position) => position).filter(position => !pins.has(position));
+        let gradientNorm = Infinity;
+        
+        for (let iteration = 0; iteration < newtonIterations; iteration++) {
+            const { eventWealth, w2, shelter } = this.splitPlan(vector, release);
+            const derivatives = multiEventDerivatives(parameters, eventWealth, w2, extensions, shelter);
+            const gradient = freePositions.map(position => derivatives.gradient[position]);
+            const curvature = freePositions.map(i => freePositions.map(k => -derivatives.hessian[i][k]));
+            gradientNorm = maxNorm(gradient);
+            
+            const step = this.newtonStep(curvature, gradient);
+            if (!step) {
+                // Undefined curvature: leave the plan to the derivative-free search
+                return { vector, utility, iterations: iteration, converged: false, gradientNorm };
+            }
+            const slope = gradient.reduce((sum, value, k) => sum + value * step[k], 0);
+            const threshold = newtonTolerance * Math.max(1, Math.abs(utility));
+            if (gradientNorm === 0 || slope / 2 <= threshold) {
+                return { vector, utility, iterations: iteration, converged: true, gradientNorm };
+            }
+            
+            let length = 1;
+            let accepted = false;
+            while (length > 1e-10) {
+                const trial = [...vector];
+                freePositions.forEach((position, k) => { trial[position] += length * step[k]; });
+                const trialUtility = this.evaluatePlan(trial, parameters, extensions, release);
+                if (trialUtility >= utility + 1e-4 * length * slope) {
+                    vector = trial;
+                    utility = trialUtility;
+                    accepted = true;
+                    break;
+                }
+                length /= 2;
+            }
+            
+            if (!accepted) {
+                // Rounding noise swamps the remaining gain near the optimum
+                return { vector, utility, iterations: iteration, converged: slope / 2 <= Math.sqrt(threshold), gradientNorm };
+            }
+        }
+        
+        return { vector, utility, iterations: newtonIterations, converged: false, gradientNorm };
+    }
+
+    /**
+     * Solves curvature * step = gradient for a symmetric curvature matrix,
+     * adding a growing multiple of the identity until it factors, which keeps
+     * the step an ascent direction away from the concave region.
+     * 
+     * @returns {Array<number>|null} The step, or null if no shift up to
+     *                               1e32 times the diagonal makes it factor
+     *                               (e.g. a non-finite entry)
+     */
+    newtonStep(curvature, gradient) {
+        const scale = Math.max(...curvature.map((row, i) => Math.abs(row[i])), 1e-300);
+        let shift = 0;
+        
+        for (let attempt = 0; attempt <= 40 && isFinite(shift); attempt++) {
+            const lower = cholesky(curvature.map((row, i) => row.map((value, k) => (i === k ? value + shift : value))));
+            if (lower) {
+                return solveCholesky(lower, gradient);
+            }
+            shift = shift === 0 ? scale * 1e-8 : shift * 10;
+        }
+        return null;
+    }
+
+    /**
+     * Checks whether bunching at an assessment threshold beats the smooth optimum.
+     * A bracketed schedule kinks utility at every threshold, where the marginal
+     * rate jumps; gradient steps stall short of the kink, and the true optimum is
+     * often to hold wealth exactly at the threshold. Each threshold is tried as a
+     * pinned value of that event's wealth with all other coordinates re-optimized,
+     * and pins are accumulated greedily while they improve utility.
+     */
+    refineAtKinks(result, parameters, extensions, release = null) {
+        const nodes = getChainNodes(extensions.taxEvents, release);
+        if (!nodes.some(node => node.event?.schedule?.thresholds.length)) {
+            return result;
+        }
+        
+        const offset = release ? 1 : 0;
+        let best = {
+            vector: [...(release ? [result.shelter.amount] : []), ...result.eventWealth, result.w2],
+            utility: result.utility,
+            pins: new Map()
+        };
+        
+        let improved = true;
+        while (improved) {
+            improved = false;
+            
+            nodes.forEach((node, index) => {
+                const position = index + offset;
+                if (!node.event?.schedule || best.pins.has(position)) {
+                    return;
+                }
+                
+                for (const threshold of node.event.schedule.thresholds) {
+                    const pins = new Map(best.pins).set(position, threshold);
+                    const candidate = this.maximizePlan(best.vector, parameters, extensions, release, pins);
+                    if (candidate && candidate.utility > best.utility + 1e-12) {
+                        best = { vector: candidate.vector, utility: candidate.utility, pins };
+                        improved = true;
+                    }
+                }
+            });
+        }
+        
+        if (best.pins.size === 0) {
+            return result;
+        }
+        
+        const { eventWealth, w2, shelter } = this.splitPlan(best.vector, release);
+        
+        return {
+            ...result,
+            w1: eventWealth[0],
+            w2,
+            eventWealth,
+            shelter,
+            utility: best.utility,
+            method: `${result.method}+kink`,
+            bunching: [...best.pins].map(([position, threshold]) => ({
+                event: extensions.taxEvents.indexOf(nodes[position - offset].event),
+                threshold
+            }))
+        };
+    }
+
+    /**
+     * Parameters for the same household with no levies and no sheltered account.
+     */
+    getTaxFreeParameters(parameters) {
+        return {
+            ...parameters,
+            tau: 0,
+            taxEvents: null,
+            allowance: 0,
+            assessmentBrackets: null,
+            shelterLimit: 0
+        };
+    }
+
+    /**
+     * Optimal tax-free lifetime wealth path, used to seed the chain searches.
+     * Returns wealth as a function of absolute time and the tax-free bequest.
+     */
+    async getTaxFreeWealthPath(parameters) {
+        const { t1 } = parameters;
+        const taxFreeParameters = this.getTaxFreeParameters(parameters);
+        // Always cold, so the seed does not depend on which thread solves
+        const taxFree = await this.performMainThreadOptimization(taxFreeParameters, false);
+        const [taxFreePre, taxFreePost] = createMultiEventPaths(
+            taxFreeParameters, [taxFree.w1], taxFree.w2
+        );
+        
+        return {
+            wealthAt: (t) => (t <= t1 ? taxFreePre : taxFreePost).wealthPath(t),
+            w2: taxFree.w2
+        };
+    }
+
+    /**
+     * Previous optimum to start from: an explicit seed when the caller has one,
+     * otherwise the last result if its parameters are similar. A seed of false
+     * forces a cold start.
+     */
+    getWarmStart(parameters, seed = null) {
+        if (!this.options.warmStartEnabled || seed === false) {
+            return null;
+        }
+        if (seed) {
+            return seed;
+        }
+        return this.lastOptimalResult && this.isParameterSimilar(parameters, this.lastParameters)
+            ? this.lastOptimalResult
+            : null;
+    }
+
+    /**
+     * Picks a starting vector [w1, w2] for the single-event Newton solve: the
+     * warm start when it is a feasible single-event plan, otherwise the middle of
+     * the feasible chain (half of each coordinate's upper bound).
+     */
+    determineSingleEventStart(parameters, extensions, warmStart = null) {
+        const previous = warmStart;
+        if (previous && !previous.shelter &&
+            previous.eventWealth?.length === 1 &&
+            checkConstraints(previous.w1, previous.w2, parameters, extensions)) {
+            return [previous.w1, previous.w2];
+        }
+        
+        return this.decodePlan([0, 0], parameters, extensions);
+    }
+
+    /**
+     * Picks a starting vector [W_1, ..., W_K, w2] for the multi-event search.
+     * Reuses a multi-event warm start when it is still feasible; otherwise
+     * follows the tax-free lifetime path scaled by the cumulative levies so far.
+     */
+    async determineMultiEventStart(parameters, extensions, warmStart = null) {
+        const { taxEvents } = extensions;
+        
+        const previous = warmStart;
+        if (previous && !previous.shelter &&
+            previous.eventWealth?.length === taxEvents.length &&
+            checkMultiEventConstraints(previous.eventWealth, previous.w2, parameters, extensions)) {
+            return [...previous.eventWealth, previous.w2];
+        }
+        
+        return this.followTaxFreePath(parameters, extensions);
+    }
+
+    /**
+     * Picks a starting vector [S, W_1, ..., W_n, w2] for one release option.
+     * Reuses a sheltered warm start for the same release date; otherwise
+     * shelters half the limit and follows the tax-free path for the rest.
+     */
+    async determineShelteredStart(parameters, extensions, release, warmStart = null) {
+        const { w0 = 1 } = parameters;
+        
+        const previous = warmStart;
+        if (previous?.shelter?.release.time === release.time) {
+            const shelter = { amount: previous.shelter.amount, release };
+            if (checkMultiEventConstraints(previous.eventWealth, previous.w2, parameters, extensions, shelter)) {
+                return [shelter.amount, ...previous.eventWealth, previous.w2];
+            }
+        }
+        
+        const amount = Math.min(extensions.shelteredAccount.limit, w0) * 0.5;
+        return this.followTaxFreePath(parameters, extensions, { amount, release });
+    }
+
+    /**
+     * Walks the chain along the tax-free lifetime path. Liquid targets leave out
+     * the sheltered balance until it is released and are scaled by the cumulative
+     * levies so far; maximizePlan pulls them inside their feasible ranges.
+     */
+    async followTaxFreePath(parameters, extensions, shelter = null) {
+        const { r, t1, t2 } = parameters;
+        const { taxEvents } = extensions;
+        const taxFree = await this.getTaxFreeWealthPath(parameters);
+        
+        const nodes = getChainNodes(taxEvents, shelter?.release);
+        const start = shelter ? [shelter.amount] : [];
+        let retained = 1;
+        
+        nodes.forEach((node) => {
+            const sheltered = shelter && node.time <= shelter.release.time
+                ? shelter.amount * Math.exp(r * node.time)
+                : 0;
+            const target = Math.max((taxFree.wealthAt(node.time) - sheltered) * retained, 0.01);
+            start.push(target);
+            
+            if (node.event) {
+                retained *= applyLevy(node.event, target) / target;
+            }
+        });
+        start.push(taxFree.w2 * retained);
+        
+        return start;
+    }
+
     /**
      * Determines search space based on warm starting and parameter analysis.
      */
-    determineSearchSpace(parameters) {
-        const { r, t1, t2, tau, w0 = 1 } = parameters;
-        const maxW1 = Math.exp(r * t1) * w0;
+    determineSearchSpace(parameters, extensions = getModelExtensions(parameters), warmStart = null) {
+        const maxW1 = maxWealthAtTax(parameters, extensions);
+        
+        // Earnings make most of maxW1 human wealth that is consumed along the way,
+        // so working households need a wider cold-start box reaching low w1
+        const coldStart = extensions.income
+            ? { centerW1: maxW1 * 0.45, centerW2: maxW1 * 0.5, radius: 0.9 }
+            : { centerW1: maxW1 * 0.6, centerW2: maxW1 * 0.5, radius: 0.4 };
         
-        let centerW1, centerW2, radius;
+        let { centerW1, centerW2, radius } = coldStart;
         
-        if (this.options.warmStartEnabled && this.lastOptimalResult && 
-            this.isParameterSimilar(parameters, this.lastParameters)) {
+        if (warmStart) {
             
             // Use warm starting
-            centerW1 = this.lastOptimalResult.w1;
-            centerW2 = this.lastOptimalResult.w2;
+            centerW1 = warmStart.w1;
+            centerW2 = warmStart.w2;
             radius = 0.2; // Smaller search radius for warm starts
             
             // Verify warm start is still feasible
-            if (!checkConstraints(centerW1, centerW2, parameters)) {
+            if (!checkConstraints(centerW1, centerW2, parameters, extensions)) {
                 // Fall back to default if warm start is infeasible
-                centerW1 = maxW1 * 0.6;
-                centerW2 = maxW1 * 0.5;
-                radius = 0.4;
+                ({ centerW1, centerW2, radius } = coldStart);
             }
-        } else {
-            // Cold start with conservative estimates
-            centerW1 = maxW1 * 0.6;
-            centerW2 = maxW1 * 0.5;
-            radius = 0.4;
         }
         
         return {
@@ -221,7 +910,7 @@ export class OptimizationService {
     /**
      * Performs grid search over the parameter space.
      */
-    async gridSearch(parameters, searchSpace) {
+    async gridSearch(parameters, searchSpace, extensions = getModelExtensions(parameters)) {
         const { r, rho, gamma, t1, t2, beta, eta, tau, w0 = 1 } = parameters;
         const { w1Min, w1Max, w2Min, w2Max } = searchSpace;
         
@@ -241,15 +930,16 @@ export class OptimizationService {
                 evaluations++;
                 
                 // Check constraints
-                if (!checkConstraints(w1, w2, parameters)) {
+                if (!checkConstraints(w1, w2, parameters, extensions)) {
                     continue;
                 }
                 
                 // Evaluate utility
                 try {
-                    const utility = lifetimeUtility(r, rho, gamma, t1, t2, beta, eta, tau, w0, w1, w2);
+                    const utility = lifetimeUtility(r, rho, gamma, t1, t2, beta, eta, tau, w0, w1, w2, extensions);
                     
-                    if (isFinite(utility) && utility > bestUtility) {
+                    // -5000 is lifetimeUtility's penalty for plans it cannot evaluate
+                    if (isFinite(utility) && utility !== -5000 && utility > bestUtility) {
                         bestUtility = utility;
                         bestW1 = w1;
                         bestW2 = w2;
@@ -274,19 +964,19 @@ export class OptimizationService {
     /**
      * Refines grid search result using numerical optimization.
      */
-    async numericalRefinement(parameters, gridResult) {
+    async numericalRefinement(parameters, gridResult, extensions = getModelExtensions(parameters)) {
         const { r, rho, gamma, t1, t2, beta, eta, tau, w0 = 1 } = parameters;
         
         // Create objective function for minimization (negative utility)
         const objectiveFunction = (vars) => {
             const [w1, w2] = vars;
             
-            if (!checkConstraints(w1, w2, parameters)) {
+            if (!checkConstraints(w1, w2, parameters, extensions)) {
                 return 1e10; // Large penalty for constraint violations
             }
             
             try {
-                const utility = lifetimeUtility(r, rho, gamma, t1, t2, beta, eta, tau, w0, w1, w2);
+                const utility = lifetimeUtility(r, rho, gamma, t1, t2, beta, eta, tau, w0, w1, w2, extensions);
                 
                 if (!isFinite(utility) || utility === -5000) {
                     return 1e10;
@@ -299,20 +989,18 @@ export class OptimizationService {
         };
         
         try {
-            // Use numeric.js for unconstrained minimization
-            const result = numeric.uncmin(
-                objectiveFunction, 
-                [gridResult.w1, gridResult.w2], 
-                this.options.tolerance,
-                null,
-                this.options.maxIterations
+            // Unconstrained minimization from the best grid point
+            const result = minimize(
+                objectiveFunction,
+                [gridResult.w1, gridResult.w2],
+                { tolerance: this.options.tolerance, maxIterations: this.options.maxIterations }
             );
             
             if (result && isFinite(result.f) && result.f < 1e9) {
                 const [finalW1, finalW2] = result.solution;
                 
                 // Verify final result is feasible
-                if (checkConstraints(finalW1, finalW2, parameters)) {
+                if (checkConstraints(finalW1, finalW2, parameters, extensions)) {
                     const finalUtility = -result.f;
                     
                     return {
@@ -333,6 +1021,322 @@ export class OptimizationService {
         return gridResult;
     }
 
+    /**
+     * Solves the model along a path through one parameter, or over a grid of two.
+     *
+     * Each axis is {parameter, values} or {parameter, from, to, steps}. Points are
+     * visited in path order (serpentine over a grid, so consecutive points are
+     * always neighbours) and each solution seeds the next: homotopy continuation.
+     * When a solution breaks away from the trend of the path, the point is
+     * re-solved from a cold start and the better plan kept, so continuation
+     * cannot stay stuck on a losing branch. Afterwards every row is checked
+     * against its neighbours along each axis and genuine discontinuities (jumps
+     * in the plan, a switch of release date, bunching or binding constraints)
+     * are flagged.
+     *
+     * Long sweeps are cut into contiguous chunks solved in parallel on the
+     * worker pool, each chunk a continuation of its own from a cold start; the
+     * rows are merged in path order before the discontinuity check.
+     *
+     * 'tau' is applied with withTaxRate so bracketed schedules scale with it.
+     *
+     * @param {Object} parameters - Base economic parameters
+     * @param {Object|Array<Object>} axes - One axis, or a pair of axes for a grid
+     * @param {Object} [options] - {onProgress(done, total)}, called per point, or per
+     *                             chunk on the worker pool; signal (an AbortSignal) stops
+     *                             the sweep between points
+     * @returns {Object} {parameters, columns, rows, discontinuities} with one flat row per point
+     * @throws {DOMException} AbortError (the signal's reason) when the signal aborts
+     */
+    async sweep(parameters, axes, options = {}) {
+        const axisList = (Array.isArray(axes) ? axes : [axes]).map(axis => this.normalizeSweepAxis(axis, parameters));
+        if (axisList.length < 1 || axisList.length > 2) {
+            throw new ValidationError('A sweep takes one parameter or a pair of parameters', parameters);
+        }
+        
+        const path = this.getSweepPath(axisList);
+        const chunks = this.getSweepChunks(path);
+        const rows = chunks.length > 1 && this.options.useWebWorkers
+            ? await this.distributeSweep(parameters, axisList, chunks, options)
+            : await this.solveSweepPath(parameters, axisList, path, {
+                signal: options.signal,
+                onPoint: (done) => options.onProgress?.(done, path.length)
+            });
+        
+        const discontinuities = this.detectDiscontinuities(axisList, rows);
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        
+        return {
+            parameters: axisList.map(axis => axis.parameter),
+            columns,
+            rows: rows.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null]))),
+            discontinuities
+        };
+    }
+
+    /**
+     * Solves the points of a sweep path in order, each seeded by the last
+     * solution. Runs on the main thread and, for one chunk at a time, in workers.
+     *
+     * @param {Object} parameters - Base economic parameters
+     * @param {Array<Object>} axisList - Normalized axes
+     * @param {Array<Array<number>>} path - Points in solving order
+     * @param {Object} [options] - warmStart for the first point (false for a cold
+     *                             start), onPoint(done) after each point, signal checked
+     *                             before each point, and checkpoint, awaited before each
+     *                             point (a worker yields there to receive cancellations)
+     * @returns {Array<Object>} One row per point, as createSweepRow
+     */
+    async solveSweepPath(parameters, axisList, path, options = {}) {
+        const rows = [];
+        let previous = options.warmStart ?? null;
+        
+        for (let index = 0; index < path.length; index++) {
+            if (options.checkpoint) {
+                await options.checkpoint();
+            }
+            options.signal?.throwIfAborted();
+            
+            const values = path[index];
+            const pointParameters = axisList.reduce(
+                (current, axis, k) => this.withSweepValue(current, axis.parameter, values[k]), parameters
+            );
+            
+            try {
+                let result = await this.findOptimalWealth(pointParameters, { warmStart: previous, signal: options.signal });
+                if (this.breaksFromPath(result, rows.slice(-2))) {
+                    const cold = await this.performOptimization(pointParameters, { warmStart: false, signal: options.signal });
+                    if (cold.utility > result.utility + 1e-10) {
+                        result = cold;
+                        this.addToCache(this.generateCacheKey(pointParameters), cold);
+                    }
+                }
+                rows.push(this.createSweepRow(axisList, values, result));
+                previous = result;
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                // Keep the table rectangular; continuation resumes from the last solved point
+                rows.push(this.createSweepRow(axisList, values, null, error));
+            }
+            
+            if (options.onPoint) {
+                options.onPoint(index + 1);
+            }
+        }
+        
+        return rows;
+    }
+
+    /**
+     * Cuts a sweep path into contiguous chunks for the worker pool: about four
+     * per worker, so faster chunks even out the load, but never shorter than
+     * minSweepChunk points, as every chunk begins from a cold start.
+     */
+    getSweepChunks(path) {
+        const workers = workerManager.options.maxWorkers;
+        const size = Math.max(this.options.minSweepChunk, Math.ceil(path.length / (workers * 4)));
+        const chunks = [];
+        for (let start = 0; start < path.length; start += size) {
+            chunks.push(path.slice(start, start + size));
+        }
+        return chunks;
+    }
+
+    /**
+     * Solves sweep chunks in parallel on the worker pool and merges their rows in
+     * path order. A chunk whose worker fails is solved on the main thread instead.
+     */
+    async distributeSweep(parameters, axisList, chunks, options = {}) {
+        const startTime = performance.now();
+        const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        let done = 0;
+        
+        const chunkRows = await Promise.all(chunks.map(async (chunk) => {
+            let rows;
+            try {
+                rows = await workerManager.sweepChunk(parameters, axisList, chunk, { signal: options.signal });
+                this.performanceStats.workerJobs += chunk.length;
+            } catch (workerError) {
+                if (options.signal?.aborted || !this.options.fallbackToMainThread) {
+                    throw workerError;
+                }
+                console.warn('Worker sweep failed, solving the chunk on the main thread:', workerError.message);
+                rows = await this.solveSweepPath(parameters, axisList, chunk, {
+                    warmStart: false,
+                    signal: options.signal
+                });
+                this.performanceStats.mainThreadJobs += chunk.length;
+            }
+            
+            done += chunk.length;
+            if (options.onProgress) {
+                options.onProgress(done, total);
+            }
+            return rows;
+        }));
+        
+        this.performanceStats.workerTime += performance.now() - startTime;
+        return chunkRows.flat();
+    }
+
+    /**
+     * Expands an axis to {parameter, values}, checking it names a model parameter.
+     */
+    normalizeSweepAxis(axis, parameters) {
+        const { parameter } = axis || {};
+        if (!(parameter in PARAMETER_RANGES) && typeof parameters[parameter] !== 'number') {
+            throw new ValidationError(`Cannot sweep unknown parameter '${parameter}'`, parameters);
+        }
+        
+        const values = Array.isArray(axis.values)
+            ? axis.values
+            : Array.from({ length: (axis.steps || 0) + 1 }, (_, i) =>
+                axis.steps ? axis.from + (axis.to - axis.from) * i / axis.steps : axis.from);
+        
+        if (values.length === 0 || !values.every(value => typeof value === 'number' && isFinite(value))) {
+            throw new ValidationError(`Sweep values for '${parameter}' must be finite numbers`, parameters);
+        }
+        
+        return { parameter, values };
+    }
+
+    /**
+     * Points of a sweep in solving order, each an array of axis values.
+     * A grid is walked line by line, reversing every other line.
+     */
+    getSweepPath(axisList) {
+        const [first, second] = axisList;
+        if (!second) {
+            return first.values.map(value => [value]);
+        }
+        
+        return second.values.flatMap((value, line) => {
+            const ordered = line % 2 === 0 ? first.values : [...first.values].reverse();
+            return ordered.map(firstValue => [firstValue, value]);
+        });
+    }
+
+    /**
+     * Parameters with one swept value applied.
+     */
+    withSweepValue(parameters, parameter, value) {
+        return parameter === 'tau' ? withTaxRate(parameters, value) : { ...parameters, [parameter]: value };
+    }
+
+    /**
+     * Flat table row for a sweep point: swept values, the plan, and how it was found.
+     */
+    createSweepRow(axisList, values, result, error = null) {
+        const row = Object.fromEntries(axisList.map((axis, k) => [axis.parameter, values[k]]));
+        if (!result) {
+            return { ...row, utility: NaN, error: error.message, errorType: error.name };
+        }
+        
+        const { w1, w2, eventWealth, shelter, bunching, utility, method, iterations, certificate } = result;
+        
+        return {
+            ...row,
+            w1,
+            w2,
+            ...Object.fromEntries(eventWealth.map((wealth, index) => [`W${index + 1}`, wealth])),
+            shelter: shelter ? shelter.amount : null,
+            release: shelter ? shelter.release.time : null,
+            bunching: bunching.map(({ event, threshold }) => `${event}@${threshold}`).join(' ') || null,
+            utility,
+            method,
+            iterations,
+            verdict: certificate?.verdict ?? null,
+            activeConstraints: certificate?.activeConstraints.join(' ') || null,
+            error: null
+        };
+    }
+
+    /**
+     * Whether a new solution breaks from the last two rows of the path: a change
+     * of structure, or a step in the plan much larger than the previous step.
+     */
+    breaksFromPath(result, recent) {
+        const row = this.createSweepRow([], [], result);
+        const last = recent[recent.length - 1];
+        if (!last || last.error) {
+            return false;
+        }
+        const trend = recent.length === 2 && !recent[0].error ? [recent] : [];
+        return this.sweepBreaks(last, row, trend).length > 0;
+    }
+
+    /**
+     * Reasons a row breaks from its predecessor: a switch of release date,
+     * bunching or binding constraints, and plan coordinates whose step exceeds
+     * 2% of their size and four times every neighbouring step. Neighbouring
+     * steps are given as [from, to] row pairs; without any, only structural
+     * changes count.
+     */
+    sweepBreaks(previous, row, neighbours = []) {
+        const reasons = ['release', 'bunching', 'activeConstraints']
+            .filter(key => previous[key] !== row[key]);
+        
+        if (neighbours.length === 0) {
+            return reasons;
+        }
+        
+        const planKeys = Object.keys(row).filter(key => /^W\d+$/.test(key) || key === 'w2' || key === 'shelter');
+        planKeys.forEach((key) => {
+            const step = Math.abs(row[key] - previous[key]);
+            const size = Math.max(Math.abs(row[key]), Math.abs(previous[key]), 1e-3);
+            const trend = Math.max(...neighbours.map(([from, to]) => Math.abs(to[key] - from[key]) || 0));
+            if (step > 0.02 * size && step > 4 * trend) {
+                reasons.push(key);
+            }
+        });
+        
+        return reasons;
+    }
+
+    /**
+     * Flags discontinuities along every axis of a finished sweep. Rows are taken
+     * line by line (the other axis held fixed) and each step is compared with
+     * the steps on either side of it.
+     *
+     * @returns {Array<Object>} [{parameter, from, to, reasons}] with from/to the swept values either side
+     */
+    detectDiscontinuities(axisList, rows) {
+        const discontinuities = [];
+        
+        axisList.forEach((axis, k) => {
+            const other = axisList[1 - k];
+            const lines = other
+                ? other.values.map(value => rows.filter(row => row[other.parameter] === value))
+                : [rows];
+            
+            lines.forEach((line) => {
+                const ordered = axis.values
+                    .map(value => line.find(row => row[axis.parameter] === value))
+                    .filter(row => row && !row.error);
+                
+                for (let i = 1; i < ordered.length; i++) {
+                    const neighbours = [[ordered[i - 2], ordered[i - 1]], [ordered[i], ordered[i + 1]]]
+                        .filter(([from, to]) => from && to);
+                    const reasons = this.sweepBreaks(ordered[i - 1], ordered[i], neighbours);
+                    
+                    if (reasons.length > 0) {
+                        discontinuities.push({
+                            parameter: axis.parameter,
+                            from: ordered[i - 1][axis.parameter],
+                            to: ordered[i][axis.parameter],
+                            ...(other ? { [other.parameter]: ordered[i][other.parameter] } : {}),
+                            reasons
+                        });
+                    }
+                }
+            });
+        });
+        
+        return discontinuities;
+    }
+
     /**
      * Cache management methods
      */
@@ -389,7 +1393,12 @@ export class OptimizationService {
      * Warm starting methods
      */
     updateWarmStart(parameters, result) {
-        this.lastOptimalResult = { w1: result.w1, w2: result.w2 };
+        this.lastOptimalResult = {
+            w1: result.w1,
+            w2: result.w2,
+            eventWealth: result.eventWealth,
+            shelter: result.shelter
+        };
         this.lastParameters = { ...parameters };
     }
 
@@ -397,7 +1406,7 @@ export class OptimizationService {
         if (!params2) return false;
         
         const threshold = 0.1; // 10% difference threshold
-        const importantParams = ['r', 'rho', 'gamma', 'eta', 'beta', 'tau'];
+        const importantParams = ['r', 'rho', 'gamma', 'eta', 'beta', 'tau', 'y0', 'shelterLimit', 'tuition'];
         
         for (const param of importantParams) {
             const val1 = params1[param];
@@ -494,6 +1503,13 @@ export const optimizationService = new OptimizationService();
 /**
  * Convenience function for finding optimal wealth
  */
-export async function findOptimalWealth(parameters) {
-    return await optimizationService.findOptimalWealth(parameters);
-}
\ No newline at end of file
+export async function findOptimalWealth(parameters, options = {}) {
+    return await optimizationService.findOptimalWealth(parameters, options);
+}
+
+/**
+ * Convenience function for a continuation sweep over one or two parameters
+ */
+export async function sweepParameters(parameters, axes, options = {}) {
+    return await optimizationService.sweep(parameters, axes, options);
+}
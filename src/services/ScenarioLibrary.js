@@ -0,0 +1,310 @@
+/**
+ * Scenario library for saving named parameter sets between visits.
+ * Scenarios are kept in IndexedDB; where it is unavailable (e.g. some private
+ * browsing modes) they are kept in memory for the session instead.
+ */
+
+import { ValidationError, ImportError } from '../errors/ErrorTypes.js';
+import { validateParametersOrThrow } from '../utils/ParameterValidator.js';
+import { STATE_VERSION, checkFileVersion, migrateParameters } from '../state/StateFormat.js';
+
+/**
+ * Identifies a scenario library file. Its version is the STATE_VERSION it was
+ * written at, so saved parameters migrate as in state files.
+ */
+export const LIBRARY_FORMAT = 'midlife-wealth-tax-scenarios';
+
+/**
+ * Service for the saved scenario library.
+ */
+export class ScenarioLibrary {
+    constructor(options = {}) {
+        this.options = {
+            databaseName: 'midlife-wealth-tax',
+            storeName: 'scenarios',
+            ...options
+        };
+
+        this.database = null;
+        this.memory = null; // Map of id -> scenario when IndexedDB is unavailable
+        this.nextMemoryId = 1;
+    }
+
+    /**
+     * Opens the database on first use.
+     */
+    async open() {
+        if (this.database || this.memory) {
+            return;
+        }
+
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB unavailable; saved scenarios will last for this session only');
+            this.memory = new Map();
+            return;
+        }
+
+        const { databaseName, storeName } = this.options;
+        this.database = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Runs one request against the scenario store.
+     */
+    async request(mode, makeRequest) {
+        await this.open();
+        const { storeName } = this.options;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.database.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // e.g. over the storage quota, which fires no error on the request
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Lists the saved scenarios, oldest first.
+     *
+     * @returns {Array<Object>} [{id, name, description, parameters, createdAt, updatedAt}]
+     */
+    async list() {
+        await this.open();
+        const scenarios = this.memory
+            ? [...this.memory.values()]
+            : await this.request('readonly', store => store.getAll());
+        return scenarios.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id - b.id);
+    }
+
+    /**
+     * Gets a saved scenario by id.
+     *
+     * @param {number} id - Scenario id
+     * @returns {Object|null} Scenario, or null if there is none with that id
+     */
+    async get(id) {
+        await this.open();
+        const scenario = this.memory
+            ? this.memory.get(id)
+            : await this.request('readonly', store => store.get(id));
+        return scenario || null;
+    }
+
+    /**
+     * Saves a parameter set as a new named scenario.
+     *
+     * @param {Object} scenario - {name, description, parameters}
+     * @returns {Object} The saved scenario with its id
+     */
+    async save({ name, description = '', parameters }) {
+        const trimmedName = this.checkName(name);
+        validateParametersOrThrow(parameters);
+
+        const now = new Date().toISOString();
+        return await this.put({
+            name: trimmedName,
+            description: String(description).trim(),
+            parameters: { ...parameters },
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    /**
+     * Renames a saved scenario, optionally changing its description too.
+     *
+     * @param {number} id - Scenario id
+     * @param {string} name - New name
+     * @param {string} [description] - New description (unchanged if omitted)
+     * @returns {Object} The updated scenario
+     */
+    async rename(id, name, description) {
+        const scenario = await this.getOrThrow(id);
+        return await this.put({
+            ...scenario,
+            name: this.checkName(name),
+            description: description === undefined ? scenario.description : String(description).trim(),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Saves a copy of a scenario under "<name> (copy)".
+     *
+     * @param {number} id - Scenario id
+     * @returns {Object} The new scenario
+     */
+    async duplicate(id) {
+        const { name, description, parameters } = await this.getOrThrow(id);
+        return await this.save({ name: `${name} (copy)`, description, parameters });
+    }
+
+    /**
+     * Deletes a saved scenario.
+     *
+     * @param {number} id - Scenario id
+     */
+    async remove(id) {
+        await this.open();
+        if (this.memory) {
+            this.memory.delete(id);
+        } else {
+            await this.request('readwrite', store => store.delete(id));
+        }
+    }
+
+    /**
+     * The whole library as a JSON-ready object, for saving to a file.
+     *
+     * @returns {Object} {format, version, exportedAt, scenarios: [{name, description, parameters}]}
+     */
+    async exportLibrary() {
+        const scenarios = await this.list();
+        return {
+            format: LIBRARY_FORMAT,
+            version: STATE_VERSION,
+            exportedAt: new Date().toISOString(),
+            scenarios: scenarios.map(({ name, description, parameters }) => ({ name, description, parameters }))
+        };
+    }
+
+    /**
+     * Adds the scenarios of an exported library to this one. Every scenario is
+     * checked before any is saved, so a bad file changes nothing.
+     *
+     * @param {string|Object} file - File text, or the object made by exportLibrary
+     * @returns {Array<Object>} The newly saved scenarios
+     * @throws {ImportError} If the file is not JSON, not a scenario library, from
+     *                       a newer version, or holds invalid scenarios
+     */
+    async importLibrary(file) {
+        const library = parseLibraryFile(file);
+
+        const errors = [];
+        library.scenarios.forEach((scenario, index) => {
+            try {
+                this.checkName(scenario.name);
+                validateParametersOrThrow(scenario.parameters);
+            } catch (error) {
+                const reasons = error.validationErrors || [error.message];
+                errors.push(`${scenario.name || `Scenario ${index + 1}`}: ${reasons.join(', ')}`);
+            }
+        });
+        if (errors.length > 0) {
+            throw new ImportError('The file holds invalid scenarios', 'INVALID_FILE_FORMAT', errors);
+        }
+
+        const saved = [];
+        for (const scenario of library.scenarios) {
+            saved.push(await this.save(scenario));
+        }
+        return saved;
+    }
+
+    /**
+     * Stores a scenario record, assigning an id to new ones.
+     */
+    async put(scenario) {
+        await this.open();
+        if (this.memory) {
+            const id = scenario.id ?? this.nextMemoryId++;
+            const stored = { ...scenario, id };
+            this.memory.set(id, stored);
+            return stored;
+        }
+
+        const id = await this.request('readwrite', store => store.put(scenario));
+        return { ...scenario, id };
+    }
+
+    /**
+     * Gets a scenario, failing when the id is unknown.
+     */
+    async getOrThrow(id) {
+        const scenario = await this.get(id);
+        if (!scenario) {
+            throw new ValidationError(`No saved scenario with id ${id}`);
+        }
+        return scenario;
+    }
+
+    /**
+     * Trims a scenario name, failing when it is empty.
+     */
+    checkName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new ValidationError('Scenario name is required');
+        }
+        return trimmed;
+    }
+}
+
+/**
+ * Reads a scenario library file of any version, migrating every scenario's
+ * parameters to the current version. Parameter values are not checked here.
+ *
+ * @param {string|Object} file - File text or parsed JSON
+ * @returns {Object} Library file at the current version
+ * @throws {ImportError} If the file is not JSON, not a scenario library, or from a newer version
+ */
+export function parseLibraryFile(file) {
+    let library = file;
+    if (typeof file === 'string') {
+        try {
+            library = JSON.parse(file);
+        } catch (error) {
+            throw new ImportError('The file is not valid JSON', 'INVALID_FILE_FORMAT', [error.message]);
+        }
+    }
+
+    if (library?.format !== LIBRARY_FORMAT || !Array.isArray(library.scenarios)) {
+        throw new ImportError('The file is not a scenario library', 'INVALID_FILE_FORMAT');
+    }
+    checkFileVersion(library.version);
+    const issues = library.scenarios
+        .map((scenario, index) => (scenario && typeof scenario === 'object' && !Array.isArray(scenario)
+            ? null
+            : `scenarios[${index}] must be an object`))
+        .filter(Boolean);
+    if (issues.length > 0) {
+        throw new ImportError('The file is not a scenario library', 'INVALID_FILE_FORMAT', issues);
+    }
+
+    return {
+        ...library,
+        version: STATE_VERSION,
+        scenarios: library.scenarios.map(scenario => ({
+            ...scenario,
+            parameters: migrateParameters(scenario.parameters, library.version)
+        }))
+    };
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const scenarioLibrary = new ScenarioLibrary();
+
+/**
+ * Convenience function for listing saved scenarios
+ */
+export async function listScenarios() {
+    return await scenarioLibrary.list();
+}
+
+/**
+ * Convenience function for saving a named scenario
+ */
+export async function saveScenario(scenario) {
+    return await scenarioLibrary.save(scenario);
+}
@@ -4,16 +4,54 @@
  */
 
 import { 
-    createWealthPath1, 
-    createWealthPath2, 
-    createConsumptionPath1, 
-    createConsumptionPath2,
-    initialConsumption1,
-    initialConsumption2
+    getModelExtensions,
+    createMultiEventPaths,
+    lifetimeUtility,
+    checkConstraints,
+    maxWealthAtTax
 } from '../math/UtilityFunctions.js';
+import { contourSegments } from '../math/Contours.js';
+import { incomeAt } from '../math/IncomeProfile.js';
+import { getTaxEvents, cashOutflow, applyLevy, withTaxRate } from '../math/TaxEvents.js';
+import { shelteredBalanceAt } from '../math/ShelteredAccount.js';
 import { optimizationService } from './OptimizationService.js';
+import { welfareService } from './WelfareService.js';
 import { VisualizationError } from '../errors/ErrorTypes.js';
-import { validateParametersOrThrow } from '../utils/ParameterValidator.js';
+import { validateParametersOrThrow, PARAMETER_RANGES } from '../utils/ParameterValidator.js';
+
+/**
+ * Parameters a heatmap axis can sweep, with their axis titles.
+ */
+export const HEATMAP_PARAMETERS = {
+    tau: 'Tax Rate',
+    t1: 'Years Before Tax',
+    t2: 'Years After Tax',
+    r: 'Interest Rate',
+    rho: 'Impatience Rate',
+    gamma: 'Consumption Risk Aversion',
+    eta: 'Bequest Risk Aversion',
+    beta: 'Bequest Importance',
+    y0: 'Earnings',
+    allowance: 'Protected Assets',
+    shelterLimit: 'Sheltered Savings Limit',
+    tuition: 'College Bill'
+};
+
+/**
+ * Outputs a heatmap can plot.
+ */
+export const HEATMAP_OUTPUTS = {
+    w1: 'Before Tax Wealth',
+    afterTax: 'After Tax Wealth',
+    w2: 'Bequest',
+    welfareLoss: 'Welfare Loss (% of initial wealth)'
+};
+
+// Viridis stops, low to high
+const HEATMAP_COLORS = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+
+// One color per pinned scenario in comparison mode
+const COMPARISON_COLORS = ['#1f77b4', '#d62728', '#2ca02c', '#9467bd'];
 
 /**
  * Service for creating visualization configurations for different chart types.
@@ -28,6 +66,8 @@ export class VisualizationService {
         };
         
         this.numPoints = 100; // Number of points for smooth curves
+        this.heatmapSteps = 10; // Cells per heatmap axis, less one
+        this.surfaceSteps = 60; // Grid lines per axis of the utility surface
     }
 
     /**
@@ -35,24 +75,44 @@ export class VisualizationService {
      * 
      * @param {string} visualizationType - Type of visualization
      * @param {Object} parameters - Economic parameters
+     * @param {Object} [options] - View settings, e.g. {heatmap: {x, y, output}}, or the
+     *                             solved scenarios for comparison mode {comparison}; signal
+     *                             (an AbortSignal) abandons the chart, and onProgress(done, total)
+     *                             follows the heatmap's sweep
      * @returns {Object} Chart.js configuration object
+     * @throws {DOMException} AbortError (the signal's reason) when the signal aborts
      */
-    async generateVisualizationConfig(visualizationType, parameters) {
+    async generateVisualizationConfig(visualizationType, parameters, options = {}) {
         validateParametersOrThrow(parameters);
+        const { signal } = options;
         
         try {
             switch (visualizationType) {
                 case 'Wealth Trajectory':
-                    return await this.createWealthTrajectoryConfig(parameters);
+                    return await this.createWealthTrajectoryConfig(parameters, { signal });
                 case 'Consumption Trajectory':
-                    return await this.createConsumptionTrajectoryConfig(parameters);
+                    return await this.createConsumptionTrajectoryConfig(parameters, { signal });
                 case 'Tax Effect Curves':
-                    return await this.createTaxEffectConfig(parameters);
+                    return await this.createTaxEffectConfig(parameters, { signal });
+                case 'Welfare Cost':
+                    return await this.createWelfareCostConfig(parameters, { signal });
+                case 'Revenue & Excess Burden':
+                    return await this.createRevenueConfig(parameters, { signal });
+                case 'Heatmap':
+                    return await this.createHeatmapConfig(parameters, options.heatmap, {
+                        signal,
+                        onProgress: options.onProgress
+                    });
+                case 'Utility Surface':
+                    return await this.createUtilitySurfaceConfig(parameters, { signal });
+                case 'Scenario Comparison':
+                    return this.createComparisonConfig(options.comparison || []);
                 default:
                     throw new VisualizationError(`Unknown visualization type: ${visualizationType}`);
             }
         } catch (error) {
-            if (error instanceof VisualizationError) {
+            // A cancelled calculation stays recognizable as one
+            if (error instanceof VisualizationError || error.name === 'AbortError') {
                 throw error;
             }
             throw new VisualizationError(
@@ -65,64 +125,57 @@ export class VisualizationService {
 
     /**
      * Creates wealth trajectory visualization showing optimal paths.
+     * Every tax event is drawn as its own drop between consecutive segments;
+     * sheltered savings are stacked on top of exposed (liquid) wealth.
+     *
+     * @param {Object} [options] - {signal}, an AbortSignal, as for every chart below
      */
-    async createWealthTrajectoryConfig(parameters) {
-        const { r, rho, gamma, t1, t2, beta, eta, tau } = parameters;
+    async createWealthTrajectoryConfig(parameters, options = {}) {
+        const { r, t1, t2 } = parameters;
         
-        // Get optimal wealth pair
-        const optimization = await optimizationService.findOptimalWealth(parameters);
-        const { w1, w2 } = optimization;
+        // Get optimal wealth at every tax event
+        const optimization = await optimizationService.findOptimalWealth(parameters, options);
+        const { w1, w2, eventWealth, shelter } = optimization;
         
-        // Generate wealth path data
-        const wealthPath1 = createWealthPath1(r, rho, gamma, t1, 1, w1);
-        const wealthPath2 = createWealthPath2(r, rho, gamma, t2, w1, tau, w2);
+        // Generate wealth path data, one line per segment between levies
+        const extensions = getModelExtensions(parameters);
+        const segments = createMultiEventPaths(parameters, eventWealth, w2, extensions, shelter);
+        const segmentData = segments.map(segment => this.sampleSegment(segment, segment.wealthPath));
+        const levyOrdinals = this.getLevyOrdinals(segments);
+        const stackData = shelter?.amount > 0 ? this.createShelterStack(segments, shelter, r, t1 + t2) : null;
         
-        // Pre-tax period data (green line)
-        const preTaxData = [];
-        for (let i = 0; i <= this.numPoints; i++) {
-            const t = (t1 / this.numPoints) * i;
-            preTaxData.push({ x: t, y: wealthPath1(t) });
-        }
+        // Earnings and sheltered savings can push wealth well above the normalized scale
+        const maxWealth = this.calculateAxisMax([...segmentData.flat(), ...(stackData?.total || [])], 3);
         
-        // Post-tax period data (red line)
-        const postTaxData = [];
-        for (let i = 0; i <= this.numPoints; i++) {
-            const s = t1 + (t2 / this.numPoints) * i;
-            const wealthValue = wealthPath2(s - t1);
-            postTaxData.push({ x: s, y: wealthValue });
-        }
+        const levies = segments.filter(segment => segment.event);
+        // Share of wealth actually lost, which differs from the headline rate under
+        // a schedule or when a college bill is paid on the same date
+        const firstRate = cashOutflow(levies[0].event, w1) / w1;
         
         return {
             type: 'line',
             data: {
                 datasets: [
-                    {
-                        label: 'Pre-tax Period',
-                        data: preTaxData,
-                        borderColor: 'green',
-                        borderWidth: 4,
-                        pointRadius: 0,
-                        fill: false
-                    },
-                    {
-                        label: 'Post-tax Period',
-                        data: postTaxData,
-                        borderColor: 'red',
+                    ...(stackData ? this.createShelterStackDatasets(stackData) : []),
+                    ...segments.map((segment, index) => ({
+                        label: this.getSegmentLabel(levyOrdinals[index], levies.length, 'Period'),
+                        data: segmentData[index],
+                        borderColor: this.getSegmentColor(levyOrdinals[index]),
                         borderWidth: 4,
                         pointRadius: 0,
                         fill: false
-                    },
+                    })),
                     // Key points
                     {
                         label: 'Wealth at Tax Time',
-                        data: [{ x: t1, y: w1 }],
+                        data: levies.map(segment => ({ x: segment.end, y: segment.endWealth })),
                         backgroundColor: 'green',
                         pointRadius: 6,
                         showLine: false
                     },
                     {
                         label: 'Wealth After Tax',
-                        data: [{ x: t1, y: w1 * (1 - tau) }],
+                        data: levies.map(segment => ({ x: segment.end, y: applyLevy(segment.event, segment.endWealth) })),
                         backgroundColor: 'red',
                         pointRadius: 6,
                         showLine: false
@@ -152,7 +205,7 @@ export class VisualizationService {
                     },
                     y: {
                         min: 0,
-                        max: 3,
+                        max: maxWealth,
                         title: {
                             display: true,
                             text: 'Wealth',
@@ -165,15 +218,10 @@ export class VisualizationService {
                     legend: { display: false },
                     annotation: {
                         annotations: {
-                            taxLine: {
-                                type: 'line',
-                                xMin: t1,
-                                xMax: t1,
-                                borderColor: 'black',
-                                borderWidth: 1,
-                                borderDash: [5, 5]
-                            },
-                            ...this.createWealthAnnotations(w1, w2, t1, t2, tau)
+                            ...this.createTaxLineAnnotations(levies),
+                            ...this.createWealthAnnotations(w1, w2, t1, t2, firstRate, maxWealth),
+                            ...this.createLevyAnnotations(levies),
+                            ...this.createReleaseAnnotations(segments, shelter, r)
                         }
                     }
                 }
@@ -184,65 +232,63 @@ export class VisualizationService {
     /**
      * Creates consumption trajectory visualization.
      */
-    async createConsumptionTrajectoryConfig(parameters) {
-        const { r, rho, gamma, t1, t2, beta, eta, tau } = parameters;
-        
-        // Get optimal wealth pair
-        const optimization = await optimizationService.findOptimalWealth(parameters);
-        const { w1, w2 } = optimization;
-        
-        // Calculate initial consumption levels
-        const c01 = initialConsumption1(r, rho, gamma, t1, 1, w1);
-        const c02 = initialConsumption2(r, rho, gamma, t2, w1, tau, w2);
+    async createConsumptionTrajectoryConfig(parameters, options = {}) {
+        const { t1, t2 } = parameters;
         
-        // Create consumption path functions
-        const consumptionPath1 = createConsumptionPath1(r, rho, gamma, c01);
-        const consumptionPath2 = createConsumptionPath2(r, rho, gamma, c02);
+        // Get optimal wealth at every tax event
+        const optimization = await optimizationService.findOptimalWealth(parameters, options);
+        const { w2, eventWealth, shelter } = optimization;
         
-        // Pre-tax consumption data
-        const preTaxConsumption = [];
-        for (let i = 0; i <= this.numPoints; i++) {
-            const t = (t1 / this.numPoints) * i;
-            preTaxConsumption.push({ x: t, y: consumptionPath1(t) });
-        }
+        // Consumption restarts from a new level after each levy (and after a release)
+        const extensions = getModelExtensions(parameters);
+        const segments = createMultiEventPaths(parameters, eventWealth, w2, extensions, shelter);
+        const segmentData = segments.map(segment => this.sampleSegment(segment, segment.consumptionPath));
+        const levyOrdinals = this.getLevyOrdinals(segments);
+        const levies = segments.filter(segment => segment.event);
         
-        // Post-tax consumption data
-        const postTaxConsumption = [];
-        for (let i = 0; i <= this.numPoints; i++) {
-            const s = t1 + (t2 / this.numPoints) * i;
-            postTaxConsumption.push({ x: s, y: consumptionPath2(s - t1) });
+        // Earnings profile for working households (step at retirement)
+        const income = extensions.income;
+        const earningsData = [];
+        if (income) {
+            for (let i = 0; i <= this.numPoints; i++) {
+                const t = ((t1 + t2) / this.numPoints) * i;
+                earningsData.push({ x: t, y: incomeAt(income, t) });
+            }
         }
         
         // Calculate max consumption for scaling
         const maxConsumption = Math.max(
-            consumptionPath1(0),
-            consumptionPath1(t1),
-            consumptionPath2(0),
-            consumptionPath2(t2),
+            ...segmentData.flat().map(point => point.y),
+            ...earningsData.map(point => point.y),
             0.1
         );
         
+        const datasets = segments.map((segment, index) => ({
+            label: this.getSegmentLabel(levyOrdinals[index], levies.length, 'Consumption'),
+            data: segmentData[index],
+            borderColor: this.getSegmentColor(levyOrdinals[index]),
+            borderWidth: 4,
+            pointRadius: 0,
+            fill: false
+        }));
+        
+        if (income) {
+            datasets.push({
+                label: 'Earnings',
+                data: earningsData,
+                borderColor: 'gray',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                stepped: true,
+                fill: false
+            });
+        }
+        
         return {
             type: 'line',
             data: {
-                datasets: [
-                    {
-                        label: 'Pre-tax Consumption',
-                        data: preTaxConsumption,
-                        borderColor: 'green',
-                        borderWidth: 4,
-                        pointRadius: 0,
-                        fill: false
-                    },
-                    {
-                        label: 'Post-tax Consumption',
-                        data: postTaxConsumption,
-                        borderColor: 'red',
-                        borderWidth: 4,
-                        pointRadius: 0,
-                        fill: false
-                    }
-                ]
+                datasets
             },
             options: {
                 ...this.defaultOptions,
@@ -273,14 +319,7 @@ export class VisualizationService {
                     legend: { display: false },
                     annotation: {
                         annotations: {
-                            taxLine: {
-                                type: 'line',
-                                xMin: t1,
-                                xMax: t1,
-                                borderColor: 'black',
-                                borderWidth: 1,
-                                borderDash: [5, 5]
-                            }
+                            ...this.createTaxLineAnnotations(levies)
                         }
                     }
                 }
@@ -289,25 +328,210 @@ export class VisualizationService {
     }
 
     /**
-     * Creates tax effect curves showing how wealth responds to different tax rates.
+     * Samples a segment path at evenly spaced absolute times.
      */
-    async createTaxEffectConfig(parameters) {
-        const taxRates = [0, 0.1, 0.2, 0.3, 0.4, 0.5];
+    sampleSegment(segment, path) {
+        const data = [];
+        for (let i = 0; i <= this.numPoints; i++) {
+            const t = segment.start + ((segment.end - segment.start) / this.numPoints) * i;
+            data.push({ x: t, y: path(t) });
+        }
+        return data;
+    }
+
+    /**
+     * Number of levies before each segment, so a release date splitting a
+     * post-levy period keeps that period's label and color.
+     */
+    getLevyOrdinals(segments) {
+        let levies = 0;
+        return segments.map((segment) => {
+            const ordinal = levies;
+            if (segment.event) {
+                levies++;
+            }
+            return ordinal;
+        });
+    }
+
+    /**
+     * Samples exposed (liquid) wealth and total wealth including the sheltered
+     * balance on a common time grid, so the stacked areas line up point by point.
+     */
+    createShelterStack(segments, shelter, r, horizon) {
+        const exposed = [];
+        const total = [];
+        for (let i = 0; i <= this.numPoints; i++) {
+            const t = (horizon / this.numPoints) * i;
+            const segment = segments.find(candidate => t <= candidate.end) || segments[segments.length - 1];
+            const liquid = segment.wealthPath(t);
+            exposed.push({ x: t, y: liquid });
+            total.push({ x: t, y: liquid + shelteredBalanceAt(r, shelter, t) });
+        }
+        return { exposed, total };
+    }
+
+    /**
+     * Shaded areas for exposed wealth and the sheltered balance stacked above it.
+     */
+    createShelterStackDatasets(stackData) {
+        return [
+            {
+                label: 'Exposed Wealth',
+                data: stackData.exposed,
+                borderWidth: 0,
+                pointRadius: 0,
+                backgroundColor: 'rgba(220, 20, 60, 0.12)',
+                fill: 'origin'
+            },
+            {
+                label: 'Sheltered Wealth',
+                data: stackData.total,
+                borderColor: 'royalblue',
+                borderWidth: 2,
+                borderDash: [4, 4],
+                pointRadius: 0,
+                backgroundColor: 'rgba(65, 105, 225, 0.3)',
+                fill: '-1'
+            }
+        ];
+    }
+
+    /**
+     * Marks the date sheltered savings are paid into liquid wealth.
+     */
+    createReleaseAnnotations(segments, shelter, r) {
+        const released = segments.find(segment => segment.release);
+        if (!shelter || !(shelter.amount > 0) || !released) {
+            return {};
+        }
         
-        const beforeTaxData = [];
-        const afterTaxData = [];
-        const bequestData = [];
+        const { end, release } = released;
+        const amount = shelter.amount * Math.exp(r * release.time);
+        const penalty = release.haircut > 0 ? ` (-${Math.round(release.haircut * 100)}%)` : '';
         
-        // Calculate optimal wealth for each tax rate
-        for (const tau of taxRates) {
-            const params = { ...parameters, tau };
-            const optimization = await optimizationService.findOptimalWealth(params);
-            const { w1, w2 } = optimization;
-            
-            beforeTaxData.push({ x: tau, y: w1 });
-            afterTaxData.push({ x: tau, y: w1 * (1 - tau) });
-            bequestData.push({ x: tau, y: w2 });
+        return {
+            releaseLine: {
+                type: 'line',
+                xMin: end,
+                xMax: end,
+                borderColor: 'royalblue',
+                borderWidth: 1,
+                borderDash: [2, 4]
+            },
+            releaseLabel: {
+                type: 'label',
+                xValue: end,
+                yValue: released.endWealth + amount,
+                content: [`+${(amount * (1 - release.haircut)).toFixed(2)} sheltered${penalty}`],
+                position: 'center',
+                yAdjust: -20,
+                font: { size: 14 },
+                color: 'royalblue',
+                backgroundColor: 'rgba(255,255,255,0.8)',
+                borderColor: 'rgba(128,128,128,0.5)',
+                borderWidth: 1
+            }
+        };
+    }
+
+    /**
+     * Labels segments as pre-tax/post-tax, numbering levies when there are several.
+     */
+    getSegmentLabel(index, levyCount, suffix) {
+        if (index === 0) {
+            return `Pre-tax ${suffix}`;
+        }
+        if (levyCount === 1) {
+            return `Post-tax ${suffix}`;
         }
+        return `After Levy ${index}`;
+    }
+
+    /**
+     * Colors the first segment green and each post-levy segment distinctly.
+     */
+    getSegmentColor(index) {
+        const postLevyColors = ['red', 'darkorange', 'purple', 'teal', 'magenta'];
+        return index === 0 ? 'green' : postLevyColors[(index - 1) % postLevyColors.length];
+    }
+
+    /**
+     * Creates a dashed vertical line at every tax event.
+     */
+    createTaxLineAnnotations(levies) {
+        const annotations = {};
+        levies.forEach((segment, index) => {
+            annotations[index === 0 ? 'taxLine' : `taxLine${index + 1}`] = {
+                type: 'line',
+                xMin: segment.end,
+                xMax: segment.end,
+                borderColor: 'black',
+                borderWidth: 1,
+                borderDash: [5, 5]
+            };
+        });
+        return annotations;
+    }
+
+    /**
+     * Labels the drop at every levy after the first with the amount taken
+     * (including any college bill paid that day).
+     * The first levy keeps the before/after labels from createWealthAnnotations.
+     */
+    createLevyAnnotations(levies) {
+        const annotations = {};
+        levies.slice(1).forEach((segment, index) => {
+            const { endWealth, end, event } = segment;
+            const levy = cashOutflow(event, endWealth);
+            annotations[`levy${index + 2}Label`] = {
+                type: 'label',
+                xValue: end,
+                yValue: endWealth,
+                content: [`-${levy.toFixed(2)} (${Math.round(levy / endWealth * 100)}%)`],
+                position: 'center',
+                xAdjust: 0,
+                yAdjust: -20,
+                font: { size: 14 },
+                color: 'black',
+                backgroundColor: 'rgba(255,255,255,0.8)',
+                borderColor: 'rgba(128,128,128,0.5)',
+                borderWidth: 1
+            };
+        });
+        return annotations;
+    }
+
+    /**
+     * Optimal wealth before and after the first levy, and the bequest, across tax rates.
+     * Solved as one continuation sweep, each tax rate starting from the last optimum.
+     */
+    async sweepTaxRates(parameters, taxRates, options = {}) {
+        const { rows } = await optimizationService.sweep(parameters, { parameter: 'tau', values: taxRates }, options);
+        const failed = rows.find(row => row.error);
+        if (failed) {
+            throw new VisualizationError(`Tax rate ${failed.tau} could not be solved: ${failed.error}`, 'Tax Effect Curves');
+        }
+        
+        return {
+            beforeTaxData: rows.map(({ tau, w1 }) => ({ x: tau, y: w1 })),
+            // First levy as paid, including any allowance, brackets, explicit event rate or college bill
+            afterTaxData: rows.map(({ tau, w1 }) => ({
+                x: tau,
+                y: applyLevy(getTaxEvents(withTaxRate(parameters, tau))[0], w1)
+            })),
+            bequestData: rows.map(({ tau, w2 }) => ({ x: tau, y: w2 }))
+        };
+    }
+
+    /**
+     * Creates tax effect curves showing how wealth responds to different tax rates.
+     * With a college bill, dashed curves add households facing other sticker prices.
+     */
+    async createTaxEffectConfig(parameters, options = {}) {
+        const taxRates = [0, 0.1, 0.2, 0.3, 0.4, 0.5];
+        const { beforeTaxData, afterTaxData, bequestData } = await this.sweepTaxRates(parameters, taxRates, options);
+        const comparisonDatasets = await this.createTuitionComparisonDatasets(parameters, taxRates, options);
         
         return {
             type: 'line',
@@ -336,7 +560,8 @@ export class VisualizationService {
                         borderWidth: 4,
                         pointRadius: 6,
                         pointStyle: 'circle'
-                    }
+                    },
+                    ...comparisonDatasets
                 ]
             },
             options: {
@@ -367,16 +592,98 @@ export class VisualizationService {
                     legend: { 
                         display: true,
                         position: 'top'
+                    },
+                    annotation: {
+                        annotations: this.createScheduleAnnotations(parameters)
                     }
                 }
             }
         };
     }
 
+    /**
+     * Before- and after-tax curves for households facing other college bills:
+     * no bill, half the current bill and twice the current bill.
+     */
+    async createTuitionComparisonDatasets(parameters, taxRates, options = {}) {
+        const { tuition = 0 } = parameters;
+        if (!(tuition > 0)) {
+            return [];
+        }
+        
+        const prices = [0, tuition / 2, tuition * 2].filter(price => price <= PARAMETER_RANGES.tuition.max);
+        const datasets = [];
+        
+        for (const [index, price] of prices.entries()) {
+            const { beforeTaxData, afterTaxData } = await this.sweepTaxRates({ ...parameters, tuition: price }, taxRates, options);
+            const opacity = 0.8 - index * 0.2;
+            
+            datasets.push(
+                {
+                    label: `Before Tax Wealth (bill ${price.toFixed(2)})`,
+                    data: beforeTaxData,
+                    borderColor: `rgba(0, 0, 255, ${opacity})`,
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 3,
+                    pointStyle: 'circle'
+                },
+                {
+                    label: `After Tax Wealth (bill ${price.toFixed(2)})`,
+                    data: afterTaxData,
+                    borderColor: `rgba(255, 165, 0, ${opacity})`,
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 3,
+                    pointStyle: 'circle'
+                }
+            );
+        }
+        
+        return datasets;
+    }
+
+    /**
+     * Horizontal lines at the assessment schedule's thresholds.
+     * Before-tax wealth that runs flat along one of them shows households bunching at the kink.
+     */
+    createScheduleAnnotations(parameters) {
+        const { schedule } = getTaxEvents(parameters)[0];
+        if (!schedule) {
+            return {};
+        }
+        
+        const annotations = {};
+        schedule.thresholds.forEach((threshold, index) => {
+            const bracket = schedule.brackets.find(tier => schedule.allowance + tier.from === threshold);
+            const label = threshold === schedule.allowance
+                ? `Allowance ${threshold.toFixed(2)}`
+                : `${Math.round(bracket.rate * 100)}% above ${threshold.toFixed(2)}`;
+            
+            annotations[`threshold${index + 1}`] = {
+                type: 'line',
+                yMin: threshold,
+                yMax: threshold,
+                borderColor: 'gray',
+                borderWidth: 1,
+                borderDash: [5, 5],
+                label: {
+                    display: true,
+                    content: label,
+                    position: 'end',
+                    font: { size: 14 },
+                    backgroundColor: 'rgba(255,255,255,0.8)',
+                    color: 'black'
+                }
+            };
+        });
+        return annotations;
+    }
+
     /**
      * Creates wealth annotations for key points on the chart.
      */
-    createWealthAnnotations(w1, w2, t1, t2, tau) {
+    createWealthAnnotations(w1, w2, t1, t2, tau, maxWealth = 3) {
         return {
             w1Label: {
                 type: 'label',
@@ -409,7 +716,7 @@ export class VisualizationService {
             w2Label: {
                 type: 'label',
                 xValue: t1 + t2,
-                yValue: Math.min(3, w2),
+                yValue: Math.min(maxWealth, w2),
                 content: [w2.toFixed(2)],
                 position: 'center',
                 xAdjust: -25,
@@ -424,40 +731,724 @@ export class VisualizationService {
     }
 
     /**
-     * Generates tax effect table data for display alongside the tax effect curves.
+     * Rows of the tax effect table: [{label, value, text}], where value is the
+     * number and text its display form.
+     *
+     * @param {Object} [options] - {signal}, an AbortSignal
      */
-    async generateTaxEffectTable(parameters) {
+    async getTaxEffectSummary(parameters, options = {}) {
         const { t1, t2 } = parameters;
         const taxRates = [0, 0.1, 0.2, 0.3, 0.4, 0.5];
         
-        const beforeTaxData = [];
-        const afterTaxData = [];
-        const bequestData = [];
+        const { beforeTaxData, afterTaxData, bequestData } = await this.sweepTaxRates(parameters, taxRates, options);
         
-        for (const tau of taxRates) {
-            const params = { ...parameters, tau };
-            const optimization = await optimizationService.findOptimalWealth(params);
-            const { w1, w2 } = optimization;
+        // Calculate mean slopes (effects)
+        const effect = (label, data) => {
+            const value = this.calculateMeanSlope(data) / 10;
+            return { label, value, text: value.toFixed(3) };
+        };
+        
+        // Welfare cost at the current tax rate, as an equivalent change in initial wealth
+        const { change } = await welfareService.equivalentVariation(parameters, options);
+        
+        return [
+            effect(`~effect of 10% tax Δ on before tax wealth at ${t1}`, beforeTaxData),
+            effect(`~effect of 10% tax Δ on after tax wealth at ${t1}`, afterTaxData),
+            effect(`~effect of 10% tax Δ on bequest at ${t1 + t2}`, bequestData),
+            {
+                label: `tax of ${Math.round(parameters.tau * 100)}% is worth a change in initial wealth of`,
+                value: change,
+                text: `${(change * 100).toFixed(1)}%`
+            }
+        ];
+    }
+
+    /**
+     * Generates tax effect table data for display alongside the tax effect curves.
+     */
+    async generateTaxEffectTable(parameters, options = {}) {
+        const rows = await this.getTaxEffectSummary(parameters, options);
+        
+        return `
+            <table>
+                ${rows.map(({ label, text }) => `<tr><td>${label}</td><td>${text}</td></tr>`).join('\n                ')}
+            </table>
+        `;
+    }
+
+    /**
+     * Creates the comparison chart: the wealth (solid, left axis) and consumption
+     * (dashed, right axis) trajectories of every solved scenario on one chart.
+     *
+     * @param {Array<Object>} results - Solved scenarios from Application.solveComparison
+     * @returns {Object} Chart.js configuration object
+     */
+    createComparisonConfig(results) {
+        const solved = results.filter(result => !result.error);
+        if (solved.length === 0) {
+            throw new VisualizationError('None of the compared scenarios could be solved', 'Scenario Comparison');
+        }
+        
+        const datasets = [];
+        solved.forEach((result, index) => {
+            const { parameters, optimization: { eventWealth, w2, shelter } } = result;
+            const segments = createMultiEventPaths(parameters, eventWealth, w2, getModelExtensions(parameters), shelter);
+            const color = COMPARISON_COLORS[results.indexOf(result) % COMPARISON_COLORS.length];
+            
+            // Segments joined into one line, broken at each levy
+            const joinSegments = (path) => segments.flatMap(segment =>
+                [...this.sampleSegment(segment, segment[path]), { x: segment.end, y: null }]);
             
-            beforeTaxData.push({ x: tau, y: w1 });
-            afterTaxData.push({ x: tau, y: w1 * (1 - tau) });
-            bequestData.push({ x: tau, y: w2 });
+            datasets.push({
+                label: `${result.name}: Wealth`,
+                data: joinSegments('wealthPath'),
+                borderColor: color,
+                borderWidth: 4,
+                pointRadius: 0,
+                spanGaps: false,
+                fill: false,
+                yAxisID: 'y',
+                order: index
+            }, {
+                label: `${result.name}: Consumption`,
+                data: joinSegments('consumptionPath'),
+                borderColor: color,
+                borderWidth: 2,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                spanGaps: false,
+                fill: false,
+                yAxisID: 'consumption',
+                order: index
+            });
+        });
+        
+        const horizon = Math.max(...solved.map(({ parameters }) => parameters.t1 + parameters.t2));
+        const wealthPoints = datasets.filter(dataset => dataset.yAxisID === 'y').flatMap(dataset => dataset.data);
+        const consumptionPoints = datasets.filter(dataset => dataset.yAxisID === 'consumption').flatMap(dataset => dataset.data);
+        
+        return {
+            type: 'line',
+            data: { datasets },
+            options: {
+                ...this.defaultOptions,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: 0,
+                        max: horizon,
+                        title: {
+                            display: true,
+                            text: 'Years',
+                            font: { size: 28 }
+                        },
+                        ticks: { font: { size: 18 } }
+                    },
+                    y: {
+                        min: 0,
+                        max: this.calculateAxisMax(wealthPoints, 3),
+                        title: {
+                            display: true,
+                            text: 'Wealth (solid)',
+                            font: { size: 28 }
+                        },
+                        ticks: { font: { size: 18 } }
+                    },
+                    consumption: {
+                        position: 'right',
+                        min: 0,
+                        max: this.calculateAxisMax(consumptionPoints, 0.1),
+                        grid: { drawOnChartArea: false },
+                        title: {
+                            display: true,
+                            text: 'Consumption (dashed)',
+                            font: { size: 28 }
+                        },
+                        ticks: { font: { size: 18 } }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        labels: { font: { size: 14 } }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Scenario Comparison',
+                        font: { size: 24 }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Generates the comparison summary table: plan and welfare cost of each
+     * scenario, with welfare differences against the first one.
+     *
+     * @param {Array<Object>} results - Solved scenarios from Application.solveComparison
+     * @returns {string} Table HTML
+     */
+    generateComparisonTable(results) {
+        if (results.length === 0) {
+            return '';
         }
         
-        // Calculate mean slopes (effects)
-        const effectBefore = (this.calculateMeanSlope(beforeTaxData) / 10).toFixed(3);
-        const effectAfter = (this.calculateMeanSlope(afterTaxData) / 10).toFixed(3);
-        const effectBequest = (this.calculateMeanSlope(bequestData) / 10).toFixed(3);
+        const baseline = results.find(result => !result.error);
+        // Names of pinned files come from the user's file system
+        const escape = (text) => String(text).replace(/[&<>"]/g, character =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[character]);
+        const percent = (value) => `${(value * 100).toFixed(1)}%`;
+        const rows = results.map(result => {
+            if (result.error) {
+                return `<tr><td>${escape(result.name)}</td><td colspan="5">no solution: ${escape(result.error)}</td></tr>`;
+            }
+            
+            const difference = result === baseline
+                ? '-'
+                : `${((result.welfareChange - baseline.welfareChange) * 100).toFixed(1)} pts`;
+            return `<tr><td>${escape(result.name)}</td><td>${result.w1.toFixed(3)}</td><td>${result.afterTax.toFixed(3)}</td>` +
+                `<td>${result.w2.toFixed(3)}</td><td>${percent(result.welfareChange)}</td><td>${difference}</td></tr>`;
+        });
         
         return `
             <table>
-                <tr><td>~effect of 10% tax Δ on before tax wealth at ${t1}</td><td>${effectBefore}</td></tr>
-                <tr><td>~effect of 10% tax Δ on after tax wealth at ${t1}</td><td>${effectAfter}</td></tr>
-                <tr><td>~effect of 10% tax Δ on bequest at ${t1 + t2}</td><td>${effectBequest}</td></tr>
+                <tr><td>scenario</td><td>before tax wealth</td><td>after tax wealth</td><td>bequest</td>` +
+                `<td>tax is worth a change in initial wealth of</td><td>welfare vs ${baseline ? escape(baseline.name) : 'first'}</td></tr>
+                ${rows.join('\n                ')}
             </table>
         `;
     }
 
+    /**
+     * Creates the welfare cost chart: the equivalent variation of the tax, as a
+     * percentage of initial wealth, across tax rates.
+     */
+    async createWelfareCostConfig(parameters, options = {}) {
+        const taxRates = [0, 0.1, 0.2, 0.3, 0.4, 0.5];
+        const curve = await welfareService.welfareCostCurve(parameters, taxRates, options);
+        const percentData = curve.map(point => ({ x: point.x, y: point.y * 100 }));
+        
+        return {
+            type: 'line',
+            data: {
+                datasets: [
+                    {
+                        label: 'Equivalent Variation (% of initial wealth)',
+                        data: percentData,
+                        borderColor: 'purple',
+                        borderWidth: 4,
+                        pointRadius: 6,
+                        pointStyle: 'circle'
+                    }
+                ]
+            },
+            options: {
+                ...this.defaultOptions,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: 0,
+                        max: 0.5,
+                        title: {
+                            display: true,
+                            text: 'Tax Rate',
+                            font: { size: 28 }
+                        },
+                        ticks: { font: { size: 18 } }
+                    },
+                    y: {
+                        max: 0,
+                        title: {
+                            display: true,
+                            text: 'Change in Initial Wealth (%)',
+                            font: { size: 28 }
+                        },
+                        ticks: { font: { size: 18 } }
+                    }
+                },
+                plugins: {
+                    legend: { 
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Creates the revenue chart: a Laffer-style curve of present-value revenue
+     * across tax rates, with the welfare loss and the deadweight loss between them.
+     */
+    async createRevenueConfig(parameters, options = {}) {
+        const taxRates = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+        const rows = await welfareService.revenueCurve(parameters, taxRates, options);
+        const series = (key) => rows.map(row => ({ x: row.tau, y: row[key] }));
+        
+        return {
+            type: 'line',
+            data: {
+                datasets: [
+                    {
+                        label: 'Revenue (present value)',
+                        data: series('revenue'),
+                        borderColor: 'blue',
+                        borderWidth: 4,
+                        pointRadius: 6,
+                        pointStyle: 'circle'
+                    },
+                    {
+                        label: 'Welfare Loss (equivalent variation)',
+                        data: series('welfareLoss'),
+                        borderColor: 'purple',
+                        borderWidth: 4,
+                        pointRadius: 6,
+                        pointStyle: 'circle'
+                    },
+                    {
+                        label: 'Excess Burden (deadweight loss)',
+                        data: series('excessBurden'),
+                        borderColor: 'red',
+                        borderWidth: 4,
+                        borderDash: [8, 4],
+                        pointRadius: 6,
+                        pointStyle: 'circle',
+                        backgroundColor: 'rgba(255, 0, 0, 0.1)',
+                        fill: 'origin'
+                    }
+                ]
+            },
+            options: {
+                ...this.defaultOptions,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: 0,
+                        max: 0.9,
+                        title: {
+                            display: true,
+                            text: 'Tax Rate',
+                            font: { size: 28 }
+                        },
+                        ticks: { font: { size: 18 } }
+                    },
+                    y: {
+                        min: 0,
+                        title: {
+                            display: true,
+                            text: 'Initial Wealth Equivalent',
+                            font: { size: 28 }
+                        },
+                        ticks: { font: { size: 18 } }
+                    }
+                },
+                plugins: {
+                    legend: { 
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Creates a heatmap of one output over a grid of two parameters, each
+     * spanning its slider range. The grid is solved as one continuation sweep;
+     * cells without a solution (e.g. r <= rho) are drawn grey. The welfare loss
+     * then needs an equivalent variation per cell, solved in chunks as the sweep
+     * is; progress counts the sweep and these as halves of one job. Requires
+     * the chartjs-chart-matrix controller.
+     *
+     * @param {Object} [options] - signal and onProgress, passed to the sweep
+     */
+    async createHeatmapConfig(parameters, settings = {}, options = {}) {
+        const { x = 'tau', y = 't1', output = 'w1' } = settings;
+        if (!(x in HEATMAP_PARAMETERS) || !(y in HEATMAP_PARAMETERS) || x === y) {
+            throw new VisualizationError(`Heatmap needs two different parameters among ${Object.keys(HEATMAP_PARAMETERS).join(', ')}`, 'Heatmap');
+        }
+        if (!(output in HEATMAP_OUTPUTS)) {
+            throw new VisualizationError(`Unknown heatmap output: ${output}`, 'Heatmap');
+        }
+        
+        const xValues = this.getHeatmapValues(x);
+        const yValues = this.getHeatmapValues(y);
+        const total = xValues.length * yValues.length;
+        const phases = output === 'welfareLoss' ? 2 : 1;
+        const { rows } = await optimizationService.sweep(parameters, [
+            { parameter: x, values: xValues },
+            { parameter: y, values: yValues }
+        ], {
+            signal: options.signal,
+            onProgress: options.onProgress && ((done) => options.onProgress(done, phases * total))
+        });
+        
+        const welfareChanges = output === 'welfareLoss'
+            ? await welfareService.equivalentVariations(
+                rows.map(row => (row.error ? null : this.getHeatmapPointParameters(parameters, row, x, y))),
+                {
+                    signal: options.signal,
+                    onProgress: options.onProgress && ((done) => options.onProgress(total + done, phases * total))
+                }
+            )
+            : null;
+        
+        const cells = rows.map((row, index) => ({
+            x: this.formatHeatmapValue(row[x]),
+            y: this.formatHeatmapValue(row[y]),
+            v: welfareChanges ? -100 * welfareChanges[index] : this.getHeatmapOutput(output, parameters, row, x, y),
+            verdict: row.verdict
+        }));
+        
+        const finite = cells.map(cell => cell.v).filter(isFinite);
+        const min = Math.min(...finite);
+        const max = Math.max(...finite);
+        const xLabels = xValues.map(value => this.formatHeatmapValue(value));
+        const yLabels = yValues.map(value => this.formatHeatmapValue(value));
+        const axis = (labels, parameter) => ({
+            type: 'category',
+            labels,
+            offset: true,
+            grid: { display: false },
+            title: {
+                display: true,
+                text: HEATMAP_PARAMETERS[parameter],
+                font: { size: 28 }
+            },
+            ticks: { font: { size: 18 } }
+        });
+        
+        return {
+            type: 'matrix',
+            data: {
+                datasets: [
+                    {
+                        label: HEATMAP_OUTPUTS[output],
+                        data: cells,
+                        backgroundColor: (context) => this.getHeatmapColor(context.raw?.v, min, max),
+                        borderColor: 'white',
+                        borderWidth: 1,
+                        width: ({ chart }) => (chart.chartArea?.width || 0) / xLabels.length - 1,
+                        height: ({ chart }) => (chart.chartArea?.height || 0) / yLabels.length - 1
+                    }
+                ]
+            },
+            options: {
+                ...this.defaultOptions,
+                scales: {
+                    x: axis(xLabels, x),
+                    // Smallest value at the bottom
+                    y: axis([...yLabels].reverse(), y)
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'right',
+                        onClick: () => {},
+                        labels: {
+                            font: { size: 18 },
+                            generateLabels: () => this.createHeatmapLegend(min, max, finite.length < cells.length)
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: `${HEATMAP_OUTPUTS[output]} by ${HEATMAP_PARAMETERS[x]} and ${HEATMAP_PARAMETERS[y]}`,
+                        font: { size: 24 }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: () => HEATMAP_OUTPUTS[output],
+                            label: (context) => {
+                                const cell = context.raw;
+                                return [
+                                    `${HEATMAP_PARAMETERS[x]}: ${cell.x}`,
+                                    `${HEATMAP_PARAMETERS[y]}: ${cell.y}`,
+                                    `Value: ${isFinite(cell.v) ? cell.v.toFixed(3) : 'no solution'}`,
+                                    ...(cell.verdict ? [`Optimum: ${cell.verdict}`] : [])
+                                ];
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Creates the utility surface: contours of lifetimeUtility over the (w1, w2)
+     * plane with the region checkConstraints rejects shaded, and the points the
+     * optimizer reports working from marked: its starting point, the best point
+     * and box of its grid fallback when that ran, and the optimum. Only a single
+     * levy without sheltered savings has a (w1, w2) plane.
+     */
+    async createUtilitySurfaceConfig(parameters, options = {}) {
+        const { r, rho, gamma, t1, t2, beta, eta, tau, w0 = 1 } = parameters;
+        const extensions = getModelExtensions(parameters);
+        if (extensions.taxEvents.length > 1 || extensions.shelteredAccount) {
+            throw new VisualizationError(
+                'The utility surface needs a single tax event and no sheltered savings', 'Utility Surface'
+            );
+        }
+        
+        const optimization = await optimizationService.findOptimalWealth(parameters, options);
+        const { start, grid } = optimization;
+        
+        // Plane: w1 up to its ceiling, w2 far enough above the optimum to show the hill
+        const maxW1 = maxWealthAtTax(parameters, extensions);
+        const topW2 = Math.max(
+            optimization.w2, start?.w2 ?? 0, grid?.w2 ?? 0, grid?.searchSpace.w2Max ?? 0
+        ) * 1.5;
+        const steps = this.surfaceSteps;
+        const xs = Array.from({ length: steps + 1 }, (_, i) => maxW1 * (i + 0.5) / (steps + 1));
+        const ys = Array.from({ length: steps + 1 }, (_, j) => topW2 * (j + 0.5) / (steps + 1));
+        
+        const utilityAt = (w1, w2) => {
+            if (!checkConstraints(w1, w2, parameters, extensions)) {
+                return NaN;
+            }
+            const utility = lifetimeUtility(r, rho, gamma, t1, t2, beta, eta, tau, w0, w1, w2, extensions);
+            return utility === -5000 ? NaN : utility;
+        };
+        const values = xs.map(w1 => ys.map(w2 => utilityAt(w1, w2)));
+        
+        // Levels at quantiles of the feasible values, bunched towards the peak
+        const sorted = values.flat().filter(isFinite).sort((a, b) => a - b);
+        const levels = [0.1, 0.3, 0.5, 0.7, 0.8, 0.9, 0.95, 0.98, 0.995]
+            .map(share => sorted[Math.floor(share * (sorted.length - 1))])
+            .filter((level, index, all) => level !== undefined && level !== all[index - 1]);
+        
+        const contourDatasets = levels.map((level, index) => ({
+            label: `U = ${level.toFixed(3)}`,
+            data: contourSegments(values, xs, ys, level)
+                .flatMap(([from, to]) => [from, to, { x: to.x, y: null }]),
+            borderColor: this.getHeatmapColor(index, 0, levels.length - 1),
+            borderWidth: 2,
+            pointRadius: 0,
+            showLine: true,
+            spanGaps: false
+        }));
+        
+        return {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    {
+                        label: 'Infeasible',
+                        data: this.getFeasibleBoundary(parameters, extensions, maxW1, topW2),
+                        borderColor: 'gray',
+                        backgroundColor: 'rgba(128, 128, 128, 0.3)',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        showLine: true,
+                        fill: 'end'
+                    },
+                    ...contourDatasets,
+                    ...(grid ? [{
+                        label: 'Fallback Grid Point',
+                        data: [{ x: grid.w1, y: grid.w2 }],
+                        backgroundColor: 'orange',
+                        pointStyle: 'triangle',
+                        pointRadius: 10
+                    }] : []),
+                    ...(start ? [{
+                        label: start.warm ? 'Solver Start (warm)' : 'Solver Start (cold)',
+                        data: [{ x: start.w1, y: start.w2 }],
+                        borderColor: 'blue',
+                        pointStyle: 'crossRot',
+                        borderWidth: 3,
+                        pointRadius: 10
+                    }] : []),
+                    {
+                        label: `Optimum (${optimization.method})`,
+                        data: [{ x: optimization.w1, y: optimization.w2 }],
+                        backgroundColor: 'red',
+                        pointStyle: 'star',
+                        borderColor: 'red',
+                        borderWidth: 2,
+                        pointRadius: 12
+                    }
+                ]
+            },
+            options: {
+                ...this.defaultOptions,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: 0,
+                        max: maxW1,
+                        title: {
+                            display: true,
+                            text: 'Wealth at Tax Time (w1)',
+                            font: { size: 28 }
+                        },
+                        ticks: { font: { size: 18 } }
+                    },
+                    y: {
+                        min: 0,
+                        max: topW2,
+                        title: {
+                            display: true,
+                            text: 'Bequest (w2)',
+                            font: { size: 28 }
+                        },
+                        ticks: { font: { size: 18 } }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'right'
+                    },
+                    title: {
+                        display: true,
+                        text: 'Lifetime Utility over (w1, w2)',
+                        font: { size: 24 }
+                    },
+                    annotation: {
+                        annotations: grid ? {
+                            searchBox: {
+                                type: 'box',
+                                xMin: grid.searchSpace.w1Min,
+                                xMax: grid.searchSpace.w1Max,
+                                yMin: grid.searchSpace.w2Min,
+                                yMax: grid.searchSpace.w2Max,
+                                backgroundColor: 'rgba(255, 165, 0, 0.05)',
+                                borderColor: 'orange',
+                                borderWidth: 1,
+                                borderDash: [6, 4],
+                                label: {
+                                    display: true,
+                                    content: 'Fallback grid box',
+                                    position: 'start',
+                                    font: { size: 14 }
+                                }
+                            }
+                        } : {}
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Upper edge of the feasible region: for each w1, the largest w2 that
+     * checkConstraints accepts (found by bisection), capped at the top of the plot.
+     */
+    getFeasibleBoundary(parameters, extensions, maxW1, topW2) {
+        const boundary = [];
+        
+        for (let i = 0; i <= this.numPoints; i++) {
+            const w1 = maxW1 * (i + 0.5) / (this.numPoints + 1);
+            let low = 0;
+            let high = topW2;
+            if (checkConstraints(w1, high, parameters, extensions)) {
+                low = high;
+            } else {
+                for (let iteration = 0; iteration < 50; iteration++) {
+                    const middle = (low + high) / 2;
+                    if (checkConstraints(w1, middle, parameters, extensions)) {
+                        low = middle;
+                    } else {
+                        high = middle;
+                    }
+                }
+            }
+            boundary.push({ x: w1, y: low });
+        }
+        
+        return boundary;
+    }
+
+    /**
+     * Grid values for a heatmap axis across the parameter's slider range
+     * (whole numbers only for year counts).
+     */
+    getHeatmapValues(parameter) {
+        const { min, max, step } = PARAMETER_RANGES[parameter];
+        const values = Array.from({ length: this.heatmapSteps + 1 }, (_, i) => {
+            const value = min + (max - min) * i / this.heatmapSteps;
+            return Number.isInteger(step) ? Math.round(value) : Number(value.toFixed(6));
+        });
+        return [...new Set(values)];
+    }
+
+    /**
+     * One heatmap cell's output from its sweep row; NaN when the cell has no
+     * solution. The welfare loss is solved for all cells at once instead.
+     */
+    getHeatmapOutput(output, parameters, row, x, y) {
+        if (row.error) {
+            return NaN;
+        }
+        
+        switch (output) {
+            case 'afterTax':
+                return applyLevy(getTaxEvents(this.getHeatmapPointParameters(parameters, row, x, y))[0], row.w1);
+            default:
+                return row[output];
+        }
+    }
+
+    /**
+     * Parameters of a heatmap cell: the base with both swept values applied.
+     */
+    getHeatmapPointParameters(parameters, row, x, y) {
+        return optimizationService.withSweepValue(
+            optimizationService.withSweepValue(parameters, x, row[x]), y, row[y]
+        );
+    }
+
+    /**
+     * Heatmap cell color on the viridis scale; grey when there is no value.
+     */
+    getHeatmapColor(value, min, max) {
+        if (!isFinite(value)) {
+            return 'rgba(200, 200, 200, 0.6)';
+        }
+        
+        const share = max > min ? (value - min) / (max - min) : 0.5;
+        const position = share * (HEATMAP_COLORS.length - 1);
+        const index = Math.min(Math.floor(position), HEATMAP_COLORS.length - 2);
+        const fraction = position - index;
+        const [red, green, blue] = HEATMAP_COLORS[index].map((channel, k) =>
+            Math.round(channel + (HEATMAP_COLORS[index + 1][k] - channel) * fraction));
+        return `rgb(${red}, ${green}, ${blue})`;
+    }
+
+    /**
+     * Color legend entries: swatches from the lowest to the highest value.
+     */
+    createHeatmapLegend(min, max, hasGaps) {
+        const swatches = isFinite(min) ? HEATMAP_COLORS.map((_, i) => {
+            const value = max > min ? min + (max - min) * i / (HEATMAP_COLORS.length - 1) : min;
+            return { text: value.toFixed(3), fillStyle: this.getHeatmapColor(value, min, max) };
+        }) : [];
+        if (hasGaps) {
+            swatches.push({ text: 'no solution', fillStyle: this.getHeatmapColor(NaN) });
+        }
+        
+        return swatches.map(swatch => ({ ...swatch, strokeStyle: 'white', lineWidth: 1, hidden: false }));
+    }
+
+    /**
+     * Axis label for a heatmap grid value.
+     */
+    formatHeatmapValue(value) {
+        return String(Number(value.toFixed(3)));
+    }
+
+    /**
+     * Rounds the largest y value up to a readable axis limit, never below the default.
+     */
+    calculateAxisMax(data, defaultMax) {
+        const largest = Math.max(...data.map(point => point.y).filter(isFinite));
+        if (!(largest > defaultMax)) {
+            return defaultMax;
+        }
+        return Math.ceil(largest * 1.1 * 2) / 2;
+    }
+
     /**
      * Calculates mean slope from data points.
      */
@@ -483,8 +1474,8 @@ export const visualizationService = new VisualizationService();
 /**
  * Convenience function for generating visualization configs
  */
-export async function generateVisualizationConfig(visualizationType, parameters) {
-    return await visualizationService.generateVisualizationConfig(visualizationType, parameters);
+export async function generateVisualizationConfig(visualizationType, parameters, options = {}) {
+    return await visualizationService.generateVisualizationConfig(visualizationType, parameters, options);
 }
 
 /**
@@ -492,4 +1483,11 @@ export async function generateVisualizationConfig(visualizationType, parameters)
  */
 export async function generateTaxEffectTable(parameters) {
     return await visualizationService.generateTaxEffectTable(parameters);
+}
+
+/**
+ * Convenience function for generating the comparison summary table
+ */
+export function generateComparisonTable(results) {
+    return visualizationService.generateComparisonTable(results);
 }
\ No newline at end of file
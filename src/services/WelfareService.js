@@ -0,0 +1,300 @@
+/**
+ * Welfare service for expressing the cost of the midlife tax in money terms.
+ * Lifetime utility has no interpretable units, so welfare changes are reported
+ * as the equivalent change in initial wealth and set against the revenue the
+ * levies collect.
+ */
+
+import { optimizationService } from './OptimizationService.js';
+import { workerManager } from '../workers/WorkerManager.js';
+import { getModelExtensions, createMultiEventPaths } from '../math/UtilityFunctions.js';
+import { withTaxRate, withoutTaxes, levyCollected } from '../math/TaxEvents.js';
+import { OptimizationError } from '../errors/ErrorTypes.js';
+import { validateParametersOrThrow } from '../utils/ParameterValidator.js';
+
+/**
+ * Service for equivalent-variation welfare measures built on the optimizer.
+ */
+export class WelfareService {
+    /**
+     * @param {Object} [options] - Root-finding settings
+     * @param {OptimizationService} [optimizer] - Solver for every optimization;
+     *                                            the optimization worker passes its own
+     */
+    constructor(options = {}, optimizer = optimizationService) {
+        this.optimizer = optimizer;
+        this.options = {
+            tolerance: 1e-8,
+            maxIterations: 40,
+            minChange: -0.99, // w0 must stay positive
+            maxChange: 10,
+            ...options
+        };
+    }
+
+    /**
+     * Equivalent variation of the tax in initial wealth.
+     *
+     * Solves V(untaxed, w0 * (1 + e)) = V(taxed, w0) for e: the proportional
+     * change in w0 that leaves an untaxed household exactly as well off as it is
+     * under the tax. A tax that hurts gives a negative e (a reduction in w0).
+     *
+     * @param {Object} parameters - Economic parameters (the taxed household)
+     * @param {Object} [options] - {signal}, an AbortSignal for every optimization
+     * @returns {Object} {change, amount, taxedUtility, untaxedUtility, iterations}
+     */
+    async equivalentVariation(parameters, options = {}) {
+        validateParametersOrThrow(parameters);
+
+        const { w0 = 1 } = parameters;
+        const { signal } = options;
+        const untaxed = withoutTaxes(parameters);
+        const taxedUtility = (await this.optimizer.findOptimalWealth(parameters, { signal })).utility;
+        const untaxedOptimum = await this.optimizer.findOptimalWealth(untaxed, { signal });
+        const untaxedUtility = untaxedOptimum.utility;
+
+        // Probes bypass the result cache, whose key rounds w0, and all start
+        // from the untaxed optimum so the gap is a smooth function of the change
+        const untaxedUtilityAt = async (change) => {
+            const probe = await this.optimizer.performOptimization(
+                { ...untaxed, w0: w0 * (1 + change) },
+                { signal, warmStart: untaxedOptimum }
+            );
+            signal?.throwIfAborted();
+            return probe.utility;
+        };
+
+        const { change, iterations } = await this.solveForChange(
+            async (candidate) => (await untaxedUtilityAt(candidate)) - taxedUtility,
+            untaxedUtility - taxedUtility,
+            parameters
+        );
+
+        return {
+            change,
+            amount: change * w0,
+            taxedUtility,
+            untaxedUtility,
+            iterations
+        };
+    }
+
+    /**
+     * Equivalent variation, as a change in w0, for many parameter sets, e.g. the
+     * cells of a heatmap. With workers the sets are solved in chunks across the
+     * pool (as sweeps are); a chunk whose worker fails is solved here instead.
+     * A set without a solution gives NaN.
+     *
+     * @param {Array<Object|null>} parameterSets - Parameter sets; null entries are skipped (NaN)
+     * @param {Object} [options] - signal (an AbortSignal), and onProgress(done, total)
+     *                             called as sets (chunks, with workers) finish
+     * @returns {Array<number>} Changes, in the order of parameterSets
+     * @throws {DOMException} AbortError (the signal's reason) when the signal aborts
+     */
+    async equivalentVariations(parameterSets, options = {}) {
+        const chunks = this.optimizer.getSweepChunks(parameterSets);
+        if (chunks.length < 2 || !this.optimizer.options.useWebWorkers) {
+            return await this.solveEquivalentVariations(parameterSets, {
+                signal: options.signal,
+                onSet: (done) => options.onProgress?.(done, parameterSets.length)
+            });
+        }
+
+        let done = 0;
+        const chunkChanges = await Promise.all(chunks.map(async (chunk) => {
+            let changes;
+            try {
+                changes = await workerManager.welfareChunk(chunk, { signal: options.signal });
+            } catch (workerError) {
+                if (options.signal?.aborted || !this.optimizer.options.fallbackToMainThread) {
+                    throw workerError;
+                }
+                console.warn('Worker welfare job failed, solving the chunk on the main thread:', workerError.message);
+                changes = await this.solveEquivalentVariations(chunk, { signal: options.signal });
+            }
+
+            done += chunk.length;
+            options.onProgress?.(done, parameterSets.length);
+            return changes;
+        }));
+
+        return chunkChanges.flat();
+    }
+
+    /**
+     * Solves equivalentVariations' sets one after another on this thread.
+     * `checkpoint` (an async function) runs before each set, letting a worker
+     * take in cancellations; `onSet(done)` runs after each.
+     */
+    async solveEquivalentVariations(parameterSets, { signal, checkpoint, onSet } = {}) {
+        const changes = [];
+        for (const parameters of parameterSets) {
+            if (checkpoint) {
+                await checkpoint();
+            }
+            signal?.throwIfAborted();
+
+            let change = NaN;
+            if (parameters) {
+                try {
+                    change = (await this.equivalentVariation(parameters, { signal })).change;
+                } catch (error) {
+                    if (error.name === 'AbortError') {
+                        throw error;
+                    }
+                }
+            }
+            changes.push(change);
+            onSet?.(changes.length);
+        }
+        return changes;
+    }
+
+    /**
+     * Finds the root of an increasing gap(e) by bracketing then bisection.
+     * gapAtZero decides the search direction without another optimization.
+     */
+    async solveForChange(gap, gapAtZero, parameters) {
+        const { tolerance, maxIterations, minChange, maxChange } = this.options;
+
+        if (Math.abs(gapAtZero) < 1e-12) {
+            return { change: 0, iterations: 0 };
+        }
+
+        // Expand away from zero until the gap changes sign
+        let low = 0;
+        let high = 0;
+        let iterations = 0;
+        if (gapAtZero > 0) {
+            low = -0.1;
+            while ((await gap(low)) > 0) {
+                high = low;
+                low = Math.max(low * 2, minChange);
+                if (++iterations > maxIterations || (low === minChange && (await gap(low)) > 0)) {
+                    throw new OptimizationError('Equivalent variation exceeds the whole of initial wealth', parameters);
+                }
+            }
+        } else {
+            high = 0.1;
+            while ((await gap(high)) < 0) {
+                low = high;
+                high = Math.min(high * 2, maxChange);
+                if (++iterations > maxIterations || (high === maxChange && (await gap(high)) < 0)) {
+                    throw new OptimizationError('Equivalent variation exceeds the search range', parameters);
+                }
+            }
+        }
+
+        while (high - low > tolerance && iterations < maxIterations) {
+            const middle = (low + high) / 2;
+            if ((await gap(middle)) > 0) {
+                high = middle;
+            } else {
+                low = middle;
+            }
+            iterations++;
+        }
+
+        return { change: (low + high) / 2, iterations };
+    }
+
+    /**
+     * Present value at time 0 of everything the levies collect from an optimal plan,
+     * discounted at the market interest rate.
+     *
+     * @param {Object} parameters - Economic parameters
+     * @param {Object} optimization - Result of findOptimalWealth for those parameters
+     * @returns {number} Present-value revenue
+     */
+    presentValueRevenue(parameters, optimization) {
+        const { r } = parameters;
+        const { eventWealth, w2, shelter } = optimization;
+        const segments = createMultiEventPaths(
+            parameters, eventWealth, w2, getModelExtensions(parameters), shelter
+        );
+
+        return segments
+            .filter(segment => segment.event)
+            .reduce((total, segment) =>
+                total + Math.exp(-r * segment.end) * levyCollected(segment.event, segment.endWealth), 0);
+    }
+
+    /**
+     * Revenue and excess burden of the tax.
+     *
+     * The welfare loss is minus the equivalent variation in money (time-0 wealth);
+     * the excess burden (deadweight loss) is the part of that loss not matched by
+     * present-value revenue.
+     *
+     * @param {Object} parameters - Economic parameters (the taxed household)
+     * @param {Object} [options] - {signal}, as for equivalentVariation
+     * @returns {Object} {revenue, welfareLoss, excessBurden, change}
+     */
+    async revenueAnalysis(parameters, options = {}) {
+        validateParametersOrThrow(parameters);
+
+        const optimization = await this.optimizer.findOptimalWealth(parameters, options);
+        const revenue = this.presentValueRevenue(parameters, optimization);
+        const { change, amount } = await this.equivalentVariation(parameters, options);
+        const welfareLoss = -amount;
+
+        return {
+            revenue,
+            welfareLoss,
+            excessBurden: welfareLoss - revenue,
+            change
+        };
+    }
+
+    /**
+     * Revenue and excess burden across headline tax rates, for charting.
+     *
+     * @param {Object} parameters - Economic parameters
+     * @param {Array<number>} taxRates - Tax rates to evaluate
+     * @param {Object} [options] - {signal}, as for equivalentVariation
+     * @returns {Array<Object>} Rows [{tau, revenue, welfareLoss, excessBurden, change}]
+     */
+    async revenueCurve(parameters, taxRates, options = {}) {
+        const rows = [];
+        for (const tau of taxRates) {
+            rows.push({ tau, ...(await this.revenueAnalysis(withTaxRate(parameters, tau), options)) });
+        }
+        return rows;
+    }
+
+    /**
+     * Equivalent variation across headline tax rates, for charting.
+     *
+     * @param {Object} parameters - Economic parameters
+     * @param {Array<number>} taxRates - Tax rates to evaluate
+     * @param {Object} [options] - {signal}, as for equivalentVariation
+     * @returns {Array<Object>} Points [{x: tau, y: change}]
+     */
+    async welfareCostCurve(parameters, taxRates, options = {}) {
+        const points = [];
+        for (const tau of taxRates) {
+            const { change } = await this.equivalentVariation(withTaxRate(parameters, tau), options);
+            points.push({ x: tau, y: change });
+        }
+        return points;
+    }
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const welfareService = new WelfareService();
+
+/**
+ * Convenience function for the equivalent variation of the tax
+ */
+export async function equivalentVariation(parameters, options) {
+    return await welfareService.equivalentVariation(parameters, options);
+}
+
+/**
+ * Convenience function for revenue and excess burden of the tax
+ */
+export async function revenueAnalysis(parameters, options) {
+    return await welfareService.revenueAnalysis(parameters, options);
+}
@@ -5,6 +5,11 @@
 
 import { DEFAULT_PARAMETERS } from '../utils/ParameterValidator.js';
 
+/**
+ * Largest number of parameter sets that can be pinned for comparison.
+ */
+export const MAX_COMPARISON_SCENARIOS = 4;
+
 /**
  * Immutable state management class with subscriber notifications.
  */
@@ -18,6 +23,12 @@ export class ApplicationState {
         this.listeners = new Set();
         this.history = [this.state];
         this.maxHistorySize = 50;
+        
+        // Undo/redo steps: the history snapshots where parameters or the
+        // visualization type changed, oldest first, with the current step marked
+        this.undoSteps = [this.createUndoStep(this.state, 'initialization', [])];
+        this.undoIndex = 0;
+        this.undoGroupingWindow = 750; // ms; quicker repeats of a change form one step
     }
 
     /**
@@ -40,7 +51,7 @@ export class ApplicationState {
         });
         
         this.state = newState;
-        this.addToHistory(newState);
+        this.addToHistory(newState, oldState);
         this.notifyListeners(newState, oldState);
         
         return newState;
@@ -89,6 +100,70 @@ export class ApplicationState {
         }, source);
     }
 
+    /**
+     * Updates the heatmap's axes or plotted output ({x, y, output}).
+     */
+    setHeatmapSettings(settingsUpdates, source = 'ui') {
+        return this.setState({
+            heatmapSettings: {
+                ...this.state.heatmapSettings,
+                ...settingsUpdates
+            },
+            needsRecalculation: true,
+            chartConfig: null
+        }, source);
+    }
+
+    /**
+     * Pins a parameter set for comparison ({name, parameters, origin}).
+     * Pins beyond MAX_COMPARISON_SCENARIOS are ignored; the caller checks the limit.
+     */
+    pinScenario(scenario, source = 'ui') {
+        if (this.state.comparisonScenarios.length >= MAX_COMPARISON_SCENARIOS) {
+            return this.state;
+        }
+        
+        this.lastScenarioId = (this.lastScenarioId || 0) + 1;
+        return this.setState({
+            comparisonScenarios: [
+                ...this.state.comparisonScenarios,
+                { ...scenario, id: this.lastScenarioId, parameters: { ...scenario.parameters } }
+            ],
+            needsRecalculation: true,
+            chartConfig: null
+        }, source);
+    }
+
+    /**
+     * Removes a pinned scenario by id.
+     */
+    unpinScenario(id, source = 'ui') {
+        return this.setState({
+            comparisonScenarios: this.state.comparisonScenarios.filter(scenario => scenario.id !== id),
+            needsRecalculation: true,
+            chartConfig: null
+        }, source);
+    }
+
+    /**
+     * Removes every pinned scenario.
+     */
+    clearComparison(source = 'ui') {
+        return this.setState({
+            comparisonScenarios: [],
+            comparisonResults: [],
+            needsRecalculation: true,
+            chartConfig: null
+        }, source);
+    }
+
+    /**
+     * Stores the solved comparison scenarios.
+     */
+    setComparisonResults(comparisonResults, source = 'comparison') {
+        return this.setState({ comparisonResults }, source);
+    }
+
     /**
      * Sets calculation results and marks as up-to-date.
      */
@@ -118,10 +193,17 @@ export class ApplicationState {
     setCalculating(isCalculating, source = 'calculation') {
         return this.setState({
             isCalculating,
-            ...(isCalculating && { errors: [] }) // Clear errors when starting calculation
+            ...(isCalculating && { errors: [], sweepProgress: null }) // A new calculation starts afresh
         }, source);
     }
 
+    /**
+     * Sets the progress of the running sweep, or null when there is none.
+     */
+    setSweepProgress(sweepProgress, source = 'sweep') {
+        return this.setState({ sweepProgress }, source);
+    }
+
     /**
      * Adds an error to the error list.
      */
@@ -167,9 +249,15 @@ export class ApplicationState {
             
             // UI state
             visualizationType: 'Wealth Trajectory',
+            heatmapSettings: { x: 'tau', y: 't1', output: 'w1' },
+            
+            // Comparison mode: pinned parameter sets and their solutions
+            comparisonScenarios: [],
+            comparisonResults: [],
             
             // Calculation state
             isCalculating: false,
+            sweepProgress: null, // {done, total} while a sweep runs
             needsRecalculation: true,
             lastOptimizationResult: null,
             lastCalculationTime: null,
@@ -227,9 +315,10 @@ export class ApplicationState {
     }
 
     /**
-     * Adds state to history for debugging.
+     * Adds state to history for debugging, and records an undo step when the
+     * parameters or visualization type changed (except when undoing itself).
      */
-    addToHistory(state) {
+    addToHistory(state, oldState = {}) {
         this.history.unshift({
             ...state,
             historyTimestamp: Date.now()
@@ -239,6 +328,104 @@ export class ApplicationState {
         if (this.history.length > this.maxHistorySize) {
             this.history = this.history.slice(0, this.maxHistorySize);
         }
+        
+        const changed = [
+            ...Object.keys(state.parameters).filter(name => state.parameters[name] !== oldState.parameters?.[name]),
+            ...(state.visualizationType !== oldState.visualizationType ? ['visualizationType'] : [])
+        ].sort();
+        if (changed.length > 0 && !['undo', 'redo'].includes(state.updateSource)) {
+            this.recordUndoStep(state, changed);
+        }
+    }
+
+    /**
+     * Snapshot of what undo restores.
+     */
+    createUndoStep(state, source, changed) {
+        return {
+            parameters: state.parameters,
+            visualizationType: state.visualizationType,
+            source,
+            changed,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Appends an undo step, discarding any redo steps. A change from the same
+     * source to the same fields within the grouping window (a slider drag), or
+     * in the same instant (e.g. a reset touching several fields), extends the
+     * current step instead of starting a new one.
+     */
+    recordUndoStep(state, changed) {
+        const step = this.createUndoStep(state, state.updateSource, changed);
+        const current = this.undoSteps[this.undoIndex];
+        this.undoSteps = this.undoSteps.slice(0, this.undoIndex + 1);
+        
+        const elapsed = step.timestamp - current.timestamp;
+        const sameChange = current.changed.join() === changed.join() && elapsed < this.undoGroupingWindow;
+        if (this.undoIndex > 0 && current.source === step.source && (sameChange || elapsed < 50)) {
+            this.undoSteps[this.undoIndex] = {
+                ...step,
+                changed: [...new Set([...current.changed, ...changed])].sort()
+            };
+            return;
+        }
+        
+        this.undoSteps.push(step);
+        if (this.undoSteps.length > this.maxHistorySize) {
+            this.undoSteps.shift();
+        }
+        this.undoIndex = this.undoSteps.length - 1;
+    }
+
+    /**
+     * Restores the parameters and visualization type of the previous step.
+     */
+    undo() {
+        return this.undoIndex > 0 ? this.applyUndoStep(this.undoIndex - 1, 'undo') : this.state;
+    }
+
+    /**
+     * Restores the step that the last undo left.
+     */
+    redo() {
+        return this.undoIndex < this.undoSteps.length - 1 ? this.applyUndoStep(this.undoIndex + 1, 'redo') : this.state;
+    }
+
+    /**
+     * Moves to an undo step and puts its parameters and visualization type back.
+     */
+    applyUndoStep(index, source) {
+        const { parameters, visualizationType } = this.undoSteps[index];
+        this.undoIndex = index;
+        
+        return this.setState({
+            parameters,
+            visualizationType,
+            needsRecalculation: true,
+            ...(visualizationType !== this.state.visualizationType && { chartConfig: null })
+        }, source);
+    }
+
+    canUndo() {
+        return this.undoIndex > 0;
+    }
+
+    canRedo() {
+        return this.undoIndex < this.undoSteps.length - 1;
+    }
+
+    /**
+     * Undo steps for display, oldest first: [{source, changed, timestamp, current}].
+     */
+    getUndoHistory() {
+        return this.undoSteps.map(({ source, changed, timestamp }, index) => ({
+            source,
+            changed,
+            timestamp,
+            current: index === this.undoIndex
+        }));
     }
 
     /**
@@ -262,6 +449,8 @@ export class ApplicationState {
         const defaultState = this.getDefaultState();
         this.state = Object.freeze(defaultState);
         this.history = [this.state];
+        this.undoSteps = [this.createUndoStep(this.state, 'initialization', [])];
+        this.undoIndex = 0;
         this.notifyListeners(this.state, {});
     }
 
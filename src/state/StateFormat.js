@@ -0,0 +1,403 @@
+/**
+ * File format for saved application state (scenarios and their results).
+ *
+ * A state file is a JSON object:
+ *
+ *   {
+ *     "format": "midlife-wealth-tax-state",
+ *     "version": 2,
+ *     "exportedAt": "2025-01-26T12:00:00.000Z",
+ *     "parameters": { "r": 0.06, "rho": 0.04, ..., "tuitionMode": "fixed" },
+ *     "visualizationType": "Wealth Trajectory",
+ *     "heatmapSettings": { "x": "tau", "y": "t1", "output": "w1" },
+ *     "comparisonScenarios": [ { "name": "High tax", "parameters": { ... } } ],
+ *     "result": { "w1": 1.59, "w2": 2.35, "eventWealth": [1.59], "utility": 26.6,
+ *                 "method": "newton", "verdict": "interior" }
+ *   }
+ *
+ * STATE_SCHEMA is the JSON Schema of the current version. `result` is the
+ * optimum for `parameters` when the file was written (null if there was none);
+ * it is informational and is recomputed on import.
+ *
+ * Whenever the layout changes or a parameter is added, STATE_VERSION is bumped
+ * and a migration from the previous version is appended to MIGRATIONS (and to
+ * PARAMETER_MIGRATIONS for a parameter), so older files keep loading. A new
+ * parameter's migration fills in the value that switches its feature off, so
+ * old scenarios solve exactly as before. Scenario library files carry the same
+ * version and migrate their parameters through the same chain.
+ */
+
+import { ImportError } from '../errors/ErrorTypes.js';
+
+export const STATE_FORMAT = 'midlife-wealth-tax-state';
+export const STATE_VERSION = 2;
+
+const NUMBER = { type: 'number' };
+const NULLABLE_NUMBER = { type: ['number', 'null'] };
+const NULLABLE_ARRAY = { type: ['array', 'null'] };
+
+const PARAMETERS_SCHEMA = {
+    type: 'object',
+    required: [
+        'r', 'rho', 'gamma', 'eta', 'beta', 'tau', 't1', 't2', 'w0', 'y0', 'g', 'tR', 'taxEvents',
+        'allowance', 'assessmentBrackets', 'shelterLimit', 'shelterUnlock', 'shelterPenalty', 'tuition', 'tuitionMode'
+    ],
+    properties: {
+        r: NUMBER,
+        rho: NUMBER,
+        gamma: NUMBER,
+        eta: NUMBER,
+        beta: NUMBER,
+        tau: NUMBER,
+        t1: NUMBER,
+        t2: NUMBER,
+        w0: NUMBER,
+        y0: NUMBER,
+        g: NUMBER,
+        tR: NUMBER,
+        incomePhases: {
+            ...NULLABLE_ARRAY,
+            items: {
+                type: 'object',
+                required: ['start', 'end', 'level'],
+                properties: { start: NUMBER, end: NUMBER, level: NUMBER, growth: NUMBER }
+            }
+        },
+        // A null rate follows tau
+        taxEvents: {
+            ...NULLABLE_ARRAY,
+            items: {
+                type: 'object',
+                required: ['offset', 'rate'],
+                properties: { offset: NUMBER, rate: NULLABLE_NUMBER }
+            }
+        },
+        allowance: NUMBER,
+        assessmentBrackets: {
+            ...NULLABLE_ARRAY,
+            items: {
+                type: 'object',
+                required: ['from', 'rate'],
+                properties: { from: NUMBER, rate: NUMBER }
+            }
+        },
+        shelterLimit: NUMBER,
+        shelterUnlock: NUMBER,
+        shelterPenalty: NUMBER,
+        tuition: NUMBER,
+        tuitionMode: { enum: ['fixed', 'netOfAid'] }
+    }
+};
+
+/**
+ * JSON Schema (draft 2020-12) of a current-version state file. Parameter
+ * values are range-checked by ParameterValidator on import, not here.
+ */
+export const STATE_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Midlife Wealth Tax state',
+    type: 'object',
+    required: ['format', 'version', 'parameters'],
+    properties: {
+        format: { const: STATE_FORMAT },
+        version: { const: STATE_VERSION },
+        exportedAt: { type: ['string', 'null'] },
+        parameters: PARAMETERS_SCHEMA,
+        visualizationType: { type: 'string' },
+        heatmapSettings: {
+            type: 'object',
+            properties: {
+                x: { type: 'string' },
+                y: { type: 'string' },
+                output: { type: 'string' }
+            }
+        },
+        comparisonScenarios: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'parameters'],
+                properties: {
+                    name: { type: 'string' },
+                    parameters: PARAMETERS_SCHEMA,
+                    origin: { type: 'string' }
+                }
+            }
+        },
+        result: {
+            type: ['object', 'null'],
+            properties: {
+                w1: NUMBER,
+                w2: NUMBER,
+                eventWealth: { type: 'array', items: NUMBER },
+                utility: NUMBER,
+                method: { type: 'string' },
+                verdict: { type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * Parameters added after the original model, with the values that leave
+ * their features off. Unversioned files predate all of them.
+ */
+const PARAMETERS_ADDED_IN_V1 = {
+    y0: 0,
+    g: 0,
+    tR: 20,
+    taxEvents: null,
+    allowance: 0,
+    assessmentBrackets: null,
+    shelterLimit: 0,
+    shelterUnlock: 20,
+    shelterPenalty: 1,
+    tuition: 0,
+    tuitionMode: 'fixed'
+};
+
+/**
+ * Forward migrations of a parameter set; PARAMETER_MIGRATIONS[n] turns version
+ * n parameters into version n + 1. Shared by state files, their pinned
+ * scenarios and scenario library files.
+ */
+const PARAMETER_MIGRATIONS = [
+    // 0 -> 1
+    (parameters) => ({ ...PARAMETERS_ADDED_IN_V1, ...parameters }),
+    // 1 -> 2: every tax event spells out its offset and rate
+    (parameters) => normalizeTaxEvents(parameters)
+];
+
+/**
+ * Forward migrations; MIGRATIONS[n] turns a version n file into version n + 1.
+ */
+const MIGRATIONS = [
+    // 0 -> 1: the unversioned export of Application.exportState
+    (data) => ({
+        format: STATE_FORMAT,
+        version: 1,
+        exportedAt: data.timestamp || null,
+        parameters: PARAMETER_MIGRATIONS[0](data.parameters),
+        visualizationType: data.visualizationType,
+        heatmapSettings: data.heatmapSettings,
+        comparisonScenarios: migratePins(data.comparisonScenarios ?? [], PARAMETER_MIGRATIONS[0]),
+        result: null
+    }),
+    // 1 -> 2
+    (data) => ({
+        ...data,
+        version: 2,
+        parameters: PARAMETER_MIGRATIONS[1](data.parameters),
+        comparisonScenarios: migratePins(data.comparisonScenarios, PARAMETER_MIGRATIONS[1])
+    })
+];
+
+/**
+ * Applies a parameter migration to every pinned scenario. Anything that is not
+ * a list of objects is left as it is, for the schema check to report.
+ */
+function migratePins(pins, migrate) {
+    if (!Array.isArray(pins)) {
+        return pins;
+    }
+    return pins.map(pin => (pin && typeof pin === 'object' ? { ...pin, parameters: migrate(pin.parameters) } : pin));
+}
+
+/**
+ * A copy of a parameter set whose tax events all have an offset and a rate,
+ * a missing rate becoming null (following tau) as the schema requires.
+ */
+function normalizeTaxEvents(parameters) {
+    if (!parameters || typeof parameters !== 'object' || !Array.isArray(parameters.taxEvents)) {
+        return parameters && typeof parameters === 'object' ? { ...parameters } : parameters;
+    }
+    return {
+        ...parameters,
+        taxEvents: parameters.taxEvents.map(event => (event && typeof event === 'object'
+            ? { ...event, offset: event.offset ?? 0, rate: event.rate ?? null }
+            : event))
+    };
+}
+
+/**
+ * Writes application state as a current-version state file.
+ *
+ * @param {Object} state - {parameters, visualizationType, heatmapSettings, comparisonScenarios, lastOptimizationResult}
+ * @returns {Object} State file (JSON-ready)
+ */
+export function serializeState(state) {
+    const { parameters, visualizationType, heatmapSettings, comparisonScenarios = [], lastOptimizationResult } = state;
+    const result = lastOptimizationResult;
+
+    return {
+        format: STATE_FORMAT,
+        version: STATE_VERSION,
+        exportedAt: new Date().toISOString(),
+        parameters: normalizeTaxEvents(parameters),
+        visualizationType,
+        heatmapSettings: { ...heatmapSettings },
+        comparisonScenarios: comparisonScenarios.map(({ name, parameters, origin }) => ({
+            name,
+            parameters: normalizeTaxEvents(parameters),
+            origin
+        })),
+        result: result ? {
+            w1: result.w1,
+            w2: result.w2,
+            eventWealth: result.eventWealth,
+            utility: result.utility,
+            method: result.method,
+            verdict: result.certificate?.verdict
+        } : null
+    };
+}
+
+/**
+ * Reads a state file of any version: migrates it to the current version and
+ * checks it against STATE_SCHEMA.
+ *
+ * @param {string|Object} file - File text or parsed JSON
+ * @returns {Object} Current-version state file
+ * @throws {ImportError} If the file is not JSON, not a state file, from a newer
+ *                       version, or does not match the schema
+ */
+export function parseStateFile(file) {
+    let data = file;
+    if (typeof file === 'string') {
+        try {
+            data = JSON.parse(file);
+        } catch (error) {
+            throw new ImportError('The file is not valid JSON', 'INVALID_FILE_FORMAT', [error.message]);
+        }
+    }
+
+    const migrated = migrateState(data);
+    const issues = checkSchema(migrated, STATE_SCHEMA, 'state');
+    if (issues.length > 0) {
+        throw new ImportError('The file does not match the state format', 'INVALID_FILE_FORMAT', issues);
+    }
+
+    return migrated;
+}
+
+/**
+ * Applies the migrations from a file's version up to STATE_VERSION.
+ * A file without a format tag but with parameters is the unversioned export.
+ *
+ * @param {Object} data - Parsed state file
+ * @returns {Object} File at the current version
+ */
+export function migrateState(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ImportError('The file is not a saved state', 'INVALID_FILE_FORMAT');
+    }
+
+    let version;
+    if (data.format === STATE_FORMAT) {
+        version = data.version;
+    } else if (data.format === undefined && data.parameters && typeof data.parameters === 'object') {
+        version = 0;
+    } else {
+        throw new ImportError('The file is not a saved state', 'INVALID_FILE_FORMAT');
+    }
+
+    checkFileVersion(version);
+
+    let migrated = data;
+    for (let from = version; from < STATE_VERSION; from++) {
+        migrated = MIGRATIONS[from](migrated);
+    }
+    return migrated;
+}
+
+/**
+ * Applies the parameter migrations from a file's version up to STATE_VERSION,
+ * for files that hold parameter sets but are not state files (scenario libraries).
+ *
+ * @param {Object} parameters - Parameter set saved at `version`
+ * @param {number} version - Version of the file it came from
+ * @returns {Object} Parameters at the current version
+ */
+export function migrateParameters(parameters, version) {
+    checkFileVersion(version);
+
+    let migrated = parameters;
+    for (let from = version; from < STATE_VERSION; from++) {
+        migrated = PARAMETER_MIGRATIONS[from](migrated);
+    }
+    return migrated;
+}
+
+/**
+ * Fails unless a file's version can be migrated to STATE_VERSION.
+ *
+ * @param {*} version - Version read from the file
+ * @throws {ImportError} If the version is not a count, or is newer than this application's
+ */
+export function checkFileVersion(version) {
+    if (!Number.isInteger(version) || version < 0) {
+        throw new ImportError(`The file has an invalid version (${version})`, 'INVALID_FILE_FORMAT');
+    }
+    if (version > STATE_VERSION) {
+        throw new ImportError(
+            `The file was saved by a newer version of the application (format ${version}, this one reads up to ${STATE_VERSION})`,
+            'UNSUPPORTED_FILE_VERSION'
+        );
+    }
+}
+
+/**
+ * Checks a value against the subset of JSON Schema used by STATE_SCHEMA
+ * (type, const, enum, required, properties, items).
+ *
+ * @returns {Array<string>} Problems, each prefixed with the path of the value
+ */
+function checkSchema(value, schema, path) {
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return [`${path} must be ${types.join(' or ')}`];
+    }
+    if ('const' in schema && value !== schema.const) {
+        return [`${path} must be ${JSON.stringify(schema.const)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+    }
+
+    const issues = [];
+    if (matchesType(value, 'object')) {
+        // Undefined counts as absent, as JSON.stringify drops it
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                issues.push(`${path}.${key} is missing`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                issues.push(...checkSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => issues.push(...checkSchema(item, schema.items, `${path}[${index}]`)));
+    }
+    return issues;
+}
+
+/**
+ * JSON Schema type test.
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'null':
+            return value === null;
+        case 'number':
+            return typeof value === 'number' && isFinite(value);
+        default:
+            return typeof value === type;
+    }
+}
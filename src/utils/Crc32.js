@@ -0,0 +1,30 @@
+/**
+ * CRC-32 checksum, as used by the ZIP and PNG file formats.
+ */
+
+let crcTable = null;
+
+/**
+ * CRC-32 of a byte array.
+ *
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
@@ -25,14 +25,32 @@ export class ParameterValidator {
             ['tau', this.createTaxRateRules()],
             ['t1', this.createTimeHorizonRules('t1')],
             ['t2', this.createTimeHorizonRules('t2')],
-            ['w0', this.createWealthRules('w0')]
+            ['w0', this.createWealthRules('w0')],
+            ['y0', this.createIncomeLevelRules()],
+            ['g', this.createIncomeGrowthRules()],
+            ['tR', this.createRetirementRules()],
+            ['allowance', this.createAllowanceRules()],
+            ['shelterLimit', this.createShelterLimitRules()],
+            ['shelterUnlock', this.createShelterUnlockRules()],
+            ['shelterPenalty', this.createShelterPenaltyRules()],
+            ['tuition', this.createTuitionRules()],
+            ['tuitionMode', [this.createOneOfRule(['fixed', 'netOfAid'])]]
+        ]);
+
+        // Parameters that may be omitted (model extensions default to off)
+        this.optionalParameters = new Set([
+            'y0', 'g', 'tR', 'allowance', 'shelterLimit', 'shelterUnlock', 'shelterPenalty',
+            'tuition', 'tuitionMode'
         ]);
 
         // Cross-parameter validation rules
         this.crossRules = [
             this.validateInterestRateConsistency,
             this.validateTimeHorizonsConsistency,
-            this.validateRiskAversionConsistency
+            this.validateRiskAversionConsistency,
+            this.validateIncomePhases,
+            this.validateTaxEvents,
+            this.validateAssessmentBrackets
         ];
     }
 
@@ -48,6 +66,10 @@ export class ParameterValidator {
         for (const [paramName, rules] of this.rules) {
             const value = parameters[paramName];
             
+            if (value === undefined && this.optionalParameters.has(paramName)) {
+                continue;
+            }
+            
             for (const rule of rules) {
                 const error = rule(value, parameters);
                 if (error) {
@@ -171,6 +193,94 @@ export class ParameterValidator {
         ];
     }
 
+    /**
+     * Creates validation rules for initial labor income
+     */
+    createIncomeLevelRules() {
+        return [
+            this.createTypeRule('number'),
+            this.createRangeRule(0, 10, 'Initial earnings must be between 0 and 10 times initial wealth per year'),
+            this.createFiniteRule()
+        ];
+    }
+
+    /**
+     * Creates validation rules for earnings growth
+     */
+    createIncomeGrowthRules() {
+        return [
+            this.createTypeRule('number'),
+            this.createRangeRule(-0.1, 0.1, 'Earnings growth must be between -10% and 10%'),
+            this.createFiniteRule()
+        ];
+    }
+
+    /**
+     * Creates validation rules for retirement (years after the tax date)
+     */
+    createRetirementRules() {
+        return [
+            this.createTypeRule('number'),
+            this.createRangeRule(0, 100, 'Retirement must be between 0 and 100 years after the tax date'),
+            this.createFiniteRule()
+        ];
+    }
+
+    /**
+     * Creates validation rules for the asset protection allowance
+     */
+    createAllowanceRules() {
+        return [
+            this.createTypeRule('number'),
+            this.createRangeRule(0, 100, 'Asset protection allowance must be between 0 and 100 times initial wealth'),
+            this.createFiniteRule()
+        ];
+    }
+
+    /**
+     * Creates validation rules for the sheltered contribution limit
+     */
+    createShelterLimitRules() {
+        return [
+            this.createTypeRule('number'),
+            this.createRangeRule(0, 1, 'Sheltered savings limit must be between 0% and 100% of initial wealth'),
+            this.createFiniteRule()
+        ];
+    }
+
+    /**
+     * Creates validation rules for the sheltered account unlock date (years after the tax date)
+     */
+    createShelterUnlockRules() {
+        return [
+            this.createTypeRule('number'),
+            this.createRangeRule(0, 100, 'Sheltered savings must unlock between 0 and 100 years after the tax date'),
+            this.createFiniteRule()
+        ];
+    }
+
+    /**
+     * Creates validation rules for the early withdrawal penalty
+     */
+    createShelterPenaltyRules() {
+        return [
+            this.createTypeRule('number'),
+            this.createRangeRule(0, 1, 'Early withdrawal penalty must be between 0% and 100%'),
+            this.createFiniteRule()
+        ];
+    }
+
+    /**
+     * Creates validation rules for the college bill paid at each tax event
+     */
+    createTuitionRules() {
+        return [
+            this.createTypeRule('number'),
+            this.createRangeRule(0, 10, 'College bill must be between 0 and 10 times initial wealth'),
+            this.createFiniteRule()
+        ];
+    }
+
     /**
      * Cross-parameter validation: interest rate consistency
      */
@@ -213,6 +323,101 @@ export class ParameterValidator {
         return null;
     }
 
+    /**
+     * Cross-parameter validation: piecewise earnings phases
+     */
+    validateIncomePhases(params) {
+        const { incomePhases, t1, t2 } = params;
+        if (incomePhases === undefined) {
+            return null;
+        }
+        if (!Array.isArray(incomePhases)) {
+            return 'Income phases must be a list of {start, end, level} entries';
+        }
+        
+        const sorted = [...incomePhases].sort((a, b) => a.start - b.start);
+        for (let i = 0; i < sorted.length; i++) {
+            const { start, end, level, growth = 0 } = sorted[i] || {};
+            if (![start, end, level, growth].every(v => typeof v === 'number' && isFinite(v))) {
+                return `Income phase ${i + 1} must have numeric start, end and level`;
+            }
+            if (start < 0 || end <= start) {
+                return `Income phase ${i + 1} must start at or after 0 and end after it starts`;
+            }
+            if (typeof t1 === 'number' && typeof t2 === 'number' && end > t1 + t2) {
+                return `Income phase ${i + 1} ends after the end of life (t1 + t2)`;
+            }
+            if (level < 0) {
+                return `Income phase ${i + 1} cannot have negative earnings`;
+            }
+            if (i > 0 && start < sorted[i - 1].end) {
+                return 'Income phases must not overlap';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Cross-parameter validation: multiple tax events
+     */
+    validateTaxEvents(params) {
+        const { taxEvents, t2 } = params;
+        if (taxEvents === undefined || taxEvents === null) {
+            return null;
+        }
+        if (!Array.isArray(taxEvents)) {
+            return 'Tax events must be a list of {offset, rate} entries';
+        }
+        
+        const offsets = new Set();
+        for (let i = 0; i < taxEvents.length; i++) {
+            const { offset, rate } = taxEvents[i] || {};
+            if (typeof offset !== 'number' || !isFinite(offset) || offset < 0) {
+                return `Tax event ${i + 1} must have a non-negative offset in years after t1`;
+            }
+            if (typeof t2 === 'number' && offset >= t2) {
+                return `Tax event ${i + 1} must occur before the end of life (offset < t2)`;
+            }
+            if (rate !== undefined && rate !== null && (typeof rate !== 'number' || !(rate >= 0 && rate <= 0.99))) {
+                return `Tax event ${i + 1} rate must be between 0% and 99%`;
+            }
+            if (offsets.has(offset)) {
+                return 'Tax events must occur at distinct dates';
+            }
+            offsets.add(offset);
+        }
+        return null;
+    }
+
+    /**
+     * Cross-parameter validation: assessment brackets above the allowance
+     */
+    validateAssessmentBrackets(params) {
+        const { assessmentBrackets } = params;
+        if (assessmentBrackets === undefined || assessmentBrackets === null) {
+            return null;
+        }
+        if (!Array.isArray(assessmentBrackets)) {
+            return 'Assessment brackets must be a list of {from, rate} entries';
+        }
+        
+        const starts = new Set();
+        for (let i = 0; i < assessmentBrackets.length; i++) {
+            const { from, rate } = assessmentBrackets[i] || {};
+            if (typeof from !== 'number' || !isFinite(from) || from < 0) {
+                return `Assessment bracket ${i + 1} must start at a non-negative wealth above the allowance`;
+            }
+            if (typeof rate !== 'number' || !(rate >= 0 && rate <= 0.99)) {
+                return `Assessment bracket ${i + 1} rate must be between 0% and 99%`;
+            }
+            if (starts.has(from)) {
+                return 'Assessment brackets must start at distinct wealth levels';
+            }
+            starts.add(from);
+        }
+        return null;
+    }
+
     // Rule factory methods
 
     createTypeRule(expectedType) {
@@ -242,6 +447,15 @@ export class ParameterValidator {
         };
     }
 
+    createOneOfRule(allowed) {
+        return (value) => {
+            if (!allowed.includes(value)) {
+                return `must be one of ${allowed.join(', ')}`;
+            }
+            return null;
+        };
+    }
+
     createIntegerRule() {
         return (value) => {
             if (typeof value === 'number' && !Number.isInteger(value)) {
@@ -280,7 +494,18 @@ export const DEFAULT_PARAMETERS = {
     tau: 0,       // 0% tax rate
     t1: 20,       // 20 years pre-tax
     t2: 25,       // 25 years post-tax
-    w0: 1         // Initial wealth normalized to 1
+    w0: 1,        // Initial wealth normalized to 1
+    y0: 0,        // No labor income (wealth-only household)
+    g: 0,         // Flat earnings
+    tR: 20,       // Retire 20 years after the tax date
+    taxEvents: null, // Single levy of rate tau at t1
+    allowance: 0, // No asset protection allowance
+    assessmentBrackets: null, // Flat assessment at tau above the allowance
+    shelterLimit: 0, // No sheltered account
+    shelterUnlock: 20, // Sheltered savings unlock 20 years after the tax date
+    shelterPenalty: 1, // Strictly illiquid until unlock
+    tuition: 0,   // No college bill beyond the aid penalty
+    tuitionMode: 'fixed' // Bill paid on top of the aid penalty
 };
 
 /**
@@ -294,5 +519,13 @@ export const PARAMETER_RANGES = {
     beta: { min: 0, max: 15, step: 0.1 },
     tau: { min: 0, max: 0.5, step: 0.01 },
     t1: { min: 10, max: 30, step: 1 },
-    t2: { min: 10, max: 30, step: 1 }
+    t2: { min: 10, max: 30, step: 1 },
+    y0: { min: 0, max: 0.3, step: 0.01 },
+    g: { min: 0, max: 0.05, step: 0.005 },
+    tR: { min: 0, max: 30, step: 1 },
+    allowance: { min: 0, max: 3, step: 0.1 },
+    shelterLimit: { min: 0, max: 1, step: 0.05 },
+    shelterUnlock: { min: 0, max: 30, step: 1 },
+    shelterPenalty: { min: 0, max: 1, step: 0.05 },
+    tuition: { min: 0, max: 1, step: 0.05 }
 };
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * Minimal PDF writer for one-page reports, built in the browser without
+ * libraries. Text uses the standard Helvetica fonts (Greek letters from the
+ * standard Symbol font), so no fonts are embedded; images are RGB bitmaps.
+ * Streams are compressed where the browser provides CompressionStream.
+ */
+
+// Windows-1252 codes of the characters outside Latin-1 that Helvetica can show
+const WIN_ANSI = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+    'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// Greek letters and their codes in the Symbol font
+const SYMBOL = {
+    'Α': 'A', 'Β': 'B', 'Γ': 'G', 'Δ': 'D', 'Ε': 'E', 'Η': 'H', 'Θ': 'Q', 'Λ': 'L', 'Π': 'P',
+    'Σ': 'S', 'Φ': 'F', 'Ψ': 'Y', 'Ω': 'W', 'α': 'a', 'β': 'b', 'γ': 'g', 'δ': 'd', 'ε': 'e',
+    'η': 'h', 'θ': 'q', 'λ': 'l', 'μ': 'm', 'π': 'p', 'ρ': 'r', 'σ': 's', 'τ': 't', 'φ': 'f',
+    'ψ': 'y', 'ω': 'w'
+};
+
+/**
+ * One PDF page. Positions are in points (1/72 inch) from the top left corner.
+ */
+export class PdfPage {
+    /**
+     * @param {number} [width=612] - Page width in points (US Letter by default)
+     * @param {number} [height=792] - Page height in points
+     */
+    constructor(width = 612, height = 792) {
+        this.width = width;
+        this.height = height;
+        this.operations = [];
+        this.images = [];
+    }
+
+    /**
+     * Writes a line of text with its baseline at y.
+     *
+     * @param {number} x - Left edge
+     * @param {number} y - Baseline
+     * @param {string} text - Text; characters Helvetica cannot show become '?'
+     * @param {Object} [options] - {size, bold}
+     */
+    text(x, y, text, { size = 10, bold = false } = {}) {
+        const font = bold ? '/F2' : '/F1';
+        const runs = [];
+        for (const character of String(text)) {
+            const symbol = SYMBOL[character];
+            const runFont = symbol ? '/F3' : font;
+            const code = symbol || encodeCharacter(character);
+            if (runs.length > 0 && runs[runs.length - 1].font === runFont) {
+                runs[runs.length - 1].text += code;
+            } else {
+                runs.push({ font: runFont, text: code });
+            }
+        }
+
+        const shown = runs.map(run => `${run.font} ${size} Tf (${escapeString(run.text)}) Tj`).join(' ');
+        this.operations.push(`BT ${number(x)} ${number(this.height - y)} Td ${shown} ET`);
+    }
+
+    /**
+     * Draws a straight line.
+     */
+    line(x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) {
+        this.operations.push(
+            `q ${number(width)} w ${number(gray)} G ${number(x1)} ${number(this.height - y1)} m ` +
+            `${number(x2)} ${number(this.height - y2)} l S Q`
+        );
+    }
+
+    /**
+     * Places a bitmap in a box.
+     *
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Box width in points
+     * @param {number} height - Box height in points
+     * @param {Object} image - {width, height, pixels}: pixel size and RGBA bytes (as
+     *                         from getImageData), composited onto white
+     */
+    image(x, y, width, height, image) {
+        const name = `/Im${this.images.length + 1}`;
+        this.images.push({ name, ...image });
+        this.operations.push(
+            `q ${number(width)} 0 0 ${number(height)} ${number(x)} ${number(this.height - y - height)} cm ${name} Do Q`
+        );
+    }
+
+    /**
+     * The page as a PDF file.
+     *
+     * @param {Object} [info] - Document information, e.g. {Title, Subject}
+     * @returns {Promise<Uint8Array>} PDF file contents
+     */
+    async toBytes(info = {}) {
+        const encoder = new TextEncoder();
+        const objects = []; // Each an array of byte chunks; object numbers count from 1
+        const add = (...chunks) => objects.push(chunks);
+
+        // Catalog, page tree and page are objects 1, 2 and 3
+        const catalog = add(encoder.encode('<< /Type /Catalog /Pages 2 0 R >>'));
+        const pages = add(encoder.encode('<< /Type /Pages /Kids [3 0 R] /Count 1 >>'));
+        const pageIndex = add(null); // Filled in once the resources are numbered
+        const fonts = [
+            add(encoder.encode('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')),
+            add(encoder.encode('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')),
+            add(encoder.encode('<< /Type /Font /Subtype /Type1 /BaseFont /Symbol >>'))
+        ];
+
+        const imageObjects = [];
+        for (const image of this.images) {
+            const stream = await createStream(toRgb(image.pixels));
+            imageObjects.push(add(
+                encoder.encode(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                    `/ColorSpace /DeviceRGB /BitsPerComponent 8${stream.dictionary} >>\nstream\n`),
+                stream.data,
+                encoder.encode('\nendstream')
+            ));
+        }
+
+        const content = await createStream(latin1Bytes(this.operations.join('\n')));
+        const contentIndex = add(
+            encoder.encode(`<<${content.dictionary} >>\nstream\n`),
+            content.data,
+            encoder.encode('\nendstream')
+        );
+
+        const xObjects = this.images.map((image, i) => `${image.name} ${imageObjects[i]} 0 R`).join(' ');
+        objects[pageIndex - 1] = [encoder.encode(
+            `<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${number(this.width)} ${number(this.height)}] ` +
+            `/Resources << /Font << /F1 ${fonts[0]} 0 R /F2 ${fonts[1]} 0 R /F3 ${fonts[2]} 0 R >>` +
+            `${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> /Contents ${contentIndex} 0 R >>`
+        )];
+
+        const infoEntries = Object.entries(info)
+            .map(([key, value]) => `/${key} (${escapeString(Array.from(String(value), encodeCharacter).join(''))})`)
+            .join(' ');
+        const infoIndex = add(latin1Bytes(`<< ${infoEntries} >>`));
+
+        // Header (the comment line of high bytes marks the file as binary), objects, cross-reference table
+        const chunks = [Uint8Array.of(...encoder.encode('%PDF-1.4\n%'), 0xe2, 0xe3, 0xcf, 0xd3, 0x0a)];
+        let offset = chunks[0].length;
+        const offsets = objects.map((parts, i) => {
+            const start = offset;
+            const framed = [encoder.encode(`${i + 1} 0 obj\n`), ...parts, encoder.encode('\nendobj\n')];
+            chunks.push(...framed);
+            offset += framed.reduce((total, part) => total + part.length, 0);
+            return start;
+        });
+
+        const xref = offsets.map(start => `${String(start).padStart(10, '0')} 00000 n \n`).join('');
+        chunks.push(encoder.encode(
+            `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${xref}` +
+            `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoIndex} 0 R >>\n` +
+            `startxref\n${offset}\n%%EOF\n`
+        ));
+
+        const pdf = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let position = 0;
+        for (const chunk of chunks) {
+            pdf.set(chunk, position);
+            position += chunk.length;
+        }
+        return pdf;
+    }
+}
+
+/**
+ * Single-byte code of a character in WinAnsiEncoding, or '?' if it has none.
+ */
+function encodeCharacter(character) {
+    const code = character.charCodeAt(0);
+    if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) {
+        return character;
+    }
+    return WIN_ANSI[character] ? String.fromCharCode(WIN_ANSI[character]) : '?';
+}
+
+/**
+ * Bytes of text whose characters are all single-byte codes (0-255).
+ */
+function latin1Bytes(text) {
+    return Uint8Array.from(text, character => character.charCodeAt(0));
+}
+
+/**
+ * Escapes a PDF literal string; characters are single bytes (0-255).
+ */
+function escapeString(text) {
+    return text.replace(/[\\()]/g, character => `\\${character}`);
+}
+
+function number(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * RGB bytes of RGBA pixels composited onto white.
+ */
+function toRgb(pixels) {
+    const rgb = new Uint8Array((pixels.length / 4) * 3);
+    for (let i = 0, j = 0; i < pixels.length; i += 4, j += 3) {
+        const alpha = pixels[i + 3] / 255;
+        rgb[j] = Math.round(pixels[i] * alpha + 255 * (1 - alpha));
+        rgb[j + 1] = Math.round(pixels[i + 1] * alpha + 255 * (1 - alpha));
+        rgb[j + 2] = Math.round(pixels[i + 2] * alpha + 255 * (1 - alpha));
+    }
+    return rgb;
+}
+
+/**
+ * Stream data with the dictionary entries describing it: Flate-compressed where
+ * CompressionStream is available ('deflate' is the zlib format PDF expects).
+ */
+async function createStream(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+        return { data: bytes, dictionary: ` /Length ${bytes.length}` };
+    }
+
+    const compressed = new Uint8Array(
+        await new Response(new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer()
+    );
+    return { data: compressed, dictionary: ` /Length ${compressed.length} /Filter /FlateDecode` };
+}
@@ -0,0 +1,122 @@
+/**
+ * Shareable permalinks for the application state.
+ * The parameters, visualization type, heatmap settings and comparison pins are
+ * packed into the URL hash as versioned, base64url-encoded JSON. Parameters are
+ * stored as differences from the defaults so typical links stay short.
+ */
+
+import { DEFAULT_PARAMETERS } from './ParameterValidator.js';
+import { ImportError } from '../errors/ErrorTypes.js';
+import { STATE_FORMAT, STATE_VERSION, migrateParameters } from '../state/StateFormat.js';
+
+/**
+ * Version of the permalink payload; bumped whenever its layout changes.
+ */
+export const PERMALINK_VERSION = 1;
+
+// State file version whose parameter layout links carry (e.g. tax events without a rate)
+const LINK_PARAMETERS_VERSION = 1;
+
+const HASH_PREFIX = '#state=';
+const DEFAULT_VISUALIZATION = 'Wealth Trajectory';
+const DEFAULT_HEATMAP = { x: 'tau', y: 't1', output: 'w1' };
+
+/**
+ * Encodes an exported application state as a URL hash.
+ *
+ * @param {Object} state - {parameters, visualizationType, heatmapSettings, comparisonScenarios}
+ * @returns {string} Hash starting with '#state='
+ */
+export function encodePermalink(state) {
+    const { parameters, visualizationType, heatmapSettings, comparisonScenarios = [] } = state;
+    const payload = { v: PERMALINK_VERSION, p: parameterChanges(parameters) };
+
+    if (visualizationType && visualizationType !== DEFAULT_VISUALIZATION) {
+        payload.view = visualizationType;
+    }
+    if (heatmapSettings && JSON.stringify(heatmapSettings) !== JSON.stringify(DEFAULT_HEATMAP)) {
+        payload.h = heatmapSettings;
+    }
+    if (comparisonScenarios.length > 0) {
+        payload.pins = comparisonScenarios.map(({ name, parameters }) => ({ n: name, p: parameterChanges(parameters) }));
+    }
+
+    return HASH_PREFIX + toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * Decodes a URL hash made by encodePermalink into a state file for
+ * Application.importState. Parameters are only unpacked here; importState validates them.
+ *
+ * @param {string} hash - URL hash (window.location.hash)
+ * @returns {Object|null} State file, or null when the hash holds no state
+ */
+export function decodePermalink(hash) {
+    if (!hash || !hash.startsWith(HASH_PREFIX)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+    } catch (error) {
+        throw new ImportError('Permalink is damaged and cannot be read');
+    }
+
+    if (!payload || typeof payload !== 'object' || typeof payload.p !== 'object') {
+        throw new ImportError('Permalink is damaged and cannot be read');
+    }
+    if (payload.v !== PERMALINK_VERSION) {
+        throw new ImportError(`Permalink version ${payload.v} is not supported`, 'UNSUPPORTED_FILE_VERSION');
+    }
+
+    return {
+        format: STATE_FORMAT,
+        version: STATE_VERSION,
+        exportedAt: null,
+        parameters: migrateParameters({ ...DEFAULT_PARAMETERS, ...payload.p }, LINK_PARAMETERS_VERSION),
+        visualizationType: payload.view || DEFAULT_VISUALIZATION,
+        heatmapSettings: { ...DEFAULT_HEATMAP, ...payload.h },
+        comparisonScenarios: (payload.pins || []).map(pin => ({
+            name: String(pin.n),
+            parameters: migrateParameters({ ...DEFAULT_PARAMETERS, ...pin.p }, LINK_PARAMETERS_VERSION),
+            origin: 'link'
+        }))
+    };
+}
+
+/**
+ * Parameters that differ from the defaults, in a fixed key order so the same
+ * state always gives the same link.
+ */
+function parameterChanges(parameters) {
+    const changes = {};
+    const keys = [
+        ...Object.keys(DEFAULT_PARAMETERS),
+        ...Object.keys(parameters).filter(key => !(key in DEFAULT_PARAMETERS)).sort()
+    ];
+
+    for (const key of keys) {
+        if (key in parameters && JSON.stringify(parameters[key]) !== JSON.stringify(DEFAULT_PARAMETERS[key])) {
+            changes[key] = parameters[key];
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * UTF-8 text to base64url (no padding), safe in a URL hash.
+ */
+function toBase64Url(text) {
+    const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Inverse of toBase64Url.
+ */
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, character => character.charCodeAt(0)));
+}
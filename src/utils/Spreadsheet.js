@@ -0,0 +1,187 @@
+/**
+ * Spreadsheet writers for data export, built in the browser without libraries.
+ * A table is an array of rows, each an array of numbers, strings or null.
+ * XLSX workbooks are written as uncompressed ZIP archives of SpreadsheetML,
+ * which Excel, LibreOffice and Google Sheets all open.
+ */
+
+import { crc32 } from './Crc32.js';
+
+/**
+ * Writes a table as CSV (RFC 4180: comma separated, CRLF line ends, fields
+ * with commas, quotes or line breaks quoted).
+ *
+ * @param {Array<Array<*>>} rows - Table rows
+ * @returns {string} CSV text
+ */
+export function toCsv(rows) {
+    const field = (value) => {
+        if (value === null || value === undefined || (typeof value === 'number' && !isFinite(value))) {
+            return '';
+        }
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return rows.map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes tables as an XLSX workbook, one worksheet per table.
+ *
+ * @param {Array<Object>} sheets - [{name, rows}]; names are cut to Excel's 31 characters
+ * @returns {Uint8Array} XLSX file contents
+ */
+export function createXlsx(sheets) {
+    const names = sheets.map(sheet => sheet.name.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+    const sheetList = names
+        .map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+        .join('');
+    const sheetRelations = names
+        .map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`)
+        .join('');
+    const sheetTypes = names
+        .map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`)
+        .join('');
+
+    const files = [
+        {
+            path: '[Content_Types].xml',
+            text: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                `${sheetTypes}</Types>`
+        },
+        {
+            path: '_rels/.rels',
+            text: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            path: 'xl/workbook.xml',
+            text: `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets>${sheetList}</sheets></workbook>`
+        },
+        {
+            path: 'xl/_rels/workbook.xml.rels',
+            text: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `${sheetRelations}</Relationships>`
+        },
+        ...sheets.map((sheet, i) => ({
+            path: `xl/worksheets/sheet${i + 1}.xml`,
+            text: createWorksheet(sheet.rows)
+        }))
+    ];
+
+    return createZip(files.map(({ path, text }) => ({ path, data: new TextEncoder().encode(text) })));
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Worksheet XML: numbers as numeric cells, other values as inline strings,
+ * empty and non-finite values left blank.
+ */
+function createWorksheet(rows) {
+    const rowXml = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            const reference = `${columnName(c)}${r + 1}`;
+            if (value === null || value === undefined || (typeof value === 'number' && !isFinite(value))) {
+                return '';
+            }
+            if (typeof value === 'number') {
+                return `<c r="${reference}"><v>${value}</v></c>`;
+            }
+            return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+        }).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    return `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+        `<sheetData>${rowXml}</sheetData></worksheet>`;
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA).
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Escapes text for XML content and attributes.
+ */
+function escapeXml(text) {
+    return text.replace(/[<>&"]/g, character =>
+        ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[character]);
+}
+
+/**
+ * ZIP archive of files stored without compression.
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const { path, data } of files) {
+        const name = encoder.encode(path);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed (2.0)
+        local.setUint16(6, 0x0800, true); // UTF-8 file names
+        local.setUint16(8, 0, true); // Stored
+        local.setUint16(10, 0, true); // Time
+        local.setUint16(12, 0x21, true); // Date: 1980-01-01
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, 0, true);
+        central.setUint16(14, 0x21, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true); // Offset of the local header
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
@@ -0,0 +1,416 @@
+/**
+ * A stand-in for CanvasRenderingContext2D that records drawing as SVG.
+ * Chart.js draws onto it exactly as onto a canvas, which gives vector output
+ * of any chart without a separate renderer. It covers the part of the canvas
+ * API that Chart.js and its annotation and matrix plugins use; images,
+ * gradients, patterns and shadows are not drawn.
+ */
+
+// Drawing state saved and restored by save() and restore(), with its defaults
+const STATE_DEFAULTS = {
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    lineWidth: 1,
+    lineCap: 'butt',
+    lineJoin: 'miter',
+    miterLimit: 10,
+    lineDashOffset: 0,
+    globalAlpha: 1,
+    globalCompositeOperation: 'source-over',
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    direction: 'inherit',
+    shadowBlur: 0,
+    shadowColor: 'rgba(0, 0, 0, 0)',
+    shadowOffsetX: 0,
+    shadowOffsetY: 0,
+    imageSmoothingEnabled: true
+};
+
+const TEXT_ANCHORS = { start: 'start', left: 'start', center: 'middle', right: 'end', end: 'end' };
+const TEXT_BASELINES = {
+    top: 'text-before-edge',
+    hanging: 'hanging',
+    middle: 'central',
+    alphabetic: 'alphabetic',
+    ideographic: 'ideographic',
+    bottom: 'text-after-edge'
+};
+
+/**
+ * Path recorded for later drawing, standing in for Path2D. Its commands are
+ * replayed through the context when it is filled, stroked or clipped, so the
+ * transform in force at that time applies, as with a real Path2D.
+ */
+export class SvgPath {
+    constructor() {
+        this.calls = [];
+    }
+
+    moveTo(...args) { this.calls.push(['moveTo', args]); }
+    lineTo(...args) { this.calls.push(['lineTo', args]); }
+    bezierCurveTo(...args) { this.calls.push(['bezierCurveTo', args]); }
+    quadraticCurveTo(...args) { this.calls.push(['quadraticCurveTo', args]); }
+    arc(...args) { this.calls.push(['arc', args]); }
+    rect(...args) { this.calls.push(['rect', args]); }
+    closePath() { this.calls.push(['closePath', []]); }
+}
+
+/**
+ * Canvas 2D context that records to SVG.
+ */
+export class SvgContext {
+    /**
+     * @param {number} width - Drawing width in CSS pixels
+     * @param {number} height - Drawing height in CSS pixels
+     */
+    constructor(width, height) {
+        // Minimal canvas for Chart.js's basic platform, which sizes the chart from it
+        this.canvas = { width, height, style: {}, getContext: () => this };
+
+        Object.assign(this, STATE_DEFAULTS);
+        this.matrix = [1, 0, 0, 1, 0, 0];
+        this.lineDash = [];
+        this.clipId = null;
+        this.stack = [];
+
+        this.path = [];
+        this.hasCurrentPoint = false;
+        this.elements = [];
+        this.clipPaths = [];
+        this.measurer = null;
+    }
+
+    // State
+
+    save() {
+        const state = {};
+        for (const key of Object.keys(STATE_DEFAULTS)) {
+            state[key] = this[key];
+        }
+        this.stack.push({ state, matrix: [...this.matrix], lineDash: [...this.lineDash], clipId: this.clipId });
+    }
+
+    restore() {
+        const saved = this.stack.pop();
+        if (saved) {
+            Object.assign(this, saved.state);
+            this.matrix = saved.matrix;
+            this.lineDash = saved.lineDash;
+            this.clipId = saved.clipId;
+        }
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this.lineDash];
+    }
+
+    // Transforms
+
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = typeof a === 'object' ? [a.a, a.b, a.c, a.d, a.e, a.f] : [a, b, c, d, e, f];
+    }
+
+    resetTransform() {
+        this.matrix = [1, 0, 0, 1, 0, 0];
+    }
+
+    getTransform() {
+        const [a, b, c, d, e, f] = this.matrix;
+        return { a, b, c, d, e, f };
+    }
+
+    transform(a, b, c, d, e, f) {
+        const [m0, m1, m2, m3, m4, m5] = this.matrix;
+        this.matrix = [
+            m0 * a + m2 * b,
+            m1 * a + m3 * b,
+            m0 * c + m2 * d,
+            m1 * c + m3 * d,
+            m0 * e + m2 * f + m4,
+            m1 * e + m3 * f + m5
+        ];
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    // Paths, stored in drawing coordinates as they are built
+
+    beginPath() {
+        this.path = [];
+        this.hasCurrentPoint = false;
+    }
+
+    moveTo(x, y) {
+        this.path.push(`M${this.point(x, y)}`);
+        this.hasCurrentPoint = true;
+    }
+
+    lineTo(x, y) {
+        this.path.push(`${this.hasCurrentPoint ? 'L' : 'M'}${this.point(x, y)}`);
+        this.hasCurrentPoint = true;
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this.hasCurrentPoint) this.moveTo(cp1x, cp1y);
+        this.path.push(`C${this.point(cp1x, cp1y)} ${this.point(cp2x, cp2y)} ${this.point(x, y)}`);
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this.hasCurrentPoint) this.moveTo(cpx, cpy);
+        this.path.push(`Q${this.point(cpx, cpy)} ${this.point(x, y)}`);
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    closePath() {
+        if (this.path.length > 0) {
+            this.path.push('Z');
+        }
+    }
+
+    /**
+     * Circular arc, written as SVG arcs (two halves for a full circle). The
+     * transform is assumed to keep circles round, as Chart.js's do.
+     */
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        const fullTurn = 2 * Math.PI;
+        let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        sweep = sweep >= fullTurn ? fullTurn : ((sweep % fullTurn) + fullTurn) % fullTurn;
+        const direction = counterclockwise ? -1 : 1;
+        const at = (angle) => [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+
+        this.lineTo(...at(startAngle));
+        if (sweep === 0 || radius <= 0) {
+            return;
+        }
+
+        const [a, b, c, d] = this.matrix;
+        const determinant = a * d - b * c;
+        const scaledRadius = format(radius * Math.sqrt(Math.abs(determinant)));
+        // SVG's sweep flag 1 turns the same way as a clockwise canvas arc unless the transform mirrors
+        const sweepFlag = (direction > 0) === (determinant > 0) ? 1 : 0;
+
+        const halves = sweep === fullTurn ? 2 : 1;
+        for (let i = 1; i <= halves; i++) {
+            const end = at(startAngle + direction * sweep * i / halves);
+            const largeArc = sweep / halves > Math.PI ? 1 : 0;
+            this.path.push(`A${scaledRadius} ${scaledRadius} 0 ${largeArc} ${sweepFlag} ${this.point(...end)}`);
+        }
+    }
+
+    // Drawing
+
+    fill(pathOrRule, fillRule) {
+        const { d, rule } = this.resolvePath(pathOrRule, fillRule);
+        if (d) {
+            this.addElement(`<path d="${d}"${this.fillAttributes()}${rule === 'evenodd' ? ' fill-rule="evenodd"' : ''}/>`);
+        }
+    }
+
+    stroke(path) {
+        const { d } = this.resolvePath(path);
+        if (d) {
+            this.addElement(`<path d="${d}" fill="none"${this.strokeAttributes()}/>`);
+        }
+    }
+
+    clip(pathOrRule, fillRule) {
+        const { d, rule } = this.resolvePath(pathOrRule, fillRule);
+        const id = `clip${this.clipPaths.length + 1}`;
+        const parent = this.clipId ? ` clip-path="url(#${this.clipId})"` : '';
+        const clipRule = rule === 'evenodd' ? ' clip-rule="evenodd"' : '';
+        this.clipPaths.push(`<clipPath id="${id}"${parent}><path d="${d || 'M0 0'}"${clipRule}/></clipPath>`);
+        this.clipId = id;
+    }
+
+    fillRect(x, y, width, height) {
+        this.fill(this.rectanglePath(x, y, width, height));
+    }
+
+    strokeRect(x, y, width, height) {
+        this.stroke(this.rectanglePath(x, y, width, height));
+    }
+
+    /**
+     * Clearing the whole drawing (as Chart.js does before each frame) discards
+     * it; clearing part of it is not recorded.
+     */
+    clearRect(x, y, width, height) {
+        const [a, b, c, d, e, f] = this.matrix;
+        const identity = a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0;
+        if (identity && x <= 0 && y <= 0 && x + width >= this.canvas.width && y + height >= this.canvas.height) {
+            this.elements = [];
+            this.clipPaths = [];
+            this.clipId = null;
+        }
+    }
+
+    fillText(text, x, y) {
+        this.addText(text, x, y, this.fillAttributes());
+    }
+
+    strokeText(text, x, y) {
+        this.addText(text, x, y, ` fill="none"${this.strokeAttributes()}`);
+    }
+
+    /**
+     * Measures text with a real canvas where there is one, so labels are laid
+     * out as on screen; otherwise estimates from the font size.
+     */
+    measureText(text) {
+        if (!this.measurer && typeof document !== 'undefined') {
+            this.measurer = document.createElement('canvas').getContext('2d');
+        }
+        if (this.measurer) {
+            this.measurer.font = this.font;
+            return this.measurer.measureText(text);
+        }
+
+        const size = parseFloat(/(\d+(?:\.\d+)?)px/.exec(this.font)?.[1]) || 10;
+        return {
+            width: String(text).length * size * 0.55,
+            actualBoundingBoxAscent: size * 0.8,
+            actualBoundingBoxDescent: size * 0.2
+        };
+    }
+
+    drawImage() {
+        // Images (e.g. image point styles) are not recorded
+    }
+
+    createLinearGradient() {
+        return { addColorStop() {} };
+    }
+
+    createRadialGradient() {
+        return { addColorStop() {} };
+    }
+
+    createPattern() {
+        return null;
+    }
+
+    // Output
+
+    /**
+     * The drawing as an SVG document.
+     *
+     * @returns {string} SVG markup
+     */
+    toSvg() {
+        const { width, height } = this.canvas;
+        const defs = this.clipPaths.length > 0 ? `<defs>${this.clipPaths.join('')}</defs>\n` : '';
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+            `${defs}${this.elements.join('\n')}\n</svg>\n`;
+    }
+
+    // Helpers
+
+    point(x, y) {
+        const [a, b, c, d, e, f] = this.matrix;
+        return `${format(a * x + c * y + e)} ${format(b * x + d * y + f)}`;
+    }
+
+    /**
+     * Path data for a fill, stroke or clip: the given SvgPath, replayed under the
+     * current transform, or else the current path. Also sorts out the fill rule
+     * argument, which may come first.
+     */
+    resolvePath(pathOrRule, fillRule) {
+        if (!(pathOrRule instanceof SvgPath)) {
+            return { d: this.path.join(''), rule: pathOrRule };
+        }
+
+        const { path, hasCurrentPoint } = this;
+        this.beginPath();
+        for (const [method, args] of pathOrRule.calls) {
+            this[method](...args);
+        }
+        const d = this.path.join('');
+        this.path = path;
+        this.hasCurrentPoint = hasCurrentPoint;
+        return { d, rule: fillRule };
+    }
+
+    rectanglePath(x, y, width, height) {
+        const path = new SvgPath();
+        path.rect(x, y, width, height);
+        return path;
+    }
+
+    addElement(markup) {
+        const clip = this.clipId ? `<g clip-path="url(#${this.clipId})">` : '';
+        this.elements.push(clip ? `${clip}${markup}</g>` : markup);
+    }
+
+    addText(text, x, y, paint) {
+        const anchor = TEXT_ANCHORS[this.textAlign] || 'start';
+        const baseline = TEXT_BASELINES[this.textBaseline] || 'alphabetic';
+        this.addElement(
+            `<text x="${format(x)}" y="${format(y)}" transform="matrix(${this.matrix.map(format).join(' ')})" ` +
+            `style="font: ${escapeXml(this.font)}; white-space: pre" text-anchor="${anchor}" ` +
+            `dominant-baseline="${baseline}"${paint}>${escapeXml(String(text))}</text>`
+        );
+    }
+
+    fillAttributes() {
+        return ` fill="${escapeXml(color(this.fillStyle))}"${this.globalAlpha < 1 ? ` fill-opacity="${this.globalAlpha}"` : ''}`;
+    }
+
+    strokeAttributes() {
+        const [a, b, c, d] = this.matrix;
+        const scale = Math.sqrt(Math.abs(a * d - b * c));
+        const dash = this.lineDash.length > 0
+            ? ` stroke-dasharray="${this.lineDash.map(length => format(length * scale)).join(' ')}"` +
+              (this.lineDashOffset ? ` stroke-dashoffset="${format(this.lineDashOffset * scale)}"` : '')
+            : '';
+
+        return ` stroke="${escapeXml(color(this.strokeStyle))}" stroke-width="${format(this.lineWidth * scale)}"` +
+            ` stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"` +
+            `${this.lineJoin === 'miter' ? ` stroke-miterlimit="${this.miterLimit}"` : ''}${dash}` +
+            `${this.globalAlpha < 1 ? ` stroke-opacity="${this.globalAlpha}"` : ''}`;
+    }
+}
+
+/**
+ * Coordinates rounded to hundredths of a pixel to keep the file small.
+ */
+function format(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * CSS color of a fill or stroke style; gradients and patterns are not drawn.
+ */
+function color(style) {
+    return typeof style === 'string' ? style : 'none';
+}
+
+function escapeXml(text) {
+    return text.replace(/[<>&"]/g, character =>
+        ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[character]);
+}
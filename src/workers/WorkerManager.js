@@ -6,8 +6,8 @@
 export class WorkerManager {
     constructor(options = {}) {
         this.options = {
-            maxWorkers: navigator.hardwareConcurrency || 4,
-            workerScript: './src/workers/optimization-worker.js',
+            maxWorkers: (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4,
+            workerScript: new URL('./optimization-worker.js', import.meta.url),
             timeout: 30000, // 30 seconds
             ...options
         };
@@ -23,6 +23,7 @@ export class WorkerManager {
             totalJobs: 0,
             completedJobs: 0,
             failedJobs: 0,
+            cancelledJobs: 0,
             totalTime: 0,
             avgTime: 0
         };
@@ -79,31 +80,34 @@ export class WorkerManager {
     }
 
     /**
-     * Handles messages from workers.
+     * Handles messages from workers. A worker is free again once its job has
+     * ended, even if the job was cancelled or timed out in the meantime.
      */
     handleWorkerMessage(worker, event) {
         const { type, id, result, error, progress } = event.data;
         const job = this.activeJobs.get(id);
-        
-        if (!job) {
-            return; // Job might have been cancelled
-        }
 
         switch (type) {
             case 'result':
-                this.completeJob(id, result);
                 this.freeWorker(worker);
+                this.completeJob(id, result);
                 this.processQueue();
                 break;
                 
             case 'error':
+                this.freeWorker(worker);
                 this.failJob(id, new Error(error));
+                this.processQueue();
+                break;
+                
+            case 'cancelled':
+                // The job was already rejected when it was cancelled
                 this.freeWorker(worker);
                 this.processQueue();
                 break;
                 
             case 'progress':
-                if (job.onProgress) {
+                if (job?.onProgress) {
                     job.onProgress(progress);
                 }
                 break;
@@ -151,8 +155,58 @@ export class WorkerManager {
 
     /**
      * Submits an optimization job to the worker pool.
+     *
+     * @param {Object} parameters - Economic parameters
+     * @param {Object} [options] - warmStart (a plan, or false for a cold start),
+     *                             onProgress, and signal (an AbortSignal) to cancel
+     * @returns {Promise<Object>} Optimization result
      */
     async optimizeWealth(parameters, options = {}) {
+        const { onProgress, signal, ...data } = options;
+        return await this.submitJob('optimize', parameters, data, { onProgress, signal });
+    }
+
+    /**
+     * Submits one chunk of a sweep (see OptimizationService.sweep) to the pool.
+     * The worker solves the points in order from a cold start and stops between
+     * points once the signal aborts.
+     *
+     * @param {Object} parameters - Base economic parameters
+     * @param {Array<Object>} axes - Normalized sweep axes
+     * @param {Array<Array<number>>} points - Consecutive points of the sweep path
+     * @param {Object} [options] - signal (an AbortSignal) to cancel
+     * @returns {Promise<Array<Object>>} One sweep row per point
+     */
+    async sweepChunk(parameters, axes, points, options = {}) {
+        return await this.submitJob('sweep', parameters, { axes, points }, {
+            signal: options.signal,
+            timeout: this.options.timeout * points.length
+        });
+    }
+
+    /**
+     * Submits the equivalent variations of a chunk of parameter sets (see
+     * WelfareService.equivalentVariations) to the pool. The worker stops
+     * between sets once the signal aborts.
+     *
+     * @param {Array<Object|null>} parameterSets - Parameter sets; null entries give NaN
+     * @param {Object} [options] - signal (an AbortSignal) to cancel
+     * @returns {Promise<Array<number>>} One change in w0 per set
+     */
+    async welfareChunk(parameterSets, options = {}) {
+        return await this.submitJob('welfare', null, { parameterSets }, {
+            signal: options.signal,
+            timeout: this.options.timeout * parameterSets.length
+        });
+    }
+
+    /**
+     * Queues a job, or hands it to a free worker. Cancelling (through the signal)
+     * or timing out rejects the job at once; a job already running is also
+     * asked to stop, and its worker is freed when it has.
+     */
+    async submitJob(type, parameters, data, { onProgress, signal, timeout = this.options.timeout } = {}) {
+        signal?.throwIfAborted();
         if (!this.isInitialized) {
             await this.initialize();
         }
@@ -161,20 +215,27 @@ export class WorkerManager {
             const jobId = this.nextJobId++;
             const job = {
                 id: jobId,
-                type: 'optimize',
+                type,
                 parameters,
-                options,
+                options: data,
                 resolve,
                 reject,
-                onProgress: options.onProgress,
+                onProgress,
+                signal,
+                onAbort: null,
                 timestamp: Date.now(),
                 timeout: null
             };
 
             // Set timeout
             job.timeout = setTimeout(() => {
-                this.failJob(jobId, new Error('Job timeout'));
-            }, this.options.timeout);
+                this.cancelJob(jobId, new Error('Job timeout'));
+            }, timeout);
+
+            if (signal) {
+                job.onAbort = () => this.cancelJob(jobId, signal.reason, true);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
 
             this.activeJobs.set(jobId, job);
             this.stats.totalJobs++;
@@ -190,6 +251,26 @@ export class WorkerManager {
         });
     }
 
+    /**
+     * Rejects a job and stops its work: a queued job is dropped, a running one is
+     * told to stop at its next checkpoint.
+     */
+    cancelJob(jobId, reason, cancelled = false) {
+        const job = this.activeJobs.get(jobId);
+        if (!job) return;
+
+        this.jobQueue = this.jobQueue.filter(queued => queued.id !== jobId);
+        const workerInfo = this.workers.find(w => w.currentJobId === jobId);
+        if (workerInfo) {
+            workerInfo.worker.postMessage({ type: 'cancel', id: jobId });
+        }
+
+        if (cancelled) {
+            this.stats.cancelledJobs++;
+        }
+        this.failJob(jobId, reason, !cancelled);
+    }
+
     /**
      * Finds an available worker.
      */
@@ -245,8 +326,7 @@ export class WorkerManager {
         const job = this.activeJobs.get(jobId);
         if (!job) return;
 
-        clearTimeout(job.timeout);
-        this.activeJobs.delete(jobId);
+        this.releaseJob(job);
         
         // Update stats
         this.stats.completedJobs++;
@@ -258,19 +338,29 @@ export class WorkerManager {
     }
 
     /**
-     * Fails a job with an error.
+     * Fails a job with an error; cancellations do not count as failures.
      */
-    failJob(jobId, error) {
+    failJob(jobId, error, countFailure = true) {
         const job = this.activeJobs.get(jobId);
         if (!job) return;
 
-        clearTimeout(job.timeout);
-        this.activeJobs.delete(jobId);
-        this.stats.failedJobs++;
+        this.releaseJob(job);
+        if (countFailure) {
+            this.stats.failedJobs++;
+        }
 
         job.reject(error);
     }
 
+    /**
+     * Forgets a finished job: its timeout, abort listener and entry.
+     */
+    releaseJob(job) {
+        clearTimeout(job.timeout);
+        job.signal?.removeEventListener('abort', job.onAbort);
+        this.activeJobs.delete(job.id);
+    }
+
     /**
      * Clears all worker caches.
      */
@@ -312,8 +402,9 @@ export class WorkerManager {
      */
     async destroy() {
         // Cancel all active jobs
-        for (const [jobId, job] of this.activeJobs) {
+        for (const job of this.activeJobs.values()) {
             clearTimeout(job.timeout);
+            job.signal?.removeEventListener('abort', job.onAbort);
             job.reject(new Error('Worker pool destroyed'));
         }
         this.activeJobs.clear();
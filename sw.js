@@ -0,0 +1,100 @@
+/**
+ * Service worker that keeps the app working offline.
+ * Installs a copy of the whole app shell (page, modules, worker and chart
+ * libraries), then answers same-origin requests from the network when it can,
+ * refreshing the copy, and from the copy when it cannot. The online app is
+ * therefore never stale, and the offline app is the last version seen online.
+ */
+
+const CACHE_NAME = 'midlife-wealth-tax-v1';
+
+// Every file the page can load, including modules imported only later (the worker)
+const SHELL = [
+    './',
+    './index.html',
+    './main-new.js',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './vendor/chart.umd.min.js',
+    './vendor/chartjs-plugin-annotation.min.js',
+    './vendor/chartjs-chart-matrix.min.js',
+    './src/app/Application.js',
+    './src/errors/ErrorHandler.js',
+    './src/errors/ErrorTypes.js',
+    './src/math/AssessmentSchedule.js',
+    './src/math/Contours.js',
+    './src/math/IncomeProfile.js',
+    './src/math/LinearAlgebra.js',
+    './src/math/MathCache.js',
+    './src/math/Minimizer.js',
+    './src/math/OptimalityCertificate.js',
+    './src/math/ShelteredAccount.js',
+    './src/math/TaxEvents.js',
+    './src/math/UtilityFunctions.js',
+    './src/services/ChartExportService.js',
+    './src/services/DataExportService.js',
+    './src/services/OptimizationService.js',
+    './src/services/ScenarioLibrary.js',
+    './src/services/VisualizationService.js',
+    './src/services/WelfareService.js',
+    './src/state/ApplicationState.js',
+    './src/state/StateFormat.js',
+    './src/utils/Crc32.js',
+    './src/utils/ParameterValidator.js',
+    './src/utils/Pdf.js',
+    './src/utils/Permalink.js',
+    './src/utils/Spreadsheet.js',
+    './src/utils/SvgContext.js',
+    './src/workers/WorkerManager.js',
+    './src/workers/optimization-worker.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('midlife-wealth-tax-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    event.respondWith(networkFirst(request));
+});
+
+/**
+ * Fetches a request and stores the response, or falls back to the stored copy.
+ * Page loads fall back to the stored page, whatever the permalink.
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' ? await cache.match('./index.html') : undefined);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
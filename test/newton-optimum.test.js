@@ -0,0 +1,151 @@
+/**
+ * The optimizer's optimum, checked against a brute-force grid search over
+ * every feasible plan. The grid walks each coordinate as a share of its upper
+ * bound (as OptimizationService.walkPlan gives it) and zooms in on the best
+ * point until the grid is finer than the tolerances below.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OptimizationService } from '../src/services/OptimizationService.js';
+import { DEFAULT_PARAMETERS } from '../src/utils/ParameterValidator.js';
+import {
+    getModelExtensions,
+    multiEventLifetimeUtility,
+    checkMultiEventConstraints
+} from '../src/math/UtilityFunctions.js';
+import { getReleaseOptions } from '../src/math/ShelteredAccount.js';
+
+const UTILITY_TOLERANCE = 1e-8;
+const PLAN_TOLERANCE = 1e-5;
+
+// Grid points per coordinate, by number of coordinates
+const GRID_POINTS = [0, 41, 41, 15, 9];
+
+const service = new OptimizationService({ useWebWorkers: false });
+
+const TAXED = { ...DEFAULT_PARAMETERS, tau: 0.2 };
+
+/**
+ * Best plan on a zooming grid, over every release option of a sheltered account.
+ *
+ * @returns {Object} {utility, vector, release}
+ */
+function gridOptimum(parameters) {
+    const extensions = getModelExtensions(parameters);
+    const releases = extensions.shelteredAccount
+        ? getReleaseOptions(extensions.shelteredAccount, extensions.taxEvents)
+        : [null];
+
+    let best = null;
+    for (const release of releases) {
+        const candidate = zoomingGridSearch(parameters, extensions, release);
+        if (!best || candidate.utility > best.utility) {
+            best = { ...candidate, release };
+        }
+    }
+    return best;
+}
+
+function zoomingGridSearch(parameters, extensions, release) {
+    const dimensions = service.walkPlan(parameters, extensions, release, (_, upperBound) => upperBound / 2).length;
+    const points = GRID_POINTS[dimensions];
+    let center = new Array(dimensions).fill(0.5);
+    let halfWidth = 0.5;
+    let best = null;
+
+    while (halfWidth > 1e-8) {
+        const index = new Array(dimensions).fill(0);
+        for (;;) {
+            const shares = index.map((k, d) =>
+                Math.min(Math.max(center[d] + halfWidth * (2 * k / (points - 1) - 1), 0), 1));
+            const utility = planUtility(parameters, extensions, release, shares);
+            if (utility !== null && (!best || utility.value > best.utility)) {
+                best = { utility: utility.value, vector: utility.vector, shares };
+            }
+
+            let d = 0;
+            while (d < dimensions && ++index[d] === points) {
+                index[d] = 0;
+                d++;
+            }
+            if (d === dimensions) {
+                break;
+            }
+        }
+        center = best.shares;
+        halfWidth *= 4 / (points - 1);
+    }
+    return best;
+}
+
+function planUtility(parameters, extensions, release, shares) {
+    const vector = service.walkPlan(parameters, extensions, release, (position, upperBound) => shares[position] * upperBound);
+    if (!vector) {
+        return null;
+    }
+    const offset = release ? 1 : 0;
+    const shelter = release ? { amount: vector[0], release } : null;
+    const eventWealth = vector.slice(offset, -1);
+    const w2 = vector[vector.length - 1];
+    if (!checkMultiEventConstraints(eventWealth, w2, parameters, extensions, shelter)) {
+        return null;
+    }
+    const value = multiEventLifetimeUtility(parameters, eventWealth, w2, extensions, shelter);
+    return isFinite(value) ? { value, vector } : null;
+}
+
+async function assertMatchesGrid(parameters) {
+    const result = await service.performMainThreadOptimization(parameters, false);
+    const grid = gridOptimum(parameters);
+
+    assert.ok(result.utility >= grid.utility - UTILITY_TOLERANCE * Math.max(1, Math.abs(grid.utility)),
+        `optimizer utility ${result.utility} is below the grid's ${grid.utility}`);
+
+    const vector = [...(result.shelter ? [result.shelter.amount] : []), ...result.eventWealth, result.w2];
+    assert.equal(vector.length, grid.vector.length);
+    vector.forEach((value, position) => {
+        assert.ok(Math.abs(value - grid.vector[position]) <= PLAN_TOLERANCE * Math.max(1, Math.abs(value)),
+            `plan[${position}]: optimizer ${value}, grid ${grid.vector[position]}`);
+    });
+    assert.equal(result.shelter?.release.time, grid.release?.time);
+
+    return result;
+}
+
+test('single levy: Newton finds the grid optimum', async () => {
+    const result = await assertMatchesGrid(TAXED);
+    assert.equal(result.method, 'newton');
+    assert.equal(result.convergence, 'converged');
+});
+
+test('several levies: the joint plan matches the grid optimum', async () => {
+    const result = await assertMatchesGrid({ ...TAXED, taxEvents: [{ offset: 0 }, { offset: 4, rate: 0.1 }] });
+    assert.equal(result.eventWealth.length, 2);
+    assert.equal(result.convergence, 'converged');
+});
+
+test('allowance kink: the optimum bunches at the allowance, as on the grid', async () => {
+    const result = await assertMatchesGrid({ ...TAXED, allowance: 1.5 });
+    assert.deepEqual(result.bunching, [{ event: 0, threshold: 1.5 }]);
+    assert.equal(result.w1, 1.5);
+});
+
+test('sheltered account: the split between liquid and sheltered wealth matches the grid', async () => {
+    const result = await assertMatchesGrid({ ...TAXED, shelterLimit: 0.3 });
+    assert.ok(result.shelter.amount > 0 && result.shelter.amount < 0.3);
+});
+
+test('sheltered account with early release: the release date matches the grid', async () => {
+    await assertMatchesGrid({ ...TAXED, shelterLimit: 0.3, shelterUnlock: 10, shelterPenalty: 0.1 });
+});
+
+test('tuition paid on top of the levy: Newton finds the grid optimum', async () => {
+    const result = await assertMatchesGrid({ ...TAXED, tuition: 0.2, tuitionMode: 'fixed' });
+    assert.equal(result.method, 'newton');
+});
+
+test('tuition net of aid: Newton finds the grid optimum', async () => {
+    const result = await assertMatchesGrid({ ...TAXED, tuition: 0.2, tuitionMode: 'netOfAid' });
+    assert.equal(result.method, 'newton');
+});
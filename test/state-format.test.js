@@ -0,0 +1,149 @@
+/**
+ * Saved state and scenario library files: migration from every older version,
+ * rejection of newer ones, and the schema check's reported issues.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    STATE_FORMAT,
+    STATE_VERSION,
+    serializeState,
+    parseStateFile,
+    migrateParameters
+} from '../src/state/StateFormat.js';
+import { LIBRARY_FORMAT, parseLibraryFile } from '../src/services/ScenarioLibrary.js';
+import { DEFAULT_PARAMETERS, validateParametersOrThrow } from '../src/utils/ParameterValidator.js';
+import { ImportError } from '../src/errors/ErrorTypes.js';
+
+// Parameters of the original model, as unversioned exports hold them
+const ORIGINAL_PARAMETERS = { r: 0.06, rho: 0.04, gamma: 0.9, eta: 1.5, beta: 3, tau: 0.25, t1: 18, t2: 27, w0: 1 };
+
+const HEATMAP = { x: 'tau', y: 'beta', output: 'welfareLoss' };
+
+function currentState(overrides = {}) {
+    return serializeState({
+        parameters: { ...DEFAULT_PARAMETERS, tau: 0.2 },
+        visualizationType: 'Heatmap',
+        heatmapSettings: HEATMAP,
+        comparisonScenarios: [],
+        lastOptimizationResult: null,
+        ...overrides
+    });
+}
+
+test('an unversioned export migrates to the current version with its heatmap and pins', () => {
+    const file = JSON.stringify({
+        parameters: ORIGINAL_PARAMETERS,
+        visualizationType: 'Heatmap',
+        heatmapSettings: HEATMAP,
+        comparisonScenarios: [{ name: 'High tax', parameters: { ...ORIGINAL_PARAMETERS, tau: 0.4 }, origin: 'manual' }],
+        timestamp: '2025-01-26T12:00:00.000Z'
+    });
+
+    const state = parseStateFile(file);
+
+    assert.equal(state.format, STATE_FORMAT);
+    assert.equal(state.version, STATE_VERSION);
+    assert.equal(state.exportedAt, '2025-01-26T12:00:00.000Z');
+    assert.deepEqual(state.heatmapSettings, HEATMAP);
+    assert.equal(state.comparisonScenarios.length, 1);
+    assert.equal(state.comparisonScenarios[0].name, 'High tax');
+    assert.equal(state.comparisonScenarios[0].parameters.tau, 0.4);
+
+    // Features added since are switched off, in the pin too
+    for (const parameters of [state.parameters, state.comparisonScenarios[0].parameters]) {
+        assert.equal(parameters.shelterLimit, 0);
+        assert.equal(parameters.taxEvents, null);
+        assert.equal(parameters.tuitionMode, 'fixed');
+        validateParametersOrThrow(parameters);
+    }
+});
+
+test('a version 1 file gains explicit tax event rates', () => {
+    const parameters = { ...DEFAULT_PARAMETERS, taxEvents: [{ offset: 0 }, { offset: 5, rate: 0.1 }] };
+    const state = parseStateFile({ ...currentState(), version: 1, parameters });
+
+    assert.deepEqual(state.parameters.taxEvents, [{ offset: 0, rate: null }, { offset: 5, rate: 0.1 }]);
+});
+
+test('a saved state reads back as it was written', () => {
+    const file = currentState({
+        comparisonScenarios: [{ name: 'Pinned', parameters: { ...DEFAULT_PARAMETERS, beta: 5 }, origin: 'manual' }]
+    });
+
+    assert.deepEqual(parseStateFile(JSON.stringify(file)), file);
+});
+
+test('a file from a newer version is rejected', () => {
+    assert.throws(
+        () => parseStateFile({ ...currentState(), version: STATE_VERSION + 1 }),
+        (error) => error instanceof ImportError && error.code === 'UNSUPPORTED_FILE_VERSION'
+    );
+});
+
+test('files that are not saved states are rejected', () => {
+    for (const file of ['{ not json', '[]', { format: 'something-else', version: 1 }, { ...currentState(), version: -1 }]) {
+        assert.throws(() => parseStateFile(file), (error) => error instanceof ImportError && error.code === 'INVALID_FILE_FORMAT');
+    }
+});
+
+test('schema violations are listed with their paths', () => {
+    const file = currentState();
+    file.parameters = {
+        ...file.parameters,
+        tau: 'high',
+        taxEvents: [{ offset: 1 }],
+        incomePhases: [{ start: 0, end: 10 }]
+    };
+    delete file.parameters.gamma;
+    file.comparisonScenarios = [{ parameters: file.parameters }];
+
+    let issues;
+    assert.throws(() => parseStateFile(file), (error) => {
+        issues = error.issues;
+        return error instanceof ImportError;
+    });
+
+    for (const issue of [
+        'state.parameters.gamma is missing',
+        'state.parameters.tau must be number',
+        'state.parameters.taxEvents[0].rate is missing',
+        'state.parameters.incomePhases[0].level is missing',
+        'state.comparisonScenarios[0].name is missing',
+        'state.comparisonScenarios[0].parameters.tau must be number'
+    ]) {
+        assert.ok(issues.includes(issue), `missing issue "${issue}" in ${JSON.stringify(issues)}`);
+    }
+});
+
+test('a scenario library migrates its parameters like a state file', () => {
+    const library = parseLibraryFile(JSON.stringify({
+        format: LIBRARY_FORMAT,
+        version: 1,
+        scenarios: [{
+            name: 'Two children',
+            description: '',
+            parameters: { ...DEFAULT_PARAMETERS, taxEvents: [{ offset: 0 }, { offset: 3 }] }
+        }]
+    }));
+
+    assert.equal(library.version, STATE_VERSION);
+    assert.deepEqual(library.scenarios[0].parameters.taxEvents, [{ offset: 0, rate: null }, { offset: 3, rate: null }]);
+    validateParametersOrThrow(library.scenarios[0].parameters);
+});
+
+test('parameters migrate from any older version', () => {
+    const parameters = migrateParameters(ORIGINAL_PARAMETERS, 0);
+
+    assert.deepEqual(parameters, migrateParameters({ ...parameters }, STATE_VERSION));
+    assert.equal(parameters.y0, 0);
+    validateParametersOrThrow(parameters);
+});
+
+test('a scenario library from a newer version is rejected', () => {
+    assert.throws(
+        () => parseLibraryFile({ format: LIBRARY_FORMAT, version: STATE_VERSION + 1, scenarios: [] }),
+        (error) => error instanceof ImportError && error.code === 'UNSUPPORTED_FILE_VERSION'
+    );
+});
@@ -0,0 +1,154 @@
+/**
+ * The optimization worker and the main thread run the same OptimizationService,
+ * so they must find the same optima; the worker must also stop jobs that the
+ * main thread cancels. The worker runs here in a Node.js worker thread, with
+ * `self` standing in for the browser's worker global.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'node:worker_threads';
+import { OptimizationService } from '../src/services/OptimizationService.js';
+import { WelfareService } from '../src/services/WelfareService.js';
+import { DEFAULT_PARAMETERS } from '../src/utils/ParameterValidator.js';
+
+const WORKER_URL = new URL('../src/workers/optimization-worker.js', import.meta.url).href;
+
+// Gives the module worker the browser globals it uses, loads it, and only then
+// passes it the queued messages
+const HOST = `
+const { parentPort, workerData } = require('node:worker_threads');
+globalThis.self = globalThis;
+self.postMessage = (data) => parentPort.postMessage(data);
+import(workerData.url).then(() => {
+    parentPort.on('message', (data) => self.onmessage({ data }));
+});
+`;
+
+// The plain model, several tax events, a sheltered account and income
+const CASES = {
+    'single tax event': { ...DEFAULT_PARAMETERS, tau: 0.2 },
+    'several tax events': { ...DEFAULT_PARAMETERS, tau: 0.2, taxEvents: [{ offset: 0 }, { offset: 5, rate: 0.1 }] },
+    'sheltered account': { ...DEFAULT_PARAMETERS, tau: 0.2, shelterLimit: 0.3 },
+    'income': { ...DEFAULT_PARAMETERS, tau: 0.2, y0: 0.1 }
+};
+
+const TOLERANCE = 1e-9;
+
+let worker;
+let nextId = 0;
+
+function solveInWorker(type, parameters, options = {}) {
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+        const onMessage = (message) => {
+            if (message.id !== id) {
+                return;
+            }
+            worker.off('message', onMessage);
+            if (message.type === 'result') {
+                resolve(message.result);
+            } else {
+                reject(new Error(message.error));
+            }
+        };
+        worker.on('message', onMessage);
+        worker.postMessage({ type, id, parameters, options });
+    });
+}
+
+function assertClose(actual, expected, label) {
+    const scale = Math.max(1, Math.abs(expected));
+    assert.ok(Math.abs(actual - expected) <= TOLERANCE * scale,
+        `${label}: worker ${actual}, main thread ${expected}`);
+}
+
+function assertSameOptimum(workerResult, mainResult) {
+    assertClose(workerResult.w1, mainResult.w1, 'w1');
+    assertClose(workerResult.w2, mainResult.w2, 'w2');
+    assertClose(workerResult.utility, mainResult.utility, 'utility');
+    assert.equal(workerResult.eventWealth.length, mainResult.eventWealth.length);
+    workerResult.eventWealth.forEach((value, index) => {
+        assertClose(value, mainResult.eventWealth[index], `eventWealth[${index}]`);
+    });
+    assert.equal(workerResult.shelter?.release?.time, mainResult.shelter?.release?.time);
+    if (mainResult.shelter) {
+        assertClose(workerResult.shelter.amount, mainResult.shelter.amount, 'shelter');
+    }
+}
+
+before(() => {
+    worker = new Worker(HOST, { eval: true, workerData: { url: WORKER_URL } });
+});
+
+after(async () => {
+    await worker.terminate();
+});
+
+for (const [name, parameters] of Object.entries(CASES)) {
+    test(`worker and main thread find the same optimum: ${name}`, async () => {
+        const main = new OptimizationService({ useWebWorkers: false });
+        const mainResult = await main.performMainThreadOptimization(parameters, false);
+        const workerResult = await solveInWorker('optimize', parameters, { warmStart: false });
+
+        assertSameOptimum(workerResult, mainResult);
+    });
+}
+
+test('worker and main thread find the same optimum from a warm start', async () => {
+    const main = new OptimizationService({ useWebWorkers: false });
+    const base = CASES['single tax event'];
+    const seed = main.getSeedPlan(await main.performMainThreadOptimization(base, false));
+    const parameters = { ...base, tau: 0.25 };
+
+    const mainResult = await main.performMainThreadOptimization(parameters, seed);
+    const workerResult = await solveInWorker('optimize', parameters, { warmStart: seed });
+
+    assertSameOptimum(workerResult, mainResult);
+});
+
+test('worker and main thread solve a sweep chunk alike', async () => {
+    const main = new OptimizationService({ useWebWorkers: false });
+    const parameters = CASES['single tax event'];
+    const axes = [main.normalizeSweepAxis({ parameter: 'tau', from: 0.1, to: 0.3, steps: 4 }, parameters)];
+    const points = main.getSweepPath(axes);
+
+    const mainRows = await main.solveSweepPath(parameters, axes, points, { warmStart: false });
+    const workerRows = await solveInWorker('sweep', parameters, { axes, points });
+
+    assert.equal(workerRows.length, mainRows.length);
+    workerRows.forEach((row, index) => {
+        assertClose(row.w1, mainRows[index].w1, `row ${index} w1`);
+        assertClose(row.w2, mainRows[index].w2, `row ${index} w2`);
+        assertClose(row.utility, mainRows[index].utility, `row ${index} utility`);
+    });
+});
+
+test('worker and main thread solve a welfare chunk alike', async () => {
+    const main = new OptimizationService({ useWebWorkers: false });
+    const parameterSets = [CASES['single tax event'], null, CASES['income']];
+
+    const mainChanges = await new WelfareService({}, main).solveEquivalentVariations(parameterSets);
+    const workerChanges = await solveInWorker('welfare', null, { parameterSets });
+
+    assert.equal(workerChanges.length, mainChanges.length);
+    assert.ok(Number.isNaN(workerChanges[1]));
+    [0, 2].forEach((index) => assertClose(workerChanges[index], mainChanges[index], `change ${index}`));
+});
+
+test('a cancelled job stops in the worker', async () => {
+    const id = ++nextId;
+    const reply = new Promise((resolve) => {
+        const onMessage = (message) => {
+            if (message.id === id) {
+                worker.off('message', onMessage);
+                resolve(message.type);
+            }
+        };
+        worker.on('message', onMessage);
+    });
+    worker.postMessage({ type: 'optimize', id, parameters: CASES['sheltered account'], options: { warmStart: false } });
+    worker.postMessage({ type: 'cancel', id });
+
+    assert.equal(await reply, 'cancelled');
+});